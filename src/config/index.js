@@ -1,5 +1,27 @@
 require('dotenv').config();
 
+/**
+ * Read a numeric env var, keeping 0 (unlike `parseInt(...) || fallback`)
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Model settings for one kind of LLM call, overridable with
+ * LLM_<TASK>_MODEL, _MAX_TOKENS, _TEMPERATURE and _TIMEOUT_MS
+ */
+function llmTask(task, defaults) {
+  const prefix = `LLM_${task.toUpperCase()}`;
+  return {
+    model: process.env[`${prefix}_MODEL`] || null, // null = the provider's default model
+    maxTokens: envNumber(`${prefix}_MAX_TOKENS`, defaults.maxTokens),
+    temperature: envNumber(`${prefix}_TEMPERATURE`, defaults.temperature), // null = provider default
+    timeoutMs: envNumber(`${prefix}_TIMEOUT_MS`, defaults.timeoutMs)
+  };
+}
+
 const config = {
   // Server
   port: process.env.PORT || 3000,
@@ -9,10 +31,67 @@ const config = {
   // Redis
   redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
 
+  // Storage backend: 'redis' (default) or 'memory' (no external service, not persisted)
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'redis'
+  },
+
+  // Encryption at rest for conversations, journals and crisis logs
+  // Comma-separated "id:base64key" list - first key is active, others are for rotation
+  encryption: {
+    masterKeys: process.env.ENCRYPTION_MASTER_KEYS
+  },
+
   // Claude API
   claudeApiKey: process.env.CLAUDE_API_KEY,
   claudeModel: 'claude-sonnet-4-20250514',
 
+  // LLM provider: 'anthropic' (default), 'openai' (any OpenAI-compatible server)
+  // or 'mock' (scripted canned responses, no network)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'anthropic',
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'llama3.1'
+    },
+    mockScript: process.env.LLM_MOCK_SCRIPT, // JSON file of { match, response } rules
+
+    // Per-task model settings - cheap, deterministic calls don't need the
+    // response model's budget or creativity
+    tasks: {
+      response: llmTask('response', { maxTokens: 1024, temperature: null, timeoutMs: 30000 }),
+      analysis: llmTask('analysis', { maxTokens: 400, temperature: 0, timeoutMs: 15000 }), // emotion, crisis and events in one call
+      emotion: llmTask('emotion', { maxTokens: 50, temperature: 0, timeoutMs: 10000 }),
+      crisis: llmTask('crisis', { maxTokens: 200, temperature: 0, timeoutMs: 15000 }),
+      proactive: llmTask('proactive', { maxTokens: 200, temperature: null, timeoutMs: 30000 }),
+      summarization: llmTask('summarization', { maxTokens: 800, temperature: 0.3, timeoutMs: 60000 }),
+      extraction: llmTask('extraction', { maxTokens: 300, temperature: 0, timeoutMs: 15000 }), // events, fact corrections
+      guard: llmTask('guard', { maxTokens: 300, temperature: 0, timeoutMs: 10000 }), // response guard classifier
+      recap: llmTask('recap', { maxTokens: 500, temperature: null, timeoutMs: 60000 }) // weekly recap
+    },
+
+    // Used when the primary provider keeps failing or its circuit is open.
+    // Either can be set alone: a fallback model on the same provider, or
+    // another provider with its default model.
+    fallback: {
+      provider: process.env.LLM_FALLBACK_PROVIDER || null,
+      model: process.env.LLM_FALLBACK_MODEL || null
+    },
+
+    // Retries for rate limits, 5xx and network errors, then a circuit
+    // breaker that stops calling a failing provider for a while
+    retry: {
+      maxAttempts: envNumber('LLM_RETRY_MAX_ATTEMPTS', 3),
+      baseDelayMs: 500,
+      maxDelayMs: 4000
+    },
+    circuitBreaker: {
+      failureThreshold: envNumber('LLM_BREAKER_FAILURE_THRESHOLD', 5), // consecutive failed calls
+      resetTimeoutMs: envNumber('LLM_BREAKER_RESET_MS', 30000) // open this long before a trial call
+    }
+  },
+
   // LoopMessage
   loopMessageApiKey: process.env.LOOPMESSAGE_API_KEY,
   loopMessageWebhookSecret: process.env.LOOPMESSAGE_WEBHOOK_SECRET,
@@ -22,10 +101,22 @@ const config = {
   railwayPublicDomain: process.env.RAILWAY_PUBLIC_DOMAIN,
   railwayStaticUrl: process.env.RAILWAY_STATIC_URL,
 
+  // Personal data export download links
+  dataExport: {
+    signingSecret: process.env.EXPORT_SIGNING_SECRET,
+    linkTTL: 60 * 60 // 1 hour, in seconds
+  },
+
+  // Prompt assembly for responses: system prompt, memory and as much recent
+  // history as fits the input budget (tokens are estimated, ~4 characters each)
+  promptBudget: {
+    maxInputTokens: parseInt(process.env.PROMPT_MAX_INPUT_TOKENS) || 6000,
+    maxMemoryTokens: 800,
+    maxHistoryMessageTokens: 500, // longer history messages are truncated
+    maxCurrentMessageTokens: 2000
+  },
+
   // App settings
-  maxConversationHistory: 20,
-  claudeMaxTokens: 1024,
-  claudeTimeout: 30000,
   rateLimit: {
     windowMs: 60 * 1000, // 1 minute
     maxRequests: 30
@@ -71,6 +162,160 @@ const config = {
     'kill me'
   ],
 
+  // What happens to a response drafted alongside the crisis assessment
+  // once the risk level is known: below rewriteDraftAt it's sent (with
+  // resources added from medium up), at rewriteDraftAt it's rewritten with
+  // the risk in mind, and at discardDraftAt only the crisis response is sent
+  crisisPolicy: {
+    rewriteDraftAt: 'high',
+    discardDraftAt: 'critical'
+  },
+
+  // Checks on generated replies before they're sent. Rules match
+  // case-insensitive regexes; the optional classifier asks the LLM to check
+  // the same rules. 'regenerate' rules get the reply rewritten (then
+  // softened if it still fails), 'soften' rules just drop the offending
+  // sentence. Every intervention is written to the user's guard audit log.
+  responseGuard: {
+    enabled: process.env.RESPONSE_GUARD_ENABLED !== 'false',
+    useClassifier: process.env.RESPONSE_GUARD_CLASSIFIER === 'true',
+    maxRegenerations: 1,
+    auditLogSize: 100, // entries kept per user
+    rules: {
+      medicationDosing: {
+        description: 'tells them how much medication to take or to change their dose',
+        action: 'regenerate',
+        patterns: [
+          '\\b\\d+(\\.\\d+)? ?(mg|mcg|milligrams?|ml)\\b',
+          '\\b(increase|decrease|double|halve|lower|raise|skip|stop taking|come off) (your |the )?(dose|dosage|meds|medication|pills)\\b',
+          '\\b(you should|try|just) tak(e|ing) (some |a |an |more )?(xanax|ativan|klonopin|valium|benadryl|melatonin|ambien|sleeping pills?|painkillers|ibuprofen|sertraline|zoloft|prozac|lexapro)\\b'
+        ]
+      },
+      diagnosticLabels: {
+        description: 'tells them they have a mental health condition (a diagnosis)',
+        action: 'regenerate',
+        patterns: [
+          "\\b(you( have|'ve got| might have| may have| probably have| definitely have| are|'re| might be)|sounds like you( have|'ve got| might have)|(classic|textbook) (signs|symptoms) of)\\b[^.!?]{0,25}\\b(clinical depression|depressive disorder|bipolar|borderline|bpd|ptsd|ocd|adhd|anxiety disorder|eating disorder|personality disorder|schizophreni\\w*|psychotic|narcissis\\w*)\\b"
+        ]
+      },
+      bannedPhrases: {
+        description: 'uses a cliché or robotic phrase',
+        action: 'soften',
+        patterns: [
+          "\\bi('?m| am) (so )?sorry to hear that\\b",
+          '\\beverything happens for a reason\\b',
+          '\\bas an ai\\b',
+          '\\bi (understand|know) exactly how you feel\\b'
+        ]
+      },
+      confidentiality: {
+        description: 'promises confidentiality or secrecy',
+        action: 'regenerate',
+        patterns: [
+          "\\b(this|it|everything|what you (tell|say|share)( me)?) (stays|will stay|is|remains) (just )?between (us|you and me)\\b",
+          "\\bi (won't|will never|wouldn't|will not) tell (anyone|anybody)\\b",
+          '\\b(completely|totally|100%|strictly) (confidential|private|secret)\\b',
+          '\\byour secret is safe\\b'
+        ]
+      },
+      dismissive: {
+        description: 'dismisses or minimizes what they are going through',
+        action: 'regenerate',
+        patterns: [
+          '\\bjust (cheer|calm) (up|down)\\b',
+          '\\bget over it\\b',
+          '\\b(it|things) could (always )?be (a lot |much )?worse\\b',
+          '\\b(others|other people|lots of people) have it (a lot |much )?worse\\b',
+          "\\byou('?re| are) (just )?(overreacting|being dramatic|being too sensitive)\\b",
+          "\\b(it'?s|that'?s) not (that )?(a )?big (of a )?deal\\b",
+          '\\bsnap out of it\\b',
+          '\\bjust think positive(ly)?\\b'
+        ]
+      }
+    }
+  },
+
+  // Conversation modes ("just listen", "give me ideas", "distract me"). A
+  // mode the user picks stays until they change it; one inferred from what
+  // they say (case-insensitive regexes) lapses after inferredModeHours and
+  // never replaces one they picked.
+  conversationModes: {
+    inferredModeHours: envNumber('CONVERSATION_MODE_INFERRED_HOURS', 6),
+    // Caps the response task's maxTokens
+    maxTokens: {
+      vent: 300,
+      advice: 800,
+      distraction: 300
+    },
+    inferPatterns: {
+      vent: [
+        "\\bi (just )?(need|want) to (vent|rant|get (this|it|something) off my chest)\\b",
+        "\\b(i )?(don'?t|do not) (need|want) (any )?(advice|solutions|you to fix (it|this))\\b",
+        '\\b(can you|please|i need you to) just listen\\b'
+      ],
+      advice: [
+        '\\bwhat (should|can|do) i do\\b',
+        '\\b(any|got any|need some|give me some) (ideas|advice|tips|suggestions)\\b',
+        '\\bhow (do|can|should) i (deal with|handle|cope with|get better at|stop)\\b'
+      ],
+      distraction: [
+        '\\b(take|get) my mind off\\b',
+        '\\b(i )?(need|want) (a |some )?distraction\\b',
+        "\\b(can we|let'?s) (talk about|change) (something else|the subject)\\b"
+      ]
+    }
+  },
+
+  // Texts sent in quick succession are answered together: each one is held
+  // until none has arrived for debounceMs, but never longer than maxWaitMs
+  // after the first. Messages with crisis keywords are answered right away.
+  messageBuffer: {
+    debounceMs: envNumber('MESSAGE_DEBOUNCE_MS', 4000), // 0 = answer every message on its own
+    maxWaitMs: envNumber('MESSAGE_MAX_WAIT_MS', 15000),
+    maxMessages: 10, // a burst this long is answered without waiting
+    queueTTLSeconds: 60 * 60 // held messages left behind by a restart expire
+  },
+
+  // One instance at a time answers a user's messages, in the order they
+  // arrived (see src/services/userLock.js)
+  processingLock: {
+    ttlSeconds: 60, // extended while held, so this only matters after a crash
+    waitMs: envNumber('PROCESSING_LOCK_WAIT_MS', 30000), // test-mode requests wait this long for it
+    pollMs: 200
+  },
+
+  // Mood check-ins: the morning check-in asks for a 1-10 rating, and a
+  // reply that reads as one within replyWindowHours is recorded
+  mood: {
+    replyWindowHours: 12,
+    summaryDays: 7, // daily averages shown by "my mood"
+    summaryWeeks: 4 // weekly averages shown by "my mood"
+  },
+
+  // Opt-in weekly recap of journal entries and mood ratings, sent by the
+  // proactive scheduler (server local time, 0 = Sunday)
+  weeklyRecap: {
+    dayOfWeek: envNumber('WEEKLY_RECAP_DAY', 0),
+    hour: envNumber('WEEKLY_RECAP_HOUR', 18),
+    maxEntries: 20, // most recent journal entries included
+    maxEntryChars: 600 // each entry is truncated to this
+  },
+
+  // Guided coping exercises (steps are in src/prompts/exercisePrompts.js)
+  exercises: {
+    staleMinutes: 30, // an exercise with no reply for this long is dropped
+    pausedHours: 24, // how long a paused exercise can be resumed
+    logSize: 50, // finished exercises kept per user
+    suggestCooldownHours: 12,
+    // Offered after a reply when the message analysis finds one of these
+    // emotions with at least minArousal
+    suggestions: [
+      { emotion: 'anxious', minArousal: 0.6, exercise: 'box-breathing' },
+      { emotion: 'stressed', minArousal: 0.6, exercise: 'grounding' },
+      { emotion: 'angry', minArousal: 0.6, exercise: 'muscle-relaxation' }
+    ]
+  },
+
   // Onboarding stages
   onboardingStages: {
     INITIAL: 0,
@@ -92,6 +337,43 @@ const config = {
     }
   },
 
+  // Data retention policy per data type (days unless noted)
+  // A user can choose shorter retention for their own data, never longer.
+  // An age limit of 0 or null means no limit.
+  retention: {
+    journalDays: envNumber('RETENTION_JOURNAL_DAYS', 365),
+    crisisDays: envNumber('RETENTION_CRISIS_DAYS', 90),
+    conversationMessages: envNumber('RETENTION_CONVERSATION_MESSAGES', 20),
+    conversationDays: envNumber('RETENTION_CONVERSATION_DAYS', null), // null = only trimmed by count
+    archiveDays: envNumber('RETENTION_ARCHIVE_DAYS', 365), // messages moved out of the recent window
+    moodDays: envNumber('RETENTION_MOOD_DAYS', 365), // 1-10 mood ratings
+    inactiveUserDays: envNumber('RETENTION_INACTIVE_USER_DAYS', null), // null = users never expire
+    idempotencySeconds: envNumber('RETENTION_IDEMPOTENCY_SECONDS', 300),
+    minUserRetentionDays: 1,
+    sweepInterval: '30 3 * * *', // Daily at 3:30 AM
+    lockKey: 'retention:sweeper:lock',
+    lockTTL: 600 // 10 minutes
+  },
+
+  // Long-term memory: rolling conversation summary and durable facts per user
+  memory: {
+    summarizeEvery: parseInt(process.env.MEMORY_SUMMARIZE_EVERY) || 20, // new messages before updating
+    maxMessagesPerUpdate: 100,
+    maxFacts: 30,
+    maxForgotten: 50,
+    maxSummaryLength: 1200, // characters
+    lockTTL: 120 // seconds
+  },
+
+  // Follow-ups on upcoming events mentioned in conversation
+  events: {
+    hoursAfterEvent: 3, // when the event has a start time
+    defaultFollowUpHour: 19, // on the day, when it doesn't
+    quietHours: { start: 21, end: 9 }, // follow-ups move to the next allowed time
+    maxDaysAhead: 60,
+    keepDays: 30 // drop remembered events this long after they happen
+  },
+
   // Journaling settings
   journaling: {
     prefixes: ['journal:', 'j:'],
@@ -110,7 +392,7 @@ const config = {
 };
 
 // Validate required config
-const requiredEnvVars = ['CLAUDE_API_KEY'];
+const requiredEnvVars = config.llm.provider === 'anthropic' ? ['CLAUDE_API_KEY'] : [];
 const missingVars = requiredEnvVars.filter(v => !process.env[v]);
 
 if (missingVars.length > 0 && config.nodeEnv === 'production') {
@@ -1,33 +1,117 @@
 const logger = require('../utils/logger');
-const redisService = require('../services/redis');
+const storage = require('../services/storage');
 const conversationEngine = require('../services/conversationEngine');
 const crisisDetection = require('../services/crisisDetection');
 const onboarding = require('../services/onboarding');
 const journaling = require('../services/journaling');
+const retention = require('../services/retention');
+const dataExport = require('../services/dataExport');
+const longTermMemory = require('../services/longTermMemory');
+const eventExtraction = require('../services/eventExtraction');
+const messageAnalysis = require('../services/messageAnalysis');
+const conversationMode = require('../services/conversationMode');
+const exercises = require('../services/exercises');
+const moodTracking = require('../services/moodTracking');
+const weeklyRecap = require('../services/weeklyRecap');
+const messageBuffer = require('../services/messageBuffer');
+const userLock = require('../services/userLock');
 const loopMessage = require('../services/loopMessage');
 const { normalizePhoneNumber } = require('../utils/helpers');
 const { getWelcomeMessage } = require('../prompts/systemPrompt');
+const { containsCrisisKeyword } = require('../prompts/crisisPrompt');
+const { detectInjection } = require('../prompts/promptSafety');
+const { getModeConfirmation, getModeStatus } = require('../prompts/modePrompt');
+const { getMoodAcknowledgment } = require('../prompts/moodPrompt');
+const { getWeeklyRecapConfirmation, getEmptyWeekText } = require('../prompts/recapPrompt');
 
 class MessageHandler {
+  constructor() {
+    // Running totals for how much drafting alongside the crisis
+    // assessment saves compared to doing them one after the other
+    this.timings = { messages: 0, processingMs: 0, savedMs: 0, draftActions: {} };
+  }
+
   /**
    * Main message handling entry point
    */
   async handleMessage(webhookData) {
-    const result = await this._processMessage(webhookData, false);
-    // In normal mode, response is already sent
+    const phoneNumber = normalizePhoneNumber(webhookData.phoneNumber);
+    if (!phoneNumber || !webhookData.content) {
+      await this._processMessage(webhookData, false);
+      return;
+    }
+
+    // Texts sent in a burst are answered together once they stop coming,
+    // and one burst at a time per user
+    await messageBuffer.add(
+      phoneNumber,
+      webhookData.content,
+      { messageId: webhookData.messageId },
+      burst => this.handleBurst(phoneNumber, burst)
+    );
+  }
+
+  /**
+   * Answer a burst of buffered messages. Exercise steps, mood ratings,
+   * commands and journal entries are still handled one by one, in order;
+   * the rest are answered together as one turn.
+   */
+  async handleBurst(phoneNumber, burst) {
+    // With buffering off, messages that queued up while an earlier one was
+    // being answered still get a reply each
+    if (burst.length === 1 || !messageBuffer.isEnabled()) {
+      for (const { content } of burst) {
+        await this._processMessage({ phoneNumber, content }, false);
+      }
+      return;
+    }
+
+    const conversational = [];
+    for (const { content } of burst) {
+      // One message failing shouldn't lose the rest of the burst
+      try {
+        const user = await storage.getOrCreateUser(phoneNumber);
+        const direct = await this.handleDirect(phoneNumber, user, content);
+        if (direct) {
+          logger.logMessage('inbound', phoneNumber, content);
+          await this.sendResponse(phoneNumber, direct.response);
+        } else {
+          conversational.push(content);
+        }
+      } catch (error) {
+        logger.logError('MessageHandler.handleBurst', error, {
+          phoneNumber: phoneNumber.slice(-4)
+        });
+      }
+    }
+
+    if (conversational.length > 0) {
+      await this._processMessage(
+        { phoneNumber, content: conversational.join('\n') },
+        false,
+        { burstSize: conversational.length }
+      );
+    }
   }
 
   /**
    * Handle message with response data (for testing)
    */
   async handleMessageWithResponse(webhookData) {
-    return await this._processMessage(webhookData, true);
+    const phoneNumber = normalizePhoneNumber(webhookData.phoneNumber);
+    if (!phoneNumber) {
+      return await this._processMessage(webhookData, true);
+    }
+
+    // Not buffered, but still one message at a time per user
+    return await userLock.runExclusive(phoneNumber, () => this._processMessage(webhookData, true));
   }
 
   /**
-   * Core message processing logic
+   * Core message processing logic. `burstSize` is set when the message is
+   * several buffered messages joined together.
    */
-  async _processMessage(webhookData, returnResponse = false) {
+  async _processMessage(webhookData, returnResponse = false, { burstSize = null } = {}) {
     const startTime = Date.now();
     const phoneNumber = normalizePhoneNumber(webhookData.phoneNumber);
     const message = webhookData.content;
@@ -37,32 +121,26 @@ class MessageHandler {
       return { response: null };
     }
 
-    logger.logMessage('inbound', phoneNumber, message);
+    logger.logMessage('inbound', phoneNumber, message, burstSize ? { burstSize } : {});
 
     try {
       // Get or create user
-      let user = await redisService.getOrCreateUser(phoneNumber);
+      let user = await storage.getOrCreateUser(phoneNumber);
       const isNewUser = user.stats.messageCount === 0;
 
-      // Check for special commands first
-      const commandResult = await this.handleCommands(phoneNumber, message, user);
-      if (commandResult.handled) {
+      // Exercise steps, mood ratings, commands and journal entries (a
+      // combined burst has already been through these message by message)
+      const direct = burstSize ? null : await this.handleDirect(phoneNumber, user, message);
+      if (direct) {
         if (returnResponse) {
-          return { response: commandResult.response, isCommand: true };
+          return { response: direct.response, [direct.type]: true };
         }
-        await this.sendResponse(phoneNumber, commandResult.response);
+        await this.sendResponse(phoneNumber, direct.response);
         return;
       }
 
-      // Check if this is a journal entry
-      if (journaling.isJournalEntry(message)) {
-        const result = await journaling.saveJournalEntry(phoneNumber, message);
-        if (returnResponse) {
-          return { response: result.acknowledgment, isJournal: true };
-        }
-        await this.sendResponse(phoneNumber, result.acknowledgment);
-        return;
-      }
+      // "I just need to vent" etc. switch mode for a while, unless they picked one
+      await conversationMode.updateFromMessage(phoneNumber, user, message);
 
       // Handle new user welcome
       if (isNewUser) {
@@ -83,12 +161,41 @@ class MessageHandler {
         return;
       }
 
-      // Crisis detection (runs in parallel with response generation for non-critical)
-      const conversationHistory = await redisService.getConversationHistory(phoneNumber, 10);
-      const crisisResult = await crisisDetection.detectCrisis(phoneNumber, message, conversationHistory);
+      const conversationHistory = await storage.getConversationHistory(phoneNumber, 10);
+
+      // User text is always quoted in prompts; this just records attempts
+      const injectionSignals = detectInjection(message);
+      if (injectionSignals.length > 0) {
+        logger.warn('Possible prompt injection', {
+          phoneNumber: phoneNumber.slice(-4),
+          signals: injectionSignals
+        });
+      }
 
-      if (crisisResult.isCrisis && crisisResult.riskLevel === 'critical') {
-        // For critical crisis, send crisis response immediately
+      // Draft a response while the crisis assessment runs, unless crisis
+      // keywords already mean it would be rewritten anyway
+      const parallelStart = Date.now();
+      const draftPromise = containsCrisisKeyword(message)
+        ? null
+        : conversationEngine.draftResponse(phoneNumber, message);
+
+      // One LLM call for emotion, crisis risk and upcoming events; the
+      // services below fall back to their own checks if it fails
+      const analysis = await messageAnalysis.analyze(phoneNumber, message, conversationHistory);
+      const crisisResult = await crisisDetection.detectCrisis(phoneNumber, message, conversationHistory, analysis);
+      const assessmentMs = Date.now() - parallelStart;
+
+      const draftAction = crisisDetection.getDraftAction(crisisResult.riskLevel);
+
+      if (draftAction === 'discard') {
+        // For critical crisis, drop the draft and send the crisis response immediately
+        this.recordTiming({
+          processingMs: Date.now() - startTime,
+          assessmentMs,
+          draftMs: 0,
+          responseReadyMs: assessmentMs,
+          draftAction
+        });
         if (returnResponse) {
           return { 
             response: crisisResult.crisisResponse,
@@ -100,8 +207,34 @@ class MessageHandler {
         return;
       }
 
-      // Generate and send response
-      let response = await conversationEngine.generateResponse(phoneNumber, message);
+      // Use the draft, or write a new one that knows about the risk
+      let draft = draftAction === 'send' && draftPromise
+        ? await draftPromise
+        : null;
+
+      if (!draft) {
+        draft = await conversationEngine.draftResponse(phoneNumber, message, {
+          analysis,
+          riskLevel: draftAction === 'rewrite' ? crisisResult.riskLevel : null
+        });
+      }
+      const responseReadyMs = Date.now() - parallelStart;
+
+      // Check the reply follows the safety rules before it goes out
+      draft = await conversationEngine.reviewDraft(phoneNumber, message, draft, {
+        analysis,
+        riskLevel: draftAction === 'rewrite' ? crisisResult.riskLevel : null
+      });
+
+      let response = draft.text;
+      if (draft.ok) {
+        await conversationEngine.saveExchange(phoneNumber, message, response, analysis);
+      }
+
+      // Look for upcoming events to follow up on (don't await - do in background)
+      eventExtraction.processMessage(phoneNumber, message, analysis?.events).catch(err => {
+        logger.warn('Failed to extract events', { error: err.message });
+      });
 
       // For high-risk crisis, prepend crisis resources
       if (crisisResult.isCrisis && crisisResult.crisisResponse) {
@@ -109,7 +242,7 @@ class MessageHandler {
       }
 
       // Process onboarding progression
-      user = await redisService.getUser(phoneNumber); // Refresh user data
+      user = await storage.getUser(phoneNumber); // Refresh user data
       const onboardingResult = await onboarding.processOnboarding(phoneNumber, message, user);
       
       if (onboardingResult.response) {
@@ -117,17 +250,33 @@ class MessageHandler {
         response = response + '\n\n' + onboardingResult.response;
       }
 
+      // Offer a guided exercise when they seem anxious or wound up
+      if (!crisisResult.isCrisis && !onboardingResult.response) {
+        const suggestion = await exercises.suggest(phoneNumber, user, analysis);
+        if (suggestion) {
+          response = response + '\n\n' + suggestion;
+        }
+      }
+
       const processingTime = Date.now() - startTime;
+      const timing = this.recordTiming({
+        processingMs: processingTime,
+        assessmentMs,
+        draftMs: draft.durationMs,
+        responseReadyMs,
+        draftAction
+      });
       logger.info('Message handled', {
         phoneNumber: phoneNumber.slice(-4),
         processingTimeMs: processingTime,
-        isCrisis: crisisResult.isCrisis
+        isCrisis: crisisResult.isCrisis,
+        ...timing
       });
 
       if (returnResponse) {
         return {
           response,
-          emotion: user.profile?.currentEmotion,
+          emotion: user.emotionalState?.current,
           crisisDetected: crisisResult.isCrisis,
           riskLevel: crisisResult.riskLevel,
           onboardingStage: user.onboardingStage
@@ -152,6 +301,40 @@ class MessageHandler {
     }
   }
 
+  // ==================== Timing ====================
+
+  /**
+   * Add one message's timings to the running totals. Done one after the
+   * other, the response would have been ready after assessmentMs + draftMs;
+   * responseReadyMs is when it actually was. Returns the fields to log.
+   */
+  recordTiming({ processingMs, assessmentMs, draftMs, responseReadyMs, draftAction }) {
+    const savedMs = Math.max(0, assessmentMs + draftMs - responseReadyMs);
+
+    this.timings.messages++;
+    this.timings.processingMs += processingMs;
+    this.timings.savedMs += savedMs;
+    this.timings.draftActions[draftAction] = (this.timings.draftActions[draftAction] || 0) + 1;
+
+    return { assessmentMs, draftMs, savedMs, draftAction };
+  }
+
+  /**
+   * Average processing time and time saved per message since startup
+   */
+  getTimingStats() {
+    const { messages, processingMs, savedMs, draftActions } = this.timings;
+    if (messages === 0) return { messages };
+
+    return {
+      messages,
+      avgProcessingMs: Math.round(processingMs / messages),
+      avgSequentialEstimateMs: Math.round((processingMs + savedMs) / messages),
+      avgSavedMs: Math.round(savedMs / messages),
+      draftActions: { ...draftActions }
+    };
+  }
+
   /**
    * Generate response and send
    */
@@ -161,24 +344,248 @@ class MessageHandler {
     return response;
   }
 
+  /**
+   * Messages answered without the conversation pipeline: replies during a
+   * guided exercise, ratings for the latest mood check-in, commands and
+   * journal entries. Resolves to { response, type } or null.
+   */
+  async handleDirect(phoneNumber, user, message) {
+    // Replies during a guided exercise go to its next step
+    const exerciseResult = await exercises.handleMessage(phoneNumber, user, message);
+    if (exerciseResult.handled) {
+      return { response: exerciseResult.response, type: 'isExercise' };
+    }
+
+    // A 1-10 reply to the latest mood check-in
+    const moodResult = await moodTracking.handleReply(phoneNumber, user, message);
+    if (moodResult.handled) {
+      return { response: moodResult.response, type: 'isMoodRating' };
+    }
+
+    // Check for special commands
+    const commandResult = await this.handleCommands(phoneNumber, message, user);
+    if (commandResult.handled) {
+      return { response: commandResult.response, type: 'isCommand' };
+    }
+
+    // Check if this is a journal entry
+    if (journaling.isJournalEntry(message)) {
+      const result = await journaling.saveJournalEntry(phoneNumber, message);
+      return { response: result.acknowledgment, type: 'isJournal' };
+    }
+
+    return null;
+  }
+
   /**
    * Handle special commands
    */
   async handleCommands(phoneNumber, message, user) {
     const lowerMessage = message.toLowerCase().trim();
+    // Free-text commands ("remember that...", "forget about...") never
+    // swallow a message that needs the crisis checks
+    const mentionsCrisis = containsCrisisKeyword(message);
 
     // Forget me / delete data
     if (lowerMessage === 'forget me' || lowerMessage === 'delete my data') {
-      await redisService.deleteUserData(phoneNumber);
+      await storage.deleteUserData(phoneNumber);
       return {
         handled: true,
         response: "I've deleted all your data. If you ever want to chat again, just send a message and we'll start fresh. Take care 💙"
       };
     }
 
+    // What the bot remembers about them
+    if (/^what do you (remember|know) about me\??$/.test(lowerMessage) || lowerMessage === 'my memories') {
+      const memory = await longTermMemory.getMemory(phoneNumber);
+      if (memory.facts.length === 0) {
+        return {
+          handled: true,
+          response: "I don't have anything saved about you yet - I pick things up as we talk. You can also tell me \"remember that ...\""
+        };
+      }
+      const facts = memory.facts.map((fact, i) => `${i + 1}. ${fact.text}`).join('\n');
+      return {
+        handled: true,
+        response: `Here's what I remember about you:
+
+${facts}
+
+Say "forget 2" to drop one, or "correct 2: ..." to fix it.`
+      };
+    }
+
+    // Forget one remembered fact, by number or by exactly what it says
+    const forgetMatch = !mentionsCrisis && message.trim().match(/^forget (that |about )?(.+?)[.!]?$/i);
+    if (forgetMatch) {
+      const forgotten = await longTermMemory.forgetFact(phoneNumber, forgetMatch[2]);
+      if (forgotten) {
+        return {
+          handled: true,
+          response: `Okay, I've forgotten that: "${forgotten.text}"`
+        };
+      }
+      // Only "forget 3" is clearly a command; "forget about work" and
+      // "forget it, ..." are usually just conversation
+      if (/^\d+$/.test(forgetMatch[2])) {
+        return {
+          handled: true,
+          response: 'I couldn\'t tell which memory you meant. Say "what do you remember about me" to see the list, then "forget" and its number.'
+        };
+      }
+    }
+
+    // Correct a remembered fact
+    const correctMatch = !mentionsCrisis && message.trim().match(/^correct (\d+)(?::| to) (.+)$/i);
+    if (correctMatch) {
+      const corrected = await longTermMemory.correctFact(phoneNumber, correctMatch[1], correctMatch[2]);
+      return {
+        handled: true,
+        response: corrected
+          ? `Thanks for setting me straight - I'll remember: "${corrected.text}"`
+          : 'I couldn\'t find that one. Say "what do you remember about me" to see the numbers.'
+      };
+    }
+
+    // Tell the bot something to remember
+    const rememberMatch = !mentionsCrisis && message.trim().match(/^(?:remember that|remember:|correction:) (.+)$/i);
+    if (rememberMatch) {
+      const { fact, replaced } = await longTermMemory.rememberFact(phoneNumber, rememberMatch[1]);
+      return {
+        handled: true,
+        response: replaced
+          ? `Got it, I've updated that - I'll remember "${fact.text}" instead of "${replaced.text}".`
+          : `Got it, I'll remember: "${fact.text}"`
+      };
+    }
+
+    // "actually my sister's name is Ana" - only handled if it corrects something remembered
+    const actuallyMatch = !mentionsCrisis && message.trim().match(/^actually,? (.+)$/i);
+    if (actuallyMatch) {
+      const correction = await longTermMemory.rememberFact(phoneNumber, actuallyMatch[1], { onlyIfCorrection: true });
+      if (correction) {
+        return {
+          handled: true,
+          response: `Oh, thanks for correcting me - I'll remember "${correction.fact.text}" instead of "${correction.replaced.text}".`
+        };
+      }
+    }
+
+    // Switch conversation mode
+    const modeCommand = conversationMode.parseCommand(lowerMessage);
+    if (modeCommand) {
+      await conversationMode.setMode(phoneNumber, modeCommand.mode);
+      return {
+        handled: true,
+        response: getModeConfirmation(modeCommand.mode)
+      };
+    }
+
+    if (lowerMessage === 'what mode' || lowerMessage === 'what mode are you in?' || lowerMessage === 'modes') {
+      return {
+        handled: true,
+        response: getModeStatus(conversationMode.getMode(user))
+      };
+    }
+
+    // Mood ratings and history
+    if (lowerMessage === 'my mood' || lowerMessage === 'mood' || lowerMessage === 'mood history') {
+      return {
+        handled: true,
+        response: await moodTracking.getSummaryText(phoneNumber)
+      };
+    }
+
+    const rating = /^mood:? /.test(lowerMessage) && moodTracking.parseRating(lowerMessage);
+    if (rating) {
+      await moodTracking.record(phoneNumber, { ...rating, source: 'command' });
+      // "mood 1 want to die" still needs the crisis checks
+      if (mentionsCrisis) {
+        return { handled: false };
+      }
+      return {
+        handled: true,
+        response: getMoodAcknowledgment(rating.score, rating.word)
+      };
+    }
+
+    // Weekly recap
+    const recapCommand = weeklyRecap.parseCommand(lowerMessage);
+    if (recapCommand !== null) {
+      await weeklyRecap.setEnabled(phoneNumber, recapCommand);
+      return {
+        handled: true,
+        response: getWeeklyRecapConfirmation(recapCommand)
+      };
+    }
+
+    if (lowerMessage === 'my week' || lowerMessage === 'weekly recap' || lowerMessage === 'recap my week') {
+      const { text, empty } = await weeklyRecap.generate(phoneNumber);
+      return {
+        handled: true,
+        response: empty
+          ? getEmptyWeekText()
+          : text || "I couldn't put your recap together just now - try again in a little while?"
+      };
+    }
+
+    // Guided exercises
+    if (lowerMessage === 'exercises' || lowerMessage === 'exercise' || lowerMessage === 'coping exercises') {
+      return {
+        handled: true,
+        response: exercises.getMenu()
+      };
+    }
+
+    if (/^(resume|continue) (the |my )?exercise[.!]?$/.test(lowerMessage)) {
+      const resumed = await exercises.resume(phoneNumber, user);
+      return {
+        handled: true,
+        response: resumed || 'There\'s no paused exercise to pick up. Say "exercises" to see what we can do together.'
+      };
+    }
+
+    const exerciseId = exercises.findByCommand(lowerMessage);
+    if (exerciseId) {
+      return {
+        handled: true,
+        response: await exercises.start(phoneNumber, exerciseId, message)
+      };
+    }
+
+    // Export a copy of their data
+    if (lowerMessage === 'export my data' || lowerMessage === 'download my data') {
+      const links = await dataExport.createExport(phoneNumber);
+      return {
+        handled: true,
+        response: `Here's a copy of everything I have for you. These links work for the next ${links.expiresInMinutes} minutes:
+
+📄 Readable version: ${links.markdownUrl}
+🗂 Full data (JSON): ${links.jsonUrl}`
+      };
+    }
+
+    // Choose a shorter retention period for their own data
+    const retentionMatch = lowerMessage.match(/^keep my data for (\d+) days?$/);
+    if (retentionMatch) {
+      const days = await retention.setUserRetention(phoneNumber, parseInt(retentionMatch[1], 10));
+      return {
+        handled: true,
+        response: `Done - I'll only keep your messages and journal entries for ${days} day${days === 1 ? '' : 's'}. Anything older gets deleted automatically.`
+      };
+    }
+
+    if (lowerMessage === 'reset data retention') {
+      await retention.setUserRetention(phoneNumber, null);
+      return {
+        handled: true,
+        response: "Got it, I'm back to the standard retention period for your data."
+      };
+    }
+
     // Stop check-ins
     if (lowerMessage === 'stop' || lowerMessage === 'stop check-ins' || lowerMessage === 'unsubscribe') {
-      await redisService.setSchedule(phoneNumber, {
+      await storage.setSchedule(phoneNumber, {
         nextCheckIn: null,
         nextJournalPrompt: null,
         followUps: []
@@ -207,7 +614,14 @@ class MessageHandler {
 📝 Journal: Start a message with "j:" to save a journal entry
 ⏸ Stop check-ins: Say "stop" to pause proactive messages
 ▶️ Resume: Say "resume" to restart check-ins
+🧠 Memories: Say "what do you remember about me" to see, fix or forget them
+📊 Mood: Say "mood 7" to log how you feel (1-10), or "my mood" to see your trend
+🗓 Weekly recap: Say "weekly recap on" for a Sunday look back at your week ("my week" for one now)
+🫁 Exercises: Say "exercises" for guided breathing, grounding and more
+👂 Modes: Say "just listen", "give me ideas" or "distract me" ("modes" for more)
+📦 Export data: Say "export my data" to get a copy of everything
 🗑 Delete data: Say "forget me" to delete all your data
+🕒 Retention: Say "keep my data for 30 days" to auto-delete older data
 💬 Or just chat - I'm here to listen!`
       };
     }
@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const redisService = require('../services/redis');
+const storage = require('../services/storage');
 const loopMessage = require('../services/loopMessage');
 const { normalizePhoneNumber } = require('../utils/helpers');
 
@@ -46,7 +46,7 @@ class ReactionHandler {
   async storeReaction(phoneNumber, reaction, targetMessageId) {
     try {
       // Add reaction to conversation history as a special message
-      await redisService.addMessage(phoneNumber, {
+      await storage.addMessage(phoneNumber, {
         role: 'user',
         content: `[Reacted with ${reaction}]`,
         type: 'reaction',
@@ -85,26 +85,11 @@ class ReactionHandler {
 
     if (emotionalSignal) {
       try {
-        const user = await redisService.getUser(phoneNumber);
-        if (user) {
-          const history = user.emotionalState?.history || [];
-          history.push({
-            emotion: emotionalSignal,
-            source: 'reaction',
-            timestamp: Date.now()
-          });
-
-          // Keep only last 20
-          if (history.length > 20) history.shift();
-
-          await redisService.updateUser(phoneNumber, {
-            emotionalState: {
-              ...user.emotionalState,
-              history,
-              lastUpdated: Date.now()
-            }
-          });
-        }
+        await storage.recordEmotion(phoneNumber, {
+          emotion: emotionalSignal,
+          source: 'reaction',
+          timestamp: Date.now()
+        });
       } catch (error) {
         // Non-critical, ignore
       }
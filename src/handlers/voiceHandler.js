@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const redisService = require('../services/redis');
+const storage = require('../services/storage');
 const loopMessage = require('../services/loopMessage');
 const { normalizePhoneNumber } = require('../utils/helpers');
 
@@ -54,7 +54,7 @@ class VoiceHandler {
    */
   async storeVoiceMessage(phoneNumber, url, type) {
     try {
-      await redisService.addMessage(phoneNumber, {
+      await storage.addMessage(phoneNumber, {
         role: 'user',
         content: '[Voice message received]',
         type: 'voice',
@@ -84,16 +84,11 @@ class VoiceHandler {
    */
   async updateUserActivity(phoneNumber) {
     try {
-      const user = await redisService.getUser(phoneNumber);
-      if (user) {
-        await redisService.updateUser(phoneNumber, {
-          stats: {
-            ...user.stats,
-            lastActive: Date.now(),
-            messageCount: (user.stats.messageCount || 0) + 1
-          }
-        });
-      }
+      await storage.incrementUserStats(
+        phoneNumber,
+        { messageCount: 1 },
+        { lastActive: Date.now() }
+      );
     } catch (error) {
       // Non-critical
     }
@@ -0,0 +1,53 @@
+const { EVENT_GUIDELINES, mentionsTime, describeNow } = require('./eventPrompt');
+const { UNTRUSTED_TEXT_NOTICE, quoteUserText, quoteTranscript, getInjectionWarning } = require('./promptSafety');
+
+const EMOTIONS = ['happy', 'sad', 'anxious', 'angry', 'neutral', 'hopeful', 'stressed', 'grateful', 'lonely', 'excited'];
+
+/**
+ * Get prompt that analyzes an incoming message in one go: emotion, crisis
+ * risk and (when it mentions a time) upcoming events
+ */
+const getMessageAnalysisPrompt = (message, recentMessages = [], now = new Date()) => {
+  const withEvents = mentionsTime(message);
+
+  return `Analyze a text message a user sent to a supportive friend. Assess it carefully and respond in JSON.
+
+${UNTRUSTED_TEXT_NOTICE}
+
+User message:
+${quoteUserText(message)}
+${getInjectionWarning(message)}
+${recentMessages.length > 0 ? `Recent conversation context:\n${quoteTranscript(recentMessages, 100)}` : ''}
+
+1. Emotion: the main emotional state, one of: ${EMOTIONS.join(', ')}.
+   Also rate valence from -1 (very negative) to 1 (very positive), and arousal from 0 (calm, flat) to 1 (agitated, energized).
+
+2. Crisis risk:
+- "low": Normal conversation, no concerning content
+- "medium": Some distress or concerning language, but not immediate crisis
+- "high": Significant distress, mentions of self-harm, hopelessness, or crisis-adjacent content
+- "critical": Explicit mention of suicide, immediate self-harm intent, or acute crisis
+   Recommend a follow-up check-in (in hours) if a friend should check back on them, otherwise null.
+${withEvents ? `
+3. Upcoming events (now is ${describeNow(now)}).
+${EVENT_GUIDELINES}
+` : ''}
+Respond ONLY with valid JSON in this exact format:
+{
+  "emotion": "${EMOTIONS.join('|')}",
+  "valence": number,
+  "arousal": number,
+  "crisis": {
+    "level": "low|medium|high|critical",
+    "reasoning": "brief explanation",
+    "recommend_resources": true|false,
+    "follow_up_hours": null|number
+  }${withEvents ? `,
+  "events": [{ "description": "...", "date": "YYYY-MM-DD", "time": "HH:MM or null" }]` : ''}
+}`;
+};
+
+module.exports = {
+  EMOTIONS,
+  getMessageAnalysisPrompt
+};
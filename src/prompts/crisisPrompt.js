@@ -1,14 +1,18 @@
 const config = require('../config');
+const { UNTRUSTED_TEXT_NOTICE, quoteUserText, quoteTranscript, getInjectionWarning } = require('./promptSafety');
 
 /**
  * Get crisis assessment prompt for LLM
  */
-const getCrisisAssessmentPrompt = (message, recentContext = '') => {
+const getCrisisAssessmentPrompt = (message, recentMessages = []) => {
   return `You are evaluating a message for crisis risk level. Assess carefully and respond in JSON.
 
-User message: "${message}"
+${UNTRUSTED_TEXT_NOTICE}
 
-${recentContext ? `Recent conversation context: ${recentContext}` : ''}
+User message:
+${quoteUserText(message)}
+${getInjectionWarning(message)}
+${recentMessages.length > 0 ? `Recent conversation context:\n${quoteTranscript(recentMessages, 100)}` : ''}
 
 Evaluate the crisis risk level:
 - "low": Normal conversation, no concerning content
@@ -87,7 +91,8 @@ const getCrisisKeywords = () => config.crisisKeywords;
  */
 const containsCrisisKeyword = (message) => {
   if (!message) return false;
-  const lowerMessage = message.toLowerCase();
+  // Phones often send curly apostrophes ("can’t go on")
+  const lowerMessage = message.toLowerCase().replace(/[‘’]/g, '\'');
   return config.crisisKeywords.some(keyword => lowerMessage.includes(keyword.toLowerCase()));
 };
 
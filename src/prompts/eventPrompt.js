@@ -0,0 +1,67 @@
+const { UNTRUSTED_TEXT_NOTICE, quoteUserText } = require('./promptSafety');
+
+// Cheap check before asking the LLM - does the message mention a time at all?
+const TIME_PATTERN = new RegExp([
+  '\\b(today|tonight|tomorrow|tmrw|this (morning|afternoon|evening)|weekend)\\b',
+  '\\b(mon|tues?|wed(nes)?|thu(rs)?|fri|sat(ur)?|sun)(day)?s?\\b',
+  '\\b(next|this|coming) (week|month)\\b',
+  '\\bin (a|an|\\d+|two|three|few|couple( of)?) (days?|weeks?)\\b',
+  '\\b(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sept?(ember)?|oct(ober)?|nov(ember)?|dec(ember)?) \\d{1,2}',
+  '\\b\\d{1,2}/\\d{1,2}\\b',
+  '\\bon the \\d{1,2}(st|nd|rd|th)\\b',
+  '\\b\\d{1,2}(:\\d{2})? ?(am|pm)\\b'
+].join('|'), 'i');
+
+/**
+ * Check whether a message might mention an upcoming event
+ */
+const mentionsTime = (message) => TIME_PATTERN.test(message);
+
+/**
+ * Current day and time as the event prompts show it, e.g. "Monday 2024-03-04 14:30"
+ */
+const describeNow = (now = new Date()) => {
+  const pad = n => String(n).padStart(2, '0');
+  const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const weekday = now.toLocaleDateString('en-US', { weekday: 'long' });
+  return `${weekday} ${today} ${pad(now.getHours())}:${pad(now.getMinutes())}`;
+};
+
+/**
+ * Which events to pick out and how to describe them (shared with the
+ * combined message analysis prompt)
+ */
+const EVENT_GUIDELINES = `Only include specific things happening to the user in the future that a friend would ask about afterwards (an interview, an exam, seeing family, a doctor's appointment, a date). Skip past events, routine tasks, and anything without a day you can work out.
+
+For each event give:
+- "description": a few words from the friend's point of view, e.g. "your job interview", "seeing your dad"
+- "date": the day it happens as YYYY-MM-DD (the last day if it spans several, e.g. a weekend)
+- "time": the start time as HH:MM (24h) if they said one, otherwise null`;
+
+/**
+ * Get prompt that extracts dated upcoming events from a user message
+ */
+const getEventExtractionPrompt = (message, now = new Date()) => {
+  return `Find upcoming events in a user's text message so a supportive friend can ask how they went. Respond in JSON.
+
+Now: ${describeNow(now)}
+
+${UNTRUSTED_TEXT_NOTICE}
+
+User message:
+${quoteUserText(message, 500)}
+
+${EVENT_GUIDELINES}
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "events": [{ "description": "...", "date": "YYYY-MM-DD", "time": "HH:MM or null" }]
+}`;
+};
+
+module.exports = {
+  EVENT_GUIDELINES,
+  mentionsTime,
+  describeNow,
+  getEventExtractionPrompt
+};
@@ -0,0 +1,135 @@
+/**
+ * Guided coping exercises. Each one is a fixed list of steps sent one at a
+ * time; the user's reply to a step moves them on to the next. Steps with a
+ * `key` ask for an answer that's saved with the conversation, so the last
+ * message can look back at what they said.
+ */
+const EXERCISES = {
+  'box-breathing': {
+    name: 'Box breathing',
+    description: 'slow, even breaths to calm your body down (2 min)',
+    triggers: ['breathe', 'box breathing', 'breathing', 'breathing exercise'],
+    steps: [
+      {
+        text: `Let's breathe together 🫁 Sit or stand comfortably and let your shoulders drop.
+
+We'll breathe in a box shape - 4 counts for each side:
+⬆️ In through your nose - 2, 3, 4
+➡️ Hold - 2, 3, 4
+⬇️ Out through your mouth - 2, 3, 4
+⬅️ Hold - 2, 3, 4
+
+Try one round, then reply with anything when you're done.`
+      },
+      {
+        text: `Nice. Now three more rounds at your own pace - no rush:
+In 2, 3, 4... hold 2, 3, 4... out 2, 3, 4... hold 2, 3, 4.
+
+Reply when you've done three.`
+      },
+      {
+        text: 'Last one: how does your body feel now compared to when we started? A word or two is plenty.'
+      }
+    ],
+    completion: 'Well done 💙 Your breath is always there for you - say "breathe" any time you want to do this again.'
+  },
+
+  grounding: {
+    name: '5-4-3-2-1 grounding',
+    description: 'use your senses to come back to the present moment (3 min)',
+    triggers: ['grounding', 'ground me', '5-4-3-2-1', '54321', 'grounding exercise'],
+    steps: [
+      {
+        text: `Let's bring you back to right here, right now 🌿 Take your time with each one.
+
+👀 Look around and name 5 things you can see.`
+      },
+      { text: '✋ Good. Now 4 things you can touch or feel - your feet on the floor, your clothes, anything.' },
+      { text: '👂 3 things you can hear right now, near or far.' },
+      { text: '👃 2 things you can smell (or 2 smells you like, if nothing comes).' },
+      { text: '👅 And 1 thing you can taste.' },
+      { text: 'You did it. How are you feeling now, compared to a few minutes ago?' }
+    ],
+    completion: 'Thank you for doing that with me 💙 Say "grounding" whenever you need to come back to the present.'
+  },
+
+  'muscle-relaxation': {
+    name: 'Progressive muscle relaxation',
+    description: 'tense and release each part of your body to let go of tension (5 min)',
+    triggers: ['relax', 'muscle relaxation', 'progressive muscle relaxation', 'pmr'],
+    steps: [
+      {
+        text: `Let's release some tension 🧘 For each part of your body: tense it for about 5 seconds, then let go completely and notice the difference for 10.
+
+First, your hands: make tight fists... hold... and release. Reply when you're done.`
+      },
+      { text: 'Now your shoulders: pull them up toward your ears... hold... and let them drop.' },
+      { text: 'Your face: scrunch up your forehead, eyes and jaw... hold... and soften everything.' },
+      { text: 'Your stomach: tighten your belly muscles... hold... and let it go soft as you breathe out.' },
+      { text: 'Your legs and feet: point your toes and tense your legs... hold... and release.' },
+      { text: 'Take one slow breath and notice your whole body. How does it feel now?' }
+    ],
+    completion: 'Nicely done 💙 Your body knows how to let go now - say "relax" any time you want to do this again.'
+  },
+
+  'thought-record': {
+    name: 'Thought record',
+    description: 'untangle a thought that\'s bothering you, one question at a time (10 min)',
+    triggers: ['thought record', 'cbt', 'challenge a thought', 'thought exercise'],
+    steps: [
+      {
+        key: 'situation',
+        text: `Let's look at a thought that's weighing on you 📝 There are no wrong answers.
+
+First: what happened? Describe the situation briefly - where you were, what was going on.`
+      },
+      { key: 'thought', text: 'What went through your mind? Write the thought as it showed up, even if it sounds harsh.' },
+      { key: 'feeling', text: 'How did that make you feel, and how strongly? (e.g. "anxious, 80 out of 100")' },
+      { key: 'evidenceFor', text: 'What makes that thought feel true? List whatever comes to mind.' },
+      { key: 'evidenceAgainst', text: 'Now the other side: what doesn\'t fit the thought? Anything you might be overlooking, or that a friend would point out?' },
+      { key: 'balancedThought', text: 'Putting both sides together, what\'s a more balanced way to see it? It doesn\'t have to be positive - just fair.' },
+      { key: 'feelingAfter', text: 'Reading that back, how strong is the feeling now, out of 100?' }
+    ],
+    completion: (answers) => {
+      const lines = ['Here\'s your thought record 📝', ''];
+      if (answers.thought) lines.push(`💭 Thought: ${answers.thought}`);
+      if (answers.feeling) lines.push(`😣 Feeling: ${answers.feeling}`);
+      if (answers.balancedThought) lines.push(`⚖️ Balanced view: ${answers.balancedThought}`);
+      if (answers.feelingAfter) lines.push(`🌤 Feeling now: ${answers.feelingAfter}`);
+      lines.push('', 'That took real effort - well done 💙 Say "thought record" any time you want to work through another one.');
+      return lines.join('\n');
+    }
+  }
+};
+
+const CONTROLS_HINT = '(Say "pause" to take a break or "exit" to stop at any time.)';
+
+/**
+ * List of exercises and how to start them
+ */
+const getExerciseMenu = () => {
+  const items = Object.values(EXERCISES)
+    .map(exercise => `• "${exercise.triggers[0]}" - ${exercise.name}: ${exercise.description}`)
+    .join('\n');
+
+  return `Here are some exercises we can do together, one step at a time:
+
+${items}
+
+Just say the word in quotes to start.`;
+};
+
+/**
+ * Line added to a reply to offer an exercise
+ */
+const getExerciseSuggestion = (exerciseId) => {
+  const exercise = EXERCISES[exerciseId];
+  return `If it would help, we could try a short ${exercise.name.toLowerCase()} exercise together - just say "${exercise.triggers[0]}".`;
+};
+
+module.exports = {
+  EXERCISES,
+  CONTROLS_HINT,
+  getExerciseMenu,
+  getExerciseSuggestion
+};
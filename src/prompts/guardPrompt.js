@@ -0,0 +1,51 @@
+const { UNTRUSTED_TEXT_NOTICE, quoteUserText } = require('./promptSafety');
+
+/**
+ * Get prompt that checks a drafted reply against the response guard rules
+ */
+const getResponseGuardPrompt = (reply, userMessage, rules) => {
+  const ruleList = Object.entries(rules)
+    .map(([id, rule]) => `- "${id}": the reply ${rule.description}`)
+    .join('\n');
+
+  return `Check a reply that a supportive friend (not a therapist) is about to text to a user. Respond in JSON.
+
+${UNTRUSTED_TEXT_NOTICE}
+
+User's message:
+${quoteUserText(userMessage, 500)}
+
+Reply to check (it may quote the user, so it is tagged the same way):
+${quoteUserText(reply, 2000)}
+
+Flag the reply only if it clearly breaks one of these rules:
+${ruleList}
+
+Quoting or reflecting what the user said is fine, and so is gently suggesting they talk to a doctor or professional.
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "violations": [{ "rule": "rule id", "excerpt": "the exact words from the reply" }]
+}`;
+};
+
+/**
+ * Feedback added to the system prompt when a reply is regenerated
+ */
+const getGuardFeedback = (violations, rules) => {
+  const reasons = [...new Set(violations.map(v => rules[v.rule]?.description).filter(Boolean))];
+  return `Your last draft was not sent because it ${reasons.join('; and it ')}. Write a new reply that doesn't.`;
+};
+
+/**
+ * Sent when a reply can't be fixed
+ */
+const getSafeReply = () => {
+  return "I hear you, and I'm really glad you told me. Can you tell me a bit more about what's going on?";
+};
+
+module.exports = {
+  getResponseGuardPrompt,
+  getGuardFeedback,
+  getSafeReply
+};
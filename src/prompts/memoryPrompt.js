@@ -0,0 +1,75 @@
+const { UNTRUSTED_TEXT_NOTICE, quoteUserText, quoteTranscript } = require('./promptSafety');
+
+const FACT_CATEGORIES = ['people', 'work', 'goals', 'struggles', 'other'];
+
+/**
+ * Get prompt that folds new messages into a user's long-term memory
+ */
+const getMemoryUpdatePrompt = (memory, messages, maxFacts) => {
+  const facts = memory.facts.length > 0
+    ? memory.facts.map(f => `${f.id} | ${f.category} | ${f.text}${f.source === 'user' ? ' (they told you this directly)' : ''}`).join('\n')
+    : '(none yet)';
+
+  const forgotten = memory.forgotten.length > 0
+    ? `\nThey asked you to forget these - never add them back, and leave them out of the summary:\n${memory.forgotten.map(text => `- ${text}`).join('\n')}\n`
+    : '';
+
+  return `You keep the long-term memory for a supportive friend who texts with a user. Update it with the new conversation below and respond in JSON.
+
+${UNTRUSTED_TEXT_NOTICE}
+
+Current summary:
+${memory.summary || '(none yet)'}
+
+Known facts (id | category | fact):
+${facts}
+${forgotten}
+New conversation:
+${quoteTranscript(messages, 500)}
+
+Update the memory:
+- "summary": a short paragraph (under 150 words) about what's going on in their life and what you've talked about. Merge the current summary with the new conversation and drop details that no longer matter.
+- "facts": durable things they've shared - people in their life, work or school, goals, recurring struggles, preferences. Keep the id of facts that still hold (editing the text if it changed), leave out facts that are no longer true, and add new facts with a null id. At most ${maxFacts}.
+- Write from the friend's point of view in plain, non-clinical language. No diagnoses, and don't record details of crisis moments as facts.
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "summary": "...",
+  "facts": [{ "id": "existing id or null", "category": "${FACT_CATEGORIES.join('|')}", "text": "..." }]
+}`;
+};
+
+/**
+ * Get prompt that turns something the user asked us to remember into a
+ * fact, and finds the existing fact it corrects (if any)
+ */
+const getMemoryCorrectionPrompt = (facts, statement) => {
+  const known = facts.length > 0
+    ? facts.map(f => `${f.id} | ${f.category} | ${f.text}`).join('\n')
+    : '(none)';
+
+  return `A user told their supportive friend chatbot something to remember about them. Turn it into a short fact and respond in JSON.
+
+${UNTRUSTED_TEXT_NOTICE}
+
+What they said:
+${quoteUserText(statement, 500)}
+
+Facts already remembered (id | category | fact):
+${known}
+
+If it corrects or replaces one of the facts above, give that fact's id in "replaces", otherwise null. Write the fact in the third person, in plain language (e.g. "Sister is named Ana").
+
+Respond ONLY with valid JSON in this exact format:
+{
+  "replaces": "id or null",
+  "category": "${FACT_CATEGORIES.join('|')}",
+  "text": "..."
+}`;
+};
+
+module.exports = {
+  FACT_CATEGORIES,
+  getMemoryUpdatePrompt,
+  getMemoryCorrectionPrompt
+};
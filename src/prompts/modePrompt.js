@@ -0,0 +1,75 @@
+/**
+ * Conversation modes a user can pick. Each one changes how the system
+ * prompt asks the model to respond, and how long responses can be.
+ */
+const CONVERSATION_MODES = {
+  vent: {
+    label: 'just listen',
+    length: 'Keeps responses short (1-3 sentences)',
+    instructions: `They want to be heard right now, not fixed:
+- Reflect back what they're feeling and validate it
+- Don't offer advice, solutions, silver linings or reframes unless they ask
+- Ask at most one gentle question, or none - it's fine to just acknowledge
+- Let them lead; don't steer the conversation somewhere else`
+  },
+  advice: {
+    label: 'ideas',
+    length: 'Can write a bit more when sharing ideas (up to 6-8 sentences), but stays conversational',
+    instructions: `They want practical ideas:
+- Briefly acknowledge how they feel, then get to concrete suggestions
+- Offer 2-3 small, doable ideas that fit their situation, not generic tips
+- Ask what they've already tried if you don't know
+- Frame ideas as options, not instructions, and never as medical advice`
+  },
+  distraction: {
+    label: 'distraction',
+    length: 'Keeps responses short and light (1-3 sentences)',
+    instructions: `They want a break from what's weighing on them:
+- Keep it light, playful and low-effort for them
+- Bring up something easy to talk about: a fun question, a would-you-rather, a small game, their interests
+- Don't bring up their problems or ask how they're feeling about them
+- If they bring something heavy back up, follow their lead`
+  }
+};
+
+const DEFAULT_LENGTH = 'Keeps responses concise (2-4 sentences usually) unless the user needs more';
+
+/**
+ * Reply when a user switches mode (null = back to the default)
+ */
+const getModeConfirmation = (mode) => {
+  switch (mode) {
+    case 'vent':
+      return "Got it - I'll just listen. No advice unless you ask for it. What's going on? 💙";
+    case 'advice':
+      return "Okay, I'll share ideas and practical suggestions. What would you like help with?";
+    case 'distraction':
+      return "Let's take your mind off things! Quick one: if you could be anywhere in the world right now, where would you be? 🌴";
+    default:
+      return "Got it, back to normal - I'll listen and share ideas when it seems helpful.";
+  }
+};
+
+/**
+ * Reply to "what mode" - the current mode and how to change it
+ */
+const getModeStatus = (mode) => {
+  const current = mode
+    ? `Right now I'm in "${CONVERSATION_MODES[mode].label}" mode.`
+    : "Right now I'm in normal mode - listening and sharing ideas when it seems helpful.";
+
+  return `${current}
+
+You can say:
+👂 "just listen" - I'll listen without giving advice
+💡 "give me ideas" - I'll suggest practical things to try
+🎈 "distract me" - we'll talk about something lighter
+🔄 "normal mode" - back to the default`;
+};
+
+module.exports = {
+  CONVERSATION_MODES,
+  DEFAULT_LENGTH,
+  getModeConfirmation,
+  getModeStatus
+};
@@ -0,0 +1,63 @@
+/**
+ * Question added to the morning check-in
+ */
+const getMoodCheckInQuestion = () => {
+  const questions = [
+    'On a scale of 1-10, how are you feeling this morning? (Add a word if you like, e.g. "6 tired")',
+    'Quick mood check: 1-10, where are you at today? A word to go with it is welcome too.',
+    'How would you rate your mood right now, 1 (rough) to 10 (great)? Feel free to add a word.'
+  ];
+  return questions[Math.floor(Math.random() * questions.length)];
+};
+
+/**
+ * Reply to a mood rating
+ */
+const getMoodAcknowledgment = (score, word) => {
+  const noted = word ? `${score} - ${word}. Noted 📊` : `A ${score}, noted 📊`;
+
+  if (score <= 3) {
+    return `${noted} That sounds like a hard start. Want to talk about what's going on? I'm here.`;
+  }
+  if (score <= 5) {
+    return `${noted} Thanks for being honest. Anything weighing on you today?`;
+  }
+  if (score <= 7) {
+    return `${noted} Hope the day treats you well - anything you're looking forward to?`;
+  }
+  return `${noted} Love that! What's helping you feel good today?`;
+};
+
+/**
+ * Daily and weekly averages for "my mood"
+ */
+const getMoodSummaryText = ({ daily, weekly }) => {
+  if (daily.length === 0 && weekly.length === 0) {
+    return 'I don\'t have any mood ratings from you yet. Send "mood" and a number from 1-10 (like "mood 6 tired") any time, or answer the morning check-in.';
+  }
+
+  const dayLabel = (date) => new Date(`${date}T00:00:00Z`)
+    .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+  const bar = (average) => '●'.repeat(Math.round(average)) + '○'.repeat(10 - Math.round(average));
+
+  const lines = ['Your mood lately (1-10):', ''];
+  for (const day of daily) {
+    lines.push(`${dayLabel(day.date)}: ${bar(day.average)} ${day.average}`);
+  }
+
+  if (weekly.length > 1) {
+    lines.push('', 'Weekly averages:');
+    for (const week of weekly) {
+      lines.push(`Week of ${dayLabel(week.date)}: ${week.average} (${week.count} rating${week.count === 1 ? '' : 's'})`);
+    }
+  }
+
+  lines.push('', 'Send "mood" and a number (like "mood 7") any time to add one.');
+  return lines.join('\n');
+};
+
+module.exports = {
+  getMoodCheckInQuestion,
+  getMoodAcknowledgment,
+  getMoodSummaryText
+};
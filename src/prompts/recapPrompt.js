@@ -0,0 +1,76 @@
+const { UNTRUSTED_TEXT_NOTICE, quoteUserText } = require('./promptSafety');
+
+/**
+ * Get prompt for the opt-in weekly recap. `week` is what WeeklyRecapService
+ * gathered: journal entries, daily mood averages, this and last week's
+ * average, the journaling streak and a few highlights.
+ */
+const getWeeklyRecapPrompt = (week, maxEntryChars) => {
+  const { name, journalEntries, mood, streak, highlights } = week;
+
+  const journalSection = journalEntries.length > 0
+    ? journalEntries
+      .map(entry => `${entry.date}:\n${quoteUserText(entry.content, maxEntryChars)}`)
+      .join('\n\n')
+    : 'No journal entries this week.';
+
+  const moodLines = mood.daily.length > 0
+    ? mood.daily.map(day => `- ${day.date}: ${day.average}/10${day.words.length ? ` (${day.words.join(', ')})` : ''}`)
+    : ['- No mood ratings this week.'];
+  if (mood.thisWeek !== null && mood.lastWeek !== null) {
+    moodLines.push(`- Average this week: ${mood.thisWeek}, the week before: ${mood.lastWeek}`);
+  } else if (mood.thisWeek !== null) {
+    moodLines.push(`- Average this week: ${mood.thisWeek}`);
+  }
+
+  return `Write a short weekly recap text message from a supportive friend (not a therapist) to a friend, looking back at the week they shared with you.
+
+${UNTRUSTED_TEXT_NOTICE}
+${name ? `\nTheir name:\n${quoteUserText(name, 100)}\n` : ''}
+Their journal entries this week:
+${journalSection}
+
+Their mood ratings this week (1-10, with any word they added):
+${moodLines.join('\n')}
+
+Journaling streak: ${streak} day${streak === 1 ? '' : 's'} in a row
+${highlights.length > 0 ? `\nOther things from their week:\n${highlights.map(h => `- ${h}`).join('\n')}\n` : ''}
+Write the recap:
+- 4-6 short sentences, warm and casual, like a text from a friend
+- Reflect one or two themes from their journal in your own words - don't quote entries at length
+- Describe the mood trend in plain, everyday words ("a rough start that eased up", "pretty steady"), not as a score analysis
+- Mention the streak only if it's more than 1 day, as encouragement, never as pressure
+- Point out one or two highlights or small wins, if there were any
+- End with a gentle, open question about the week ahead
+
+Stay strictly non-clinical:
+- Don't diagnose, label or name conditions (no "depression", "anxiety disorder", "symptoms", "episode", "trauma response")
+- Don't interpret the ratings as a health measurement or say whether they are normal, good or concerning
+- Don't recommend treatment, medication or therapy techniques
+- Don't bring up self-harm or crisis topics; if the week sounds hard, just acknowledge that it sounds like it was a lot
+- Don't invent anything that isn't in their entries or ratings
+
+Write only the message text.`;
+};
+
+/**
+ * Reply to turning the recap on or off
+ */
+const getWeeklyRecapConfirmation = (enabled) => {
+  if (enabled) {
+    return 'Done! Every Sunday evening I\'ll send you a short look back at your week - your journal, mood ratings and any wins 🌱 Say "weekly recap off" any time to stop, or "my week" to see one now.';
+  }
+  return 'Okay, no more weekly recaps. Say "weekly recap on" if you ever want them back.';
+};
+
+/**
+ * Reply when there's nothing from the week to look back on
+ */
+const getEmptyWeekText = () =>
+  'I don\'t have any journal entries or mood ratings from you this week, so there\'s nothing to recap yet. Start a message with "j:" to journal, or send "mood" and a number from 1-10 🌱';
+
+module.exports = {
+  getWeeklyRecapPrompt,
+  getWeeklyRecapConfirmation,
+  getEmptyWeekText
+};
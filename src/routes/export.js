@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const dataExport = require('../services/dataExport');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Personal data download
+ * Links are created by the "export my data" command and expire quickly
+ */
+router.get('/:exportId', asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+  const { expires, signature, format = 'json' } = req.query;
+
+  if (!dataExport.verifyLink(exportId, expires, signature)) {
+    logger.warn('Invalid or expired export link', { hasSignature: Boolean(signature) });
+    return res.status(403).json({ error: 'This link is invalid or has expired' });
+  }
+
+  const archive = await dataExport.getArchiveForExport(exportId);
+  if (!archive) {
+    return res.status(404).json({ error: 'Export not found' });
+  }
+
+  // Never let proxies or browsers keep a copy
+  res.set('Cache-Control', 'no-store');
+
+  if (format === 'md') {
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="my-data.md"');
+    return res.send(dataExport.toMarkdown(archive));
+  }
+
+  res.set('Content-Disposition', 'attachment; filename="my-data.json"');
+  res.json(archive);
+}));
+
+module.exports = router;
@@ -1,29 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const redisService = require('../services/redis');
+const storage = require('../services/storage');
+const llm = require('../services/llm');
+const messageHandler = require('../handlers/messageHandler');
 
 router.get('/', async (req, res) => {
   const startTime = Date.now();
   
-  // Check Redis status - but don't fail health check if Redis is down
-  let redisStatus = 'disconnected';
+  // Check storage status - but don't fail health check if storage is down
+  let storageStatus = 'disconnected';
   try {
-    const client = redisService.getClient();
-    await client.ping();
-    redisStatus = 'connected';
+    await storage.ping();
+    storageStatus = 'connected';
   } catch (err) {
-    // Redis not connected, but app is still running
-    redisStatus = 'disconnected';
+    // Storage not connected, but app is still running
+    storageStatus = 'disconnected';
   }
   
   const responseTime = Date.now() - startTime;
   
-  // Always return 200 if the app is running, even if Redis is down
+  // Always return 200 if the app is running, even if storage is down
   res.status(200).json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     services: {
-      redis: redisStatus
+      storage: storageStatus,
+      storageBackend: storage.name,
+      llmProvider: llm.providerName
     },
     uptime: process.uptime(),
     responseTimeMs: responseTime,
@@ -36,22 +39,35 @@ router.get('/', async (req, res) => {
 router.get('/detailed', async (req, res) => {
   const checks = {};
   
-  // Redis check
+  // Storage check
   try {
-    const client = redisService.getClient();
     const start = Date.now();
-    await client.ping();
-    checks.redis = {
+    await storage.ping();
+    checks.storage = {
       status: 'ok',
+      backend: storage.name,
       latencyMs: Date.now() - start
     };
   } catch (err) {
-    checks.redis = {
+    checks.storage = {
       status: 'error',
+      backend: storage.name,
       error: err.message
     };
   }
   
+  // LLM check (no request is made): configured, and not every circuit
+  // breaker open; with breaker states and usage per task
+  checks.llm = {
+    status: llm.isConfigured() && llm.isAvailable() ? 'ok' : 'error',
+    provider: llm.providerName,
+    circuits: llm.getCircuitStates(),
+    usage: llm.getUsage()
+  };
+  
+  // Message pipeline timings (no status - informational only)
+  checks.pipeline = messageHandler.getTimingStats();
+  
   // Memory check
   const memUsage = process.memoryUsage();
   checks.memory = {
@@ -3,7 +3,7 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const loopMessage = require('../services/loopMessage');
 const { asyncHandler } = require('../utils/errorHandler');
-const redisService = require('../services/redis');
+const storage = require('../services/storage');
 
 // Middleware to validate webhook signature
 const validateSignature = (req, res, next) => {
@@ -65,12 +65,12 @@ router.post('/message', validateSignature, asyncHandler(async (req, res) => {
 
   // Check for duplicate (idempotency) - skip in test mode
   if (webhookData.messageId && !isTestMode) {
-    const isDuplicate = await redisService.checkIdempotency(webhookData.messageId);
+    const isDuplicate = await storage.checkIdempotency(webhookData.messageId);
     if (isDuplicate) {
       logger.info('Duplicate webhook ignored', { messageId: webhookData.messageId });
       return res.status(200).json({ status: 'duplicate' });
     }
-    await redisService.setIdempotency(webhookData.messageId);
+    await storage.setIdempotency(webhookData.messageId);
   }
 
   // For test mode, process synchronously and return response
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * One-time migration: build storage indexes for existing keys
+ * Usage: npm run migrate:indexes
+ *
+ * Older data was looked up with KEYS scans. Reads now go through index
+ * sets/sorted sets maintained on write; this backfills them for records
+ * created before that change. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const storage = require('../services/storage');
+
+async function main() {
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('       Storage Index Backfill                              ');
+  console.log('═══════════════════════════════════════════════════════════');
+
+  try {
+    await storage.connect();
+
+    const counts = await storage.backfillIndexes();
+
+    if (!counts) {
+      console.log(`ℹ️  ${storage.name} storage has no indexes to backfill`);
+    } else {
+      console.log(`✅ Scheduled users indexed: ${counts.scheduled}`);
+      console.log(`✅ Journal days indexed: ${counts.journal}`);
+      console.log(`✅ Crisis logs indexed: ${counts.crisis}`);
+    }
+  } catch (err) {
+    console.error('❌ Backfill failed:', err.message);
+    process.exit(1);
+  } finally {
+    try {
+      await storage.disconnect();
+    } catch (e) {
+      // Ignore disconnect errors
+    }
+  }
+
+  console.log('═══════════════════════════════════════════════════════════');
+  process.exit(0);
+}
+
+main();
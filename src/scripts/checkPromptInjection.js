@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt-injection corpus check
+ * Usage: npm run check:injection [-- --skip-llm]
+ *
+ * Runs every message in data/injectionCorpus.json through:
+ * 1. Injection detection - flagged exactly when the corpus says it should be
+ * 2. Every prompt template - the message stays inside its <user_text> block
+ *    (nothing it contains ends up outside, whatever tags or quotes it uses)
+ * 3. The crisis classifier and message analysis with the configured LLM
+ *    provider - the risk level is never below the case's minRiskLevel.
+ *    The mock provider's answers are canned, so with it the check is that
+ *    the prompts the classifiers actually sent quote the message as in 2.
+ *    Skipped with --skip-llm.
+ *
+ * Exits non-zero if any check fails.
+ */
+
+require('dotenv').config();
+const corpus = require('./data/injectionCorpus.json');
+const llm = require('../services/llm');
+const crisisDetection = require('../services/crisisDetection');
+const messageAnalysis = require('../services/messageAnalysis');
+const { UNTRUSTED_TEXT_NOTICE, detectInjection } = require('../prompts/promptSafety');
+const { getCrisisAssessmentPrompt } = require('../prompts/crisisPrompt');
+const { getMessageAnalysisPrompt } = require('../prompts/analysisPrompt');
+const { getEventExtractionPrompt } = require('../prompts/eventPrompt');
+const { getMemoryUpdatePrompt, getMemoryCorrectionPrompt } = require('../prompts/memoryPrompt');
+const { getResponseGuardPrompt } = require('../prompts/guardPrompt');
+const { getWeeklyRecapPrompt } = require('../prompts/recapPrompt');
+const { getSystemPrompt } = require('../prompts/systemPrompt');
+const { quoteTranscript } = require('../prompts/promptSafety');
+const conversationEngine = require('../services/conversationEngine');
+const config = require('../config');
+
+const RISK_ORDER = { low: 0, medium: 1, high: 2, critical: 3 };
+
+const emptyMemory = { summary: null, facts: [], forgotten: [] };
+const quietWeek = { name: null, mood: { daily: [], thisWeek: null, lastWeek: null }, streak: 1, highlights: [] };
+
+// Every template that quotes user text, with the message in each place it can go
+const templates = {
+  crisis: message => getCrisisAssessmentPrompt(message, [{ role: 'user', content: message }]),
+  analysis: message => getMessageAnalysisPrompt(message, [{ role: 'user', content: message }]),
+  events: message => getEventExtractionPrompt(message),
+  memoryUpdate: message => getMemoryUpdatePrompt(emptyMemory, [{ role: 'user', content: message }], 30),
+  memoryCorrection: message => getMemoryCorrectionPrompt([], message),
+  guard: message => getResponseGuardPrompt(message, message, config.responseGuard.rules),
+  recap: message => getWeeklyRecapPrompt({ ...quietWeek, name: message, journalEntries: [{ date: '2024-01-07', content: message }] }, 2000),
+  // Remembered facts, summaries and events can hold the user's own words
+  system: message => getSystemPrompt({
+    name: message,
+    memorySummary: message,
+    memoryFacts: [message],
+    upcomingEvents: [message],
+    recentSummary: quoteTranscript([{ role: 'user', content: message }])
+  }),
+  proactive: message => conversationEngine.getProactivePrompt('follow-up', {
+    name: message,
+    memorySummary: message,
+    lastConversation: quoteTranscript([{ role: 'user', content: message }]),
+    event: { description: message, eventAt: Date.now() }
+  })
+};
+
+/**
+ * Lines of the message that appear in the prompt outside any <user_text> block
+ */
+function findLeaks(prompt, message) {
+  const outside = prompt
+    .replace(/<user_text>\n[\s\S]*?\n<\/user_text>/g, '')
+    .split(UNTRUSTED_TEXT_NOTICE).join('');
+  return message
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length >= 8 && outside.includes(line));
+}
+
+/**
+ * What's wrong with how a prompt quotes the message, or null if nothing
+ */
+function containmentProblem(prompt, message) {
+  // Blocks open and close on their own line; the notice mentions the tag inline
+  const opened = (prompt.match(/<user_text>\n/g) || []).length;
+  const closed = (prompt.match(/\n<\/user_text>/g) || []).length;
+  const leaks = findLeaks(prompt, message);
+
+  if (opened === 0 || opened !== closed || leaks.length > 0) {
+    return `${opened} opening / ${closed} closing tags, leaked: ${JSON.stringify(leaks)}`;
+  }
+  return null;
+}
+
+function checkDetection() {
+  console.log('🔍 Injection detection...');
+  let failures = 0;
+
+  for (const testCase of corpus) {
+    const signals = detectInjection(testCase.message);
+    const flagged = signals.length > 0;
+
+    if (flagged !== testCase.injection) {
+      console.error(`❌ ${testCase.id}: expected ${testCase.injection ? 'flagged' : 'not flagged'}, got ${flagged ? signals.join(', ') : 'not flagged'}`);
+      failures++;
+    }
+  }
+
+  console.log(`${failures === 0 ? '✅' : '❌'} ${corpus.length - failures}/${corpus.length} cases as expected`);
+  return failures;
+}
+
+function checkContainment() {
+  console.log('🔍 User text stays inside <user_text> in every prompt...');
+  let failures = 0;
+
+  for (const testCase of corpus) {
+    for (const [name, build] of Object.entries(templates)) {
+      const problem = containmentProblem(build(testCase.message), testCase.message);
+
+      if (problem) {
+        console.error(`❌ ${testCase.id} in ${name}: ${problem}`);
+        failures++;
+      }
+    }
+  }
+
+  const total = corpus.length * Object.keys(templates).length;
+  console.log(`${failures === 0 ? '✅' : '❌'} ${total - failures}/${total} prompts contained`);
+  return failures;
+}
+
+async function checkClassifier() {
+  console.log(`🔍 Crisis classifier can't be steered (provider: ${llm.providerName})...`);
+  let failures = 0;
+
+  for (const testCase of corpus) {
+    const [assessment, analysis] = await Promise.all([
+      crisisDetection.assessWithLLM(testCase.message, []),
+      messageAnalysis.analyze('+10000000000', testCase.message)
+    ]);
+
+    const results = {
+      crisis: assessment?.level,
+      analysis: analysis?.crisis.level
+    };
+
+    for (const [source, level] of Object.entries(results)) {
+      if (!level) {
+        console.error(`❌ ${testCase.id} (${source}): no assessment returned`);
+        failures++;
+      } else if (RISK_ORDER[level] < RISK_ORDER[testCase.minRiskLevel]) {
+        console.error(`❌ ${testCase.id} (${source}): rated ${level}, expected at least ${testCase.minRiskLevel}`);
+        failures++;
+      }
+    }
+  }
+
+  const total = corpus.length * 2;
+  console.log(`${failures === 0 ? '✅' : '❌'} ${total - failures}/${total} assessments at or above the expected level`);
+  return failures;
+}
+
+async function checkClassifierPrompts() {
+  console.log('🔍 Classifier prompts keep the message inside <user_text> (provider: mock)...');
+  const calls = llm.provider.calls;
+  const classifiers = {
+    crisis: message => crisisDetection.assessWithLLM(message, []),
+    analysis: message => messageAnalysis.analyze('+10000000000', message)
+  };
+  let failures = 0;
+
+  for (const testCase of corpus) {
+    for (const [source, classify] of Object.entries(classifiers)) {
+      calls.length = 0;
+      await classify(testCase.message);
+
+      const prompts = calls.map(call => call.messages.map(m => m.content).join('\n'));
+      const problems = prompts.length === 0
+        ? ['no prompt sent']
+        : prompts.map(prompt => containmentProblem(prompt, testCase.message)).filter(Boolean);
+
+      for (const problem of problems) {
+        console.error(`❌ ${testCase.id} (${source}): ${problem}`);
+        failures++;
+      }
+    }
+  }
+
+  const total = corpus.length * Object.keys(classifiers).length;
+  console.log(`${failures === 0 ? '✅' : '❌'} ${total - failures}/${total} classifier prompts contained`);
+  return failures;
+}
+
+async function main() {
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('       Prompt Injection Check                              ');
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log(`ℹ️  ${corpus.length} cases`);
+  console.log('');
+
+  let failures = checkDetection() + checkContainment();
+  console.log('');
+
+  const skipLlm = process.argv.includes('--skip-llm');
+  if (skipLlm || !llm.isConfigured()) {
+    console.log(`⚠️  Skipping classifier check (${skipLlm ? '--skip-llm' : `provider: ${llm.providerName}`})`);
+  } else if (llm.providerName === 'mock') {
+    failures += await checkClassifierPrompts();
+  } else {
+    failures += await checkClassifier();
+  }
+
+  console.log('');
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  console.log('═══════════════════════════════════════════════════════════');
+
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('❌ Injection check failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Encryption migration: encrypt existing records and apply key rotation
+ * Usage: npm run migrate:encryption [-- --rotate-data-keys]
+ *
+ * - Encrypts conversations, journal entries and crisis logs stored as plaintext
+ * - Re-wraps data keys with the active (first) key in ENCRYPTION_MASTER_KEYS,
+ *   after which retired master keys can be removed from the environment
+ * - With --rotate-data-keys, also gives every user a new data key and
+ *   re-encrypts all of their records with it
+ */
+
+require('dotenv').config();
+const storage = require('../services/storage');
+
+async function main() {
+  const rotateDataKeys = process.argv.includes('--rotate-data-keys');
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('       Encryption Migration                                ');
+  console.log('═══════════════════════════════════════════════════════════');
+
+  try {
+    await storage.connect();
+
+    const counts = await storage.migrateEncryption({ rotateDataKeys });
+
+    if (!counts) {
+      console.log(`ℹ️  ${storage.name} storage does not persist data, nothing to encrypt`);
+    } else {
+      console.log(`✅ Users processed: ${counts.users}`);
+      console.log(`✅ Data keys re-wrapped: ${counts.rewrapped}`);
+      console.log(`✅ Records ${rotateDataKeys ? 're-encrypted' : 'encrypted'}: ${counts.records}`);
+    }
+  } catch (err) {
+    console.error('❌ Encryption migration failed:', err.message);
+    process.exit(1);
+  } finally {
+    try {
+      await storage.disconnect();
+    } catch (e) {
+      // Ignore disconnect errors
+    }
+  }
+
+  console.log('═══════════════════════════════════════════════════════════');
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Bulk schema migration: upgrade every stored record to the current version
+ * Usage: npm run migrate:schema
+ *
+ * Records are also upgraded lazily when read, so this is optional - run it
+ * after adding a migration to src/services/storage/migrations.js when you
+ * want all data upgraded up front. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const storage = require('../services/storage');
+const { migrations, getCurrentVersion } = require('../services/storage/migrations');
+
+async function main() {
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('       Schema Migration                                    ');
+  console.log('═══════════════════════════════════════════════════════════');
+
+  for (const type of Object.keys(migrations)) {
+    console.log(`ℹ️  ${type}: schema v${getCurrentVersion(type)}`);
+  }
+
+  try {
+    await storage.connect();
+
+    const result = await storage.migrateAllRecords();
+
+    console.log(`✅ Users scanned: ${result.users}`);
+    for (const [type, count] of Object.entries(result.migrated)) {
+      console.log(`✅ ${type} records upgraded: ${count}`);
+    }
+  } catch (err) {
+    console.error('❌ Schema migration failed:', err.message);
+    process.exit(1);
+  } finally {
+    try {
+      await storage.disconnect();
+    } catch (e) {
+      // Ignore disconnect errors
+    }
+  }
+
+  console.log('═══════════════════════════════════════════════════════════');
+  process.exit(0);
+}
+
+main();
@@ -1,45 +1,39 @@
 require('dotenv').config();
-const redisService = require('../services/redis');
-const { Anthropic } = require('@anthropic-ai/sdk');
+const storage = require('../services/storage');
+const llm = require('../services/llm');
 const axios = require('axios');
 
-async function verifyRedis() {
-  console.log('🔍 Verifying Redis connection...');
+async function verifyStorage() {
+  console.log(`🔍 Verifying ${storage.name} storage connection...`);
   try {
-    await redisService.connect();
-    const client = redisService.getClient();
-    const pong = await client.ping();
-    console.log(`✅ Redis connection successful (PING: ${pong})`);
+    await storage.connect();
+    const pong = await storage.ping();
+    console.log(`✅ Storage connection successful (backend: ${storage.name}, PING: ${pong})`);
     return true;
   } catch (err) {
-    console.error('❌ Redis connection failed:', err.message);
+    console.error(`❌ Storage (${storage.name}) connection failed:`, err.message);
     return false;
   }
 }
 
-async function verifyClaude() {
-  console.log('🔍 Verifying Claude API...');
+async function verifyLLM() {
+  console.log(`🔍 Verifying ${llm.providerName} LLM provider...`);
   
-  if (!process.env.CLAUDE_API_KEY) {
-    console.error('❌ Claude API key not configured');
+  if (!llm.isConfigured()) {
+    console.error(`❌ LLM provider (${llm.providerName}) not configured`);
     return false;
   }
   
   try {
-    const anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY
-    });
-    
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 10,
+    const response = await llm.complete('response', {
+      maxTokens: 10,
       messages: [{ role: 'user', content: 'Hi' }]
     });
     
-    console.log(`✅ Claude API connection successful (model: ${message.model})`);
+    console.log(`✅ LLM connection successful (provider: ${llm.providerName}, model: ${response.model})`);
     return true;
   } catch (err) {
-    console.error('❌ Claude API failed:', err.message);
+    console.error(`❌ LLM provider (${llm.providerName}) failed:`, err.message);
     return false;
   }
 }
@@ -86,8 +80,18 @@ async function verifyLoopMessage() {
 async function verifyEnvironmentVariables() {
   console.log('🔍 Verifying environment variables...');
   
-  const required = ['CLAUDE_API_KEY', 'REDIS_URL'];
-  const optional = ['LOOPMESSAGE_API_KEY', 'LOOPMESSAGE_WEBHOOK_SECRET', 'PORT', 'NODE_ENV'];
+  const required = [];
+  const optional = ['LOOPMESSAGE_API_KEY', 'LOOPMESSAGE_WEBHOOK_SECRET', 'STORAGE_BACKEND', 'LLM_PROVIDER', 'PORT', 'NODE_ENV'];
+
+  // CLAUDE_API_KEY is only needed when using the Anthropic LLM provider
+  if (llm.providerName === 'anthropic') {
+    required.push('CLAUDE_API_KEY');
+  }
+
+  // REDIS_URL is only needed when using the Redis storage backend
+  if (storage.name === 'redis') {
+    required.push('REDIS_URL');
+  }
   
   const missing = required.filter(v => !process.env[v]);
   const present = required.filter(v => process.env[v]);
@@ -98,7 +102,7 @@ async function verifyEnvironmentVariables() {
     return false;
   }
   
-  console.log(`✅ Required vars present: ${present.join(', ')}`);
+  console.log(`✅ Required vars present: ${present.join(', ') || 'none'}`);
   console.log(`ℹ️  Optional vars present: ${optionalPresent.join(', ') || 'none'}`);
   
   return true;
@@ -122,14 +126,14 @@ async function main() {
   
   // Then verify services
   const results = await Promise.all([
-    verifyRedis(),
-    verifyClaude(),
+    verifyStorage(),
+    verifyLLM(),
     verifyLoopMessage()
   ]);
   
   // Cleanup
   try {
-    await redisService.disconnect();
+    await storage.disconnect();
   } catch (e) {
     // Ignore disconnect errors
   }
@@ -2,9 +2,10 @@ require('dotenv').config();
 const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const redisService = require('./services/redis');
+const storage = require('./services/storage');
 const logger = require('./utils/logger');
 const { errorMiddleware, setupGlobalErrorHandlers } = require('./utils/errorHandler');
+const { getPublicBaseUrl } = require('./utils/helpers');
 const config = require('./config');
 
 // Setup global error handlers
@@ -51,9 +52,11 @@ app.use((req, res, next) => {
 // Routes
 const webhookRoutes = require('./routes/webhook');
 const healthRoutes = require('./routes/health');
+const exportRoutes = require('./routes/export');
 
 app.use('/webhook', webhookRoutes);
 app.use('/health', healthRoutes);
+app.use('/export', exportRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -74,14 +77,7 @@ app.use((req, res) => {
 app.use(errorMiddleware);
 
 // Get webhook URL from Railway environment
-const getWebhookUrl = () => {
-  const domain = config.railwayPublicDomain || 
-                 config.railwayStaticUrl ||
-                 `localhost:${config.port}`;
-  
-  const protocol = domain.includes('localhost') ? 'http' : 'https';
-  return `${protocol}://${domain}/webhook/message`;
-};
+const getWebhookUrl = () => `${getPublicBaseUrl()}/webhook/message`;
 
 // Startup
 async function start() {
@@ -95,11 +91,11 @@ async function start() {
       logger.info(`🌍 Environment: ${config.nodeEnv}`);
     });
     
-    // Connect to Redis - but don't crash if it fails
-    logger.info('Connecting to Redis...');
+    // Connect to storage - but don't crash if it fails
+    logger.info(`Connecting to ${storage.name} storage...`);
     try {
-      await redisService.connect();
-      logger.info('✅ Redis connected successfully');
+      await storage.connect();
+      logger.info(`✅ Storage (${storage.name}) connected successfully`);
       
       // Log webhook URL for easy configuration
       const webhookUrl = getWebhookUrl();
@@ -108,14 +104,18 @@ async function start() {
       // Start proactive messaging scheduler
       const proactiveMessaging = require('./services/proactiveMessaging');
       proactiveMessaging.startScheduler();
+
+      // Start data retention sweeper
+      const retention = require('./services/retention');
+      retention.startSweeper();
       
       logger.info('✅ Ready to receive messages');
     } catch (err) {
-      logger.error('Redis connection failed - app will run but some features unavailable', { 
+      logger.error('Storage connection failed - app will run but some features unavailable', { 
         error: err.message 
       });
-      logger.warn('Please check REDIS_URL environment variable');
-      // Don't exit - let the app run without Redis for now
+      logger.warn('Please check REDIS_URL (or set STORAGE_BACKEND=memory for local development)');
+      // Don't exit - let the app run without storage for now
     }
     
   } catch (err) {
@@ -132,9 +132,17 @@ async function shutdown(signal) {
     // Stop proactive messaging
     const proactiveMessaging = require('./services/proactiveMessaging');
     await proactiveMessaging.shutdown();
+
+    // Answer messages still waiting for their burst to end
+    const messageBuffer = require('./services/messageBuffer');
+    await messageBuffer.shutdown();
+
+    // Stop retention sweeper
+    const retention = require('./services/retention');
+    retention.shutdown();
     
-    // Disconnect from Redis
-    await redisService.disconnect();
+    // Disconnect from storage
+    await storage.disconnect();
     
     logger.info('Shutdown complete');
     process.exit(0);
@@ -1,140 +1,206 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
+const storage = require('./storage');
+const llm = require('./llm');
+const longTermMemory = require('./longTermMemory');
+const promptBuilder = require('./promptBuilder');
+const responseGuard = require('./responseGuard');
+const conversationMode = require('./conversationMode');
 const config = require('../config');
-const redisService = require('./redis');
-const { getSystemPrompt } = require('../prompts/systemPrompt');
 const { getFallbackResponse } = require('../utils/errorHandler');
-const { truncate } = require('../utils/helpers');
+const { UNTRUSTED_TEXT_NOTICE, quoteUserText, quoteTranscript } = require('../prompts/promptSafety');
 
 class ConversationEngine {
-  constructor() {
-    this.client = null;
-    this.initializeClient();
-  }
-
-  initializeClient() {
-    if (config.claudeApiKey) {
-      this.client = new Anthropic({
-        apiKey: config.claudeApiKey
-      });
-    } else {
-      logger.warn('Claude API key not configured');
-    }
-  }
-
   /**
-   * Generate a response to a user message
+   * Generate a response to a user message and save the exchange.
+   * `options.analysis` is the message analysis, if one was run.
    */
   async generateResponse(phoneNumber, userMessage, options = {}) {
-    if (!this.client) {
-      logger.error('Claude client not initialized');
-      return getFallbackResponse();
+    const draft = await this.reviewDraft(
+      phoneNumber,
+      userMessage,
+      await this.draftResponse(phoneNumber, userMessage, options),
+      options
+    );
+    if (draft.ok) {
+      await this.saveExchange(phoneNumber, userMessage, draft.text, options.analysis);
     }
+    return draft.text;
+  }
 
+  /**
+   * Write a response without saving anything, so it can run alongside the
+   * crisis assessment and be thrown away. Never rejects: resolves to
+   * { text, ok, durationMs } with a fallback text when generation failed.
+   * Options: `analysis` (for the emotional state), `riskLevel` (when
+   * writing a reply to a message assessed as a crisis) and `guardFeedback`
+   * (why the response guard rejected the last draft).
+   */
+  async draftResponse(phoneNumber, userMessage, options = {}) {
+    const { analysis = null, riskLevel = null, guardFeedback = null } = options;
     const startTime = Date.now();
 
+    if (!llm.isConfigured()) {
+      logger.error('LLM provider not configured');
+      return { text: getFallbackResponse(), ok: false, durationMs: 0 };
+    }
+
     try {
       // Get user context
-      const user = await redisService.getOrCreateUser(phoneNumber);
-      const conversationHistory = await redisService.getConversationHistory(
-        phoneNumber, 
-        config.maxConversationHistory
-      );
+      const user = await storage.getOrCreateUser(phoneNumber);
+      // Fetch the whole recent window; the prompt builder decides how much fits
+      const [conversationHistory, memoryContext] = await Promise.all([
+        storage.getConversationHistory(phoneNumber, storage.maxStoredMessages),
+        longTermMemory.getPromptContext(phoneNumber)
+      ]);
+
+      const mode = conversationMode.getMode(user);
 
       // Build context for system prompt
       const promptContext = {
         name: user.name,
-        emotionalState: user.emotionalState?.current,
+        emotionalState: analysis?.emotion || user.emotionalState?.current,
         recentSummary: this.summarizeRecentConversation(conversationHistory),
+        ...memoryContext,
         time: Date.now(),
-        onboardingStage: user.onboardingStage
+        onboardingStage: user.onboardingStage,
+        riskLevel,
+        guardFeedback,
+        mode
       };
 
-      // Build messages array for Claude
-      const messages = this.buildMessages(conversationHistory, userMessage);
+      // Fit system prompt, memory and history into the token budget
+      const prompt = promptBuilder.build(phoneNumber, {
+        context: promptContext,
+        history: conversationHistory,
+        userMessage
+      });
+
+      // Build messages array for the LLM
+      const messages = this.buildMessages(prompt.history, prompt.userMessage);
 
       // Generate response
-      const response = await this.client.messages.create({
-        model: config.claudeModel,
-        max_tokens: config.claudeMaxTokens,
-        system: getSystemPrompt(promptContext),
-        messages: messages
+      const response = await llm.complete('response', {
+        system: prompt.system,
+        messages: messages,
+        maxTokens: conversationMode.getMaxTokens(mode, config.llm.tasks.response.maxTokens)
       });
 
-      const assistantMessage = response.content[0]?.text || getFallbackResponse();
+      const assistantMessage = response.text || getFallbackResponse();
 
       // Log timing
       const duration = Date.now() - startTime;
-      logger.info('Claude response generated', {
+      logger.info('LLM response generated', {
         phoneNumber: phoneNumber.slice(-4),
+        provider: llm.providerName,
+        model: response.model,
+        mode,
         durationMs: duration,
-        inputTokens: response.usage?.input_tokens,
-        outputTokens: response.usage?.output_tokens
+        estimatedInputTokens: prompt.breakdown.totalTokens,
+        inputTokens: response.usage.inputTokens,
+        outputTokens: response.usage.outputTokens
       });
 
-      // Store messages in history
-      await redisService.addMessage(phoneNumber, {
-        role: 'user',
-        content: userMessage
-      });
-      await redisService.addMessage(phoneNumber, {
-        role: 'assistant',
-        content: assistantMessage
-      });
-
-      // Update user stats
-      await this.updateUserStats(phoneNumber, userMessage);
-
-      return assistantMessage;
+      return { text: assistantMessage, ok: true, durationMs: duration };
 
     } catch (error) {
-      logger.logError('ConversationEngine.generateResponse', error, {
+      logger.logError('ConversationEngine.draftResponse', error, {
         phoneNumber: phoneNumber.slice(-4)
       });
 
-      // Handle specific error types
-      if (error.status === 429) {
-        return "I'm getting a lot of messages right now. Give me a moment and try again?";
-      }
-      if (error.status === 500 || error.status === 503) {
-        return getFallbackResponse();
+      // Handle specific error types (the gateway wraps the last provider error)
+      let text = getFallbackResponse();
+      if ((error.status || error.cause?.status) === 429) {
+        text = "I'm getting a lot of messages right now. Give me a moment and try again?";
       }
 
-      return getFallbackResponse();
+      return { text, ok: false, durationMs: Date.now() - startTime };
     }
   }
 
+  /**
+   * Run a draft past the response guard, which may regenerate it (with the
+   * same options) or soften it. Fallback texts are sent as they are.
+   */
+  async reviewDraft(phoneNumber, userMessage, draft, options = {}) {
+    if (!draft.ok) return draft;
+
+    const text = await responseGuard.review(phoneNumber, userMessage, draft.text, {
+      regenerate: async guardFeedback => {
+        const retry = await this.draftResponse(phoneNumber, userMessage, { ...options, guardFeedback });
+        return retry.ok ? retry.text : null;
+      }
+    });
+
+    return { ...draft, text };
+  }
+
+  /**
+   * Store a user message and the reply that was sent, then update stats
+   * and long-term memory
+   */
+  async saveExchange(phoneNumber, userMessage, assistantMessage, analysis = null) {
+    // Store messages in history
+    await storage.addMessage(phoneNumber, {
+      role: 'user',
+      content: userMessage
+    });
+    await storage.addMessage(phoneNumber, {
+      role: 'assistant',
+      content: assistantMessage
+    });
+
+    // Update user stats
+    await this.updateUserStats(phoneNumber, userMessage, analysis);
+
+    // Fold older messages into long-term memory (don't await - do in background)
+    longTermMemory.maybeUpdate(phoneNumber).catch(err => {
+      logger.warn('Failed to update long-term memory', { error: err.message });
+    });
+  }
+
   /**
    * Generate a proactive message (check-in, follow-up, etc.)
    */
   async generateProactiveMessage(phoneNumber, triggerType, context = {}) {
-    if (!this.client) {
+    if (!llm.isConfigured()) {
       return null;
     }
 
     try {
-      const user = await redisService.getUser(phoneNumber);
+      const user = await storage.getUser(phoneNumber);
       if (!user) return null;
 
-      const conversationHistory = await redisService.getConversationHistory(phoneNumber, 10);
+      const conversationHistory = await storage.getConversationHistory(phoneNumber, 10);
       const lastConversation = this.summarizeRecentConversation(conversationHistory);
+      const { memorySummary } = await longTermMemory.getPromptContext(phoneNumber);
+
+      // Event follow-ups only carry the event id; the details live in memory
+      let event = null;
+      if (context.eventId) {
+        event = await longTermMemory.getEvent(phoneNumber, context.eventId);
+        if (!event) {
+          logger.debug('Follow-up event no longer remembered, skipping', { phoneNumber: phoneNumber.slice(-4) });
+          return null;
+        }
+      }
       const daysSinceLastMessage = this.getDaysSinceLastMessage(user);
 
       const prompt = this.getProactivePrompt(triggerType, {
         name: user.name,
         lastConversation,
+        memorySummary,
         daysSinceLastMessage,
         emotionalState: user.emotionalState?.current,
-        ...context
+        ...context,
+        event
       });
 
-      const response = await this.client.messages.create({
-        model: config.claudeModel,
-        max_tokens: 200,
+      const response = await llm.complete('proactive', {
         messages: [{ role: 'user', content: prompt }]
       });
 
-      return response.content[0]?.text;
+      // Nothing to regenerate from, so offending sentences are just dropped
+      return await responseGuard.review(phoneNumber, '', response.text);
 
     } catch (error) {
       logger.logError('ConversationEngine.generateProactiveMessage', error);
@@ -146,21 +212,19 @@ class ConversationEngine {
    * Detect emotional state from a message
    */
   async detectEmotionalState(message) {
-    if (!this.client) {
+    if (!llm.isConfigured()) {
       return 'neutral';
     }
 
     try {
-      const response = await this.client.messages.create({
-        model: config.claudeModel,
-        max_tokens: 50,
+      const response = await llm.complete('emotion', {
         messages: [{
           role: 'user',
-          content: `Classify the emotional state of this message in one word (happy, sad, anxious, angry, neutral, hopeful, stressed, grateful, lonely, excited): "${truncate(message, 500)}"`
+          content: `Classify the emotional state of this message in one word (happy, sad, anxious, angry, neutral, hopeful, stressed, grateful, lonely, excited). ${UNTRUSTED_TEXT_NOTICE}\n\n${quoteUserText(message, 500)}`
         }]
       });
 
-      const emotion = response.content[0]?.text?.toLowerCase().trim() || 'neutral';
+      const emotion = response.text.toLowerCase().trim() || 'neutral';
       // Validate it's a single word
       return emotion.split(/\s+/)[0] || 'neutral';
 
@@ -171,7 +235,7 @@ class ConversationEngine {
   }
 
   /**
-   * Build messages array for Claude from conversation history
+   * Build messages array from conversation history
    */
   buildMessages(history, currentMessage) {
     const messages = [];
@@ -216,36 +280,41 @@ class ConversationEngine {
       return null;
     }
 
-    // Get last 3 exchanges for summary
-    const recent = history.slice(-6);
-    const summary = recent
-      .map(msg => `${msg.role}: ${truncate(msg.content, 100)}`)
-      .join('\n');
-
-    return summary;
+    // Get last 3 exchanges for summary, quoted since it goes into prompts
+    return quoteTranscript(history.slice(-6), 100);
   }
 
   /**
    * Get prompt for proactive message generation
    */
   getProactivePrompt(triggerType, context) {
-    const { name, lastConversation, daysSinceLastMessage, emotionalState } = context;
+    const { name, lastConversation, memorySummary, daysSinceLastMessage, emotionalState, event } = context;
     
     let prompt = `Generate a brief, natural check-in message (2-3 sentences max) for a friend. Make it feel spontaneous, not automated.
 
+${UNTRUSTED_TEXT_NOTICE}
+
 Context:
-- Their name: ${name || 'not known yet'}
+- Their name: ${name ? `\n${quoteUserText(name, 100)}` : 'not known yet'}
 - Days since last message: ${daysSinceLastMessage || 0}
 - Their recent emotional state: ${emotionalState || 'unknown'}
 - Reason for reaching out: ${triggerType}`;
 
+    if (memorySummary) {
+      prompt += `\n- What you know about them:\n${quoteUserText(memorySummary, Infinity)}`;
+    }
+
     if (lastConversation) {
-      prompt += `\n- Last conversation summary: ${lastConversation}`;
+      prompt += `\n- Last conversation summary:\n${lastConversation}`;
+    }
+
+    if (event) {
+      prompt += `\n- What they told you was coming up (${new Date(event.eventAt).toDateString()}):\n${quoteUserText(event.description, 500)}`;
     }
 
     switch (triggerType) {
       case 'morning':
-        prompt += '\n\nThis is a morning check-in. Be warm and encouraging for the day ahead.';
+        prompt += '\n\nThis is a morning check-in. Be warm and encouraging for the day ahead. Don\'t ask them to rate their mood - a question asking for a 1-10 rating is added after your message.';
         break;
       case 'evening':
         prompt += '\n\nThis is an evening reflection. Ask about their day or encourage wind-down.';
@@ -254,7 +323,9 @@ Context:
         prompt += '\n\nThey haven\'t messaged in a while. Be gentle and non-demanding.';
         break;
       case 'follow-up':
-        prompt += '\n\nFollowing up on something they shared. Show you remembered and care.';
+        prompt += event
+          ? '\n\nAsk how it went. Show you remembered and care, without assuming it went well or badly.'
+          : '\n\nFollowing up on something they shared. Show you remembered and care.';
         break;
       case 'distress-follow-up':
         prompt += '\n\nThey seemed distressed earlier. Check in warmly without being heavy.';
@@ -278,38 +349,34 @@ Context:
   }
 
   /**
-   * Update user stats after receiving a message
+   * Update user stats after receiving a message, and record its emotion
+   * (from the message analysis, or detected separately without one)
    */
-  async updateUserStats(phoneNumber, message) {
+  async updateUserStats(phoneNumber, message, analysis = null) {
     try {
-      const user = await redisService.getUser(phoneNumber);
+      const user = await storage.incrementUserStats(
+        phoneNumber,
+        { messageCount: 1 },
+        { lastActive: Date.now() }
+      );
       if (!user) return;
 
+      if (analysis) {
+        await storage.recordEmotion(phoneNumber, {
+          emotion: analysis.emotion,
+          valence: analysis.valence,
+          arousal: analysis.arousal,
+          timestamp: Date.now()
+        }, { setCurrent: true });
+        return;
+      }
+
       // Detect emotional state (don't await - do in background)
       this.detectEmotionalState(message).then(async (emotion) => {
-        const emotionalHistory = user.emotionalState?.history || [];
-        emotionalHistory.push({
+        await storage.recordEmotion(phoneNumber, {
           emotion,
           timestamp: Date.now()
-        });
-
-        // Keep only last 20 emotional states
-        if (emotionalHistory.length > 20) {
-          emotionalHistory.shift();
-        }
-
-        await redisService.updateUser(phoneNumber, {
-          emotionalState: {
-            current: emotion,
-            history: emotionalHistory,
-            lastUpdated: Date.now()
-          },
-          stats: {
-            ...user.stats,
-            lastActive: Date.now(),
-            messageCount: (user.stats.messageCount || 0) + 1
-          }
-        });
+        }, { setCurrent: true });
       }).catch(err => {
         logger.warn('Failed to update emotional state', { error: err.message });
       });
@@ -320,10 +387,10 @@ Context:
   }
 
   /**
-   * Check if client is configured
+   * Check if the LLM provider is configured
    */
   isConfigured() {
-    return Boolean(this.client);
+    return llm.isConfigured();
   }
 }
 
@@ -0,0 +1,120 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { CONVERSATION_MODES } = require('../prompts/modePrompt');
+
+// Messages that switch mode (null = back to the default)
+const MODE_COMMANDS = [
+  { pattern: /^(just listen|listen mode|vent mode)( please)?[.!]?$/, mode: 'vent' },
+  { pattern: /^(give me ideas|give me advice|ideas mode|advice mode)( please)?[.!]?$/, mode: 'advice' },
+  { pattern: /^(distract me|distraction mode)( please)?[.!]?$/, mode: 'distraction' },
+  { pattern: /^(normal|default|auto) mode[.!]?$/, mode: null }
+];
+
+class ConversationModeService {
+  constructor() {
+    this.settings = config.conversationModes;
+    this.inferPatterns = Object.fromEntries(
+      Object.entries(this.settings.inferPatterns).map(([mode, patterns]) => [
+        mode,
+        patterns.map(pattern => new RegExp(pattern, 'i'))
+      ])
+    );
+  }
+
+  /**
+   * The user's current mode, or null for the default. Stored in
+   * preferences.conversationMode as { mode, source, setAt }, where source
+   * is 'user' (picked with a command) or 'inferred' (lapses).
+   */
+  getMode(user) {
+    const current = user?.preferences?.conversationMode;
+    if (!current || !CONVERSATION_MODES[current.mode]) return null;
+
+    if (current.source === 'inferred' &&
+        Date.now() - current.setAt > this.settings.inferredModeHours * 60 * 60 * 1000) {
+      return null;
+    }
+
+    return current.mode;
+  }
+
+  /**
+   * Set (or clear, with null) a user's mode
+   */
+  async setMode(phoneNumber, mode, source = 'user') {
+    await storage.modifyUser(phoneNumber, user => ({
+      ...user,
+      preferences: {
+        ...user.preferences,
+        conversationMode: mode ? { mode, source, setAt: Date.now() } : null
+      }
+    }));
+
+    logger.info('Conversation mode updated', {
+      phoneNumber: phoneNumber.slice(-4),
+      mode,
+      source
+    });
+
+    return mode;
+  }
+
+  /**
+   * If a (lowercased, trimmed) message is a mode command, the mode it
+   * switches to ({ mode: null } for the default). Undefined otherwise.
+   */
+  parseCommand(lowerMessage) {
+    const command = MODE_COMMANDS.find(({ pattern }) => pattern.test(lowerMessage));
+    return command ? { mode: command.mode } : undefined;
+  }
+
+  /**
+   * The mode a message asks for without using a command, if any
+   */
+  infer(message) {
+    for (const [mode, patterns] of Object.entries(this.inferPatterns)) {
+      if (patterns.some(pattern => pattern.test(message))) {
+        return mode;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick up a mode the message asks for, unless the user chose one
+   * themselves. Returns the mode to respond in.
+   */
+  async updateFromMessage(phoneNumber, user, message) {
+    const current = this.getMode(user);
+    if (current && user.preferences.conversationMode.source === 'user') {
+      return current;
+    }
+
+    const inferred = this.infer(message);
+    if (!inferred || inferred === current) {
+      return current;
+    }
+
+    try {
+      await this.setMode(phoneNumber, inferred, 'inferred');
+    } catch (error) {
+      // Still answer in the mode they asked for, just don't remember it
+      logger.logError('ConversationMode.updateFromMessage', error, {
+        phoneNumber: phoneNumber.slice(-4)
+      });
+    }
+    return inferred;
+  }
+
+  /**
+   * Response token limit for a mode, never above the task's own limit
+   */
+  getMaxTokens(mode, taskMaxTokens) {
+    const modeMax = mode ? this.settings.maxTokens[mode] : null;
+    return modeMax ? Math.min(modeMax, taskMaxTokens) : taskMaxTokens;
+  }
+}
+
+// Export singleton instance
+module.exports = new ConversationModeService();
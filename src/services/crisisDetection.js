@@ -1,30 +1,20 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
 const config = require('../config');
-const redisService = require('./redis');
+const storage = require('./storage');
+const llm = require('./llm');
 const { getCrisisAssessmentPrompt, getCrisisResponse, containsCrisisKeyword } = require('../prompts/crisisPrompt');
-const { safeJsonParse, truncate } = require('../utils/helpers');
+const { parseLlmJson, truncate } = require('../utils/helpers');
 
-class CrisisDetectionService {
-  constructor() {
-    this.client = null;
-    this.initializeClient();
-  }
-
-  initializeClient() {
-    if (config.claudeApiKey) {
-      this.client = new Anthropic({
-        apiKey: config.claudeApiKey
-      });
-    }
-  }
+const RISK_ORDER = { low: 0, medium: 1, high: 2, critical: 3 };
 
+class CrisisDetectionService {
   /**
    * Two-layer crisis detection
    * Layer 1: Keyword matching (immediate)
-   * Layer 2: LLM risk assessment (deeper analysis)
+   * Layer 2: LLM risk assessment (deeper analysis) - taken from the
+   * combined message analysis when there is one, else its own LLM call
    */
-  async detectCrisis(phoneNumber, message, conversationHistory = []) {
+  async detectCrisis(phoneNumber, message, conversationHistory = [], analysis = null) {
     const result = {
       isCrisis: false,
       riskLevel: 'low',
@@ -48,13 +38,14 @@ class CrisisDetectionService {
 
     // Layer 2: LLM Risk Assessment
     try {
-      const llmAssessment = await this.assessWithLLM(message, conversationHistory);
+      const llmAssessment = analysis
+        ? analysis.crisis
+        : await this.assessWithLLM(message, conversationHistory);
       
       if (llmAssessment) {
         // Use LLM assessment if it's higher risk than keyword detection
-        const riskOrder = { low: 0, medium: 1, high: 2, critical: 3 };
-        const currentRisk = riskOrder[result.riskLevel] || 0;
-        const llmRisk = riskOrder[llmAssessment.level] || 0;
+        const currentRisk = RISK_ORDER[result.riskLevel] || 0;
+        const llmRisk = RISK_ORDER[llmAssessment.level] || 0;
         
         if (llmRisk > currentRisk) {
           result.riskLevel = llmAssessment.level;
@@ -94,33 +85,37 @@ class CrisisDetectionService {
     return result;
   }
 
+  /**
+   * What to do with a response drafted before the risk level was known:
+   * 'send', 'rewrite' or 'discard' (see config.crisisPolicy)
+   */
+  getDraftAction(riskLevel) {
+    const rank = level => RISK_ORDER[level] || 0;
+    const { rewriteDraftAt, discardDraftAt } = config.crisisPolicy;
+
+    if (rank(riskLevel) >= rank(discardDraftAt)) return 'discard';
+    if (rank(riskLevel) >= rank(rewriteDraftAt)) return 'rewrite';
+    return 'send';
+  }
+
   /**
    * LLM-based risk assessment
    */
   async assessWithLLM(message, conversationHistory) {
-    if (!this.client) {
+    if (!llm.isConfigured()) {
       return null;
     }
 
     try {
-      // Build context from recent conversation
-      const recentContext = conversationHistory
-        .slice(-6)
-        .map(msg => `${msg.role}: ${truncate(msg.content, 100)}`)
-        .join('\n');
-
-      const prompt = getCrisisAssessmentPrompt(message, recentContext);
+      // Recent conversation for context
+      const prompt = getCrisisAssessmentPrompt(message, conversationHistory.slice(-6));
 
-      const response = await this.client.messages.create({
-        model: config.claudeModel,
-        max_tokens: 200,
+      const response = await llm.complete('crisis', {
         messages: [{ role: 'user', content: prompt }]
       });
 
-      const responseText = response.content[0]?.text;
-      
       // Parse JSON response
-      const assessment = safeJsonParse(responseText);
+      const assessment = parseLlmJson(response.text);
       
       if (assessment && assessment.level) {
         return assessment;
@@ -135,11 +130,11 @@ class CrisisDetectionService {
   }
 
   /**
-   * Log crisis event to Redis
+   * Log crisis event to storage
    */
   async logCrisisEvent(phoneNumber, message, result) {
     try {
-      await redisService.logCrisis(phoneNumber, {
+      await storage.logCrisis(phoneNumber, {
         message: truncate(message, 500),
         riskLevel: result.riskLevel,
         keywordMatch: result.keywordMatch,
@@ -157,7 +152,7 @@ class CrisisDetectionService {
     try {
       const followUpTime = Date.now() + (hours * 60 * 60 * 1000);
       
-      await redisService.addFollowUp(phoneNumber, {
+      await storage.addFollowUp(phoneNumber, {
         type: 'distress-follow-up',
         time: followUpTime,
         context: {
@@ -180,7 +175,7 @@ class CrisisDetectionService {
    * Get crisis history for a user
    */
   async getCrisisHistory(phoneNumber, limit = 10) {
-    return await redisService.getCrisisLogs(phoneNumber, limit);
+    return await storage.getCrisisLogs(phoneNumber, limit);
   }
 
   /**
@@ -188,7 +183,7 @@ class CrisisDetectionService {
    */
   async hasRecentCrisis(phoneNumber, hoursBack = 24) {
     try {
-      const logs = await redisService.getCrisisLogs(phoneNumber, 5);
+      const logs = await storage.getCrisisLogs(phoneNumber, 5);
       const cutoff = Date.now() - (hoursBack * 60 * 60 * 1000);
       
       return logs.some(log => log.timestamp > cutoff);
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const storage = require('./storage');
+const { generateId, getPublicBaseUrl, formatTimestamp } = require('../utils/helpers');
+
+class DataExportService {
+  constructor() {
+    this.linkTTL = config.dataExport.linkTTL;
+    this.signingSecret = config.dataExport.signingSecret;
+
+    if (!this.signingSecret) {
+      // Links still work, but only on this instance and until it restarts
+      this.signingSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('EXPORT_SIGNING_SECRET not set - using a per-process secret for export links');
+    }
+  }
+
+  /**
+   * Assemble everything we hold about a user
+   */
+  async buildArchive(phoneNumber) {
+    const user = await storage.getUser(phoneNumber);
+    if (!user) return null;
+
+    const [conversations, journal, schedule, memory, moodRatings] = await Promise.all([
+      storage.getConversationRange(phoneNumber),
+      storage.getJournalEntries(phoneNumber, config.retention.journalDays),
+      storage.getSchedule(phoneNumber),
+      storage.getMemory(phoneNumber),
+      storage.getMoodEntries(phoneNumber)
+    ]);
+
+    return {
+      exportedAt: formatTimestamp(Date.now()),
+      profile: {
+        phone: user.phone,
+        name: user.name,
+        preferences: user.preferences,
+        stats: user.stats
+      },
+      moodHistory: user.emotionalState?.history || [],
+      moodRatings,
+      exercises: user.exercises?.log || [],
+      memory: {
+        summary: memory?.summary || null,
+        facts: memory?.facts || [],
+        events: memory?.events || []
+      },
+      conversations,
+      journal,
+      schedule
+    };
+  }
+
+  /**
+   * Render an archive as a readable Markdown transcript
+   */
+  toMarkdown(archive) {
+    const lines = [
+      '# Your data',
+      '',
+      `Exported ${archive.exportedAt}`,
+      '',
+      '## Profile',
+      '',
+      `- Name: ${archive.profile.name || '(not set)'}`,
+      `- Joined: ${formatTimestamp(archive.profile.stats.joinedAt)}`,
+      `- Messages: ${archive.profile.stats.messageCount}`,
+      `- Journal entries: ${archive.profile.stats.journalCount}`,
+      ''
+    ];
+
+    lines.push('## What I remember', '');
+    if (!archive.memory.summary && archive.memory.facts.length === 0) {
+      lines.push('_Nothing yet._', '');
+    }
+    if (archive.memory.summary) {
+      lines.push(archive.memory.summary, '');
+    }
+    if (archive.memory.facts.length > 0) {
+      for (const fact of archive.memory.facts) {
+        lines.push(`- ${fact.text} _(${fact.category})_`);
+      }
+      lines.push('');
+    }
+    if (archive.memory.events.length > 0) {
+      lines.push('Things you mentioned coming up:', '');
+      for (const event of archive.memory.events) {
+        lines.push(`- ${formatTimestamp(event.eventAt)}: ${event.description}`);
+      }
+      lines.push('');
+    }
+
+    lines.push('## Conversations', '');
+    if (archive.conversations.length === 0) {
+      lines.push('_No messages stored._', '');
+    }
+    for (const message of archive.conversations) {
+      const speaker = message.role === 'user' ? 'You' : 'Friend';
+      lines.push(`**${speaker}** (${formatTimestamp(message.timestamp)}): ${message.content}`, '');
+    }
+
+    lines.push('## Journal', '');
+    if (archive.journal.length === 0) {
+      lines.push('_No journal entries._', '');
+    }
+    for (const day of archive.journal) {
+      lines.push(`### ${day.date}`, '');
+      for (const entry of day.entries) {
+        lines.push(`- ${entry.content}${entry.prompted ? ' _(prompted)_' : ''}`);
+      }
+      lines.push('');
+    }
+
+    lines.push('## Mood history', '');
+    if (archive.moodHistory.length === 0) {
+      lines.push('_No mood data._');
+    }
+    for (const mood of archive.moodHistory) {
+      lines.push(`- ${formatTimestamp(mood.timestamp)}: ${mood.emotion}${mood.source ? ` (from ${mood.source})` : ''}`);
+    }
+    lines.push('');
+
+    lines.push('## Mood ratings', '');
+    if (archive.moodRatings.length === 0) {
+      lines.push('_No mood ratings._');
+    }
+    for (const rating of archive.moodRatings) {
+      lines.push(`- ${formatTimestamp(rating.timestamp)}: ${rating.score}/10${rating.word ? ` (${rating.word})` : ''}`);
+    }
+    lines.push('');
+
+    lines.push('## Exercises', '');
+    if (archive.exercises.length === 0) {
+      lines.push('_No exercises yet._');
+    }
+    for (const run of archive.exercises) {
+      lines.push(`- ${formatTimestamp(run.startedAt)}: ${run.exercise} (${run.status})`);
+    }
+    lines.push('');
+
+    lines.push('## Check-in schedule', '');
+    const schedule = archive.schedule;
+    if (!schedule || (!schedule.nextCheckIn && !schedule.nextJournalPrompt)) {
+      lines.push('_Check-ins are off._', '');
+    } else {
+      if (schedule.nextCheckIn) lines.push(`- Next check-in: ${formatTimestamp(schedule.nextCheckIn)}`);
+      if (schedule.nextJournalPrompt) lines.push(`- Next journal prompt: ${formatTimestamp(schedule.nextJournalPrompt)}`);
+      lines.push(`- Pending follow-ups: ${(schedule.followUps || []).length}`, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  sign(exportId, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${exportId}.${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a download link's signature and expiry
+   */
+  verifyLink(exportId, expires, signature) {
+    if (!exportId || !expires || !signature) return false;
+    if (Number(expires) < Date.now()) return false;
+
+    const expected = Buffer.from(this.sign(exportId, expires));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Create short-lived signed download links for a user's data.
+   * Only an opaque id is stored; the archive is built fresh on download.
+   */
+  async createExport(phoneNumber) {
+    const exportId = generateId();
+    const expires = Date.now() + this.linkTTL * 1000;
+
+    await storage.setExportToken(exportId, phoneNumber, this.linkTTL);
+
+    const base = `${getPublicBaseUrl()}/export/${exportId}?expires=${expires}&signature=${this.sign(exportId, expires)}`;
+
+    logger.info('Data export created', { phoneNumber: phoneNumber.slice(-4) });
+
+    return {
+      jsonUrl: `${base}&format=json`,
+      markdownUrl: `${base}&format=md`,
+      expiresInMinutes: Math.round(this.linkTTL / 60)
+    };
+  }
+
+  /**
+   * Resolve a verified export id to the archive it points at
+   */
+  async getArchiveForExport(exportId) {
+    const phoneNumber = await storage.getExportToken(exportId);
+    if (!phoneNumber) return null;
+    return this.buildArchive(phoneNumber);
+  }
+}
+
+// Export singleton instance
+module.exports = new DataExportService();
@@ -0,0 +1,122 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const llm = require('./llm');
+const longTermMemory = require('./longTermMemory');
+const proactiveMessaging = require('./proactiveMessaging');
+const { mentionsTime, getEventExtractionPrompt } = require('../prompts/eventPrompt');
+const { parseLlmJson } = require('../utils/helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class EventExtractionService {
+  constructor() {
+    this.settings = config.events;
+  }
+
+  /**
+   * Pull upcoming events out of a user message, remember them, and
+   * schedule a follow-up for after each one. Pass `extracted` when the
+   * message analysis already found them, to skip the extraction call.
+   * Returns the new events.
+   */
+  async processMessage(phoneNumber, message, extracted = null) {
+    if (!extracted && (!llm.isConfigured() || !mentionsTime(message))) {
+      return [];
+    }
+
+    const now = Date.now();
+    const events = (extracted || await this.extractEvents(message))
+      .map(event => ({ ...event, ...this.getEventTimes(event, now) }))
+      .filter(event => event.followUpAt);
+
+    if (events.length === 0) return [];
+
+    const added = await longTermMemory.addEvents(phoneNumber, events);
+
+    for (const event of added) {
+      await proactiveMessaging.scheduleFollowUp(
+        phoneNumber,
+        (event.followUpAt - now) / HOUR_MS,
+        'follow-up',
+        { eventId: event.id }
+      );
+    }
+
+    if (added.length > 0) {
+      logger.info('Upcoming events found', {
+        phoneNumber: phoneNumber.slice(-4),
+        count: added.length
+      });
+    }
+
+    return added;
+  }
+
+  /**
+   * Ask the LLM for dated events in a message
+   */
+  async extractEvents(message) {
+    try {
+      const response = await llm.complete('extraction', {
+        messages: [{ role: 'user', content: getEventExtractionPrompt(message) }]
+      });
+
+      const result = parseLlmJson(response.text);
+      return this.normalizeEvents(result?.events);
+
+    } catch (error) {
+      logger.logError('EventExtraction.extractEvents', error);
+      return [];
+    }
+  }
+
+  /**
+   * Keep well-formed events from LLM output: { description, date, time }
+   */
+  normalizeEvents(events) {
+    if (!Array.isArray(events)) return [];
+
+    return events
+      .filter(e => e && typeof e.description === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(e.date))
+      .map(e => ({
+        description: e.description.trim(),
+        date: e.date,
+        time: /^\d{2}:\d{2}$/.test(e.time) ? e.time : null
+      }));
+  }
+
+  /**
+   * Work out when an event happens and when to ask how it went: a few
+   * hours after it starts, or that evening if we don't know the time,
+   * moved out of quiet hours. followUpAt is null for events in the past
+   * or too far ahead.
+   */
+  getEventTimes(event, now = Date.now()) {
+    const [year, month, day] = event.date.split('-').map(Number);
+    const [hour, minute] = event.time ? event.time.split(':').map(Number) : [0, 0];
+    const eventAt = new Date(year, month - 1, day, hour, minute).getTime();
+
+    const followUp = event.time
+      ? new Date(eventAt + this.settings.hoursAfterEvent * HOUR_MS)
+      : new Date(year, month - 1, day, this.settings.defaultFollowUpHour);
+
+    const { start, end } = this.settings.quietHours;
+    if (followUp.getHours() >= start) {
+      followUp.setDate(followUp.getDate() + 1);
+      followUp.setHours(end, 0, 0, 0);
+    } else if (followUp.getHours() < end) {
+      followUp.setHours(end, 0, 0, 0);
+    }
+
+    const followUpAt = followUp.getTime();
+    const tooFar = followUpAt - now > this.settings.maxDaysAhead * 24 * HOUR_MS;
+
+    return {
+      eventAt,
+      followUpAt: followUpAt > now && !tooFar ? followUpAt : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new EventExtractionService();
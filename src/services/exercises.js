@@ -0,0 +1,302 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { containsCrisisKeyword } = require('../prompts/crisisPrompt');
+const { EXERCISES, CONTROLS_HINT, getExerciseMenu, getExerciseSuggestion } = require('../prompts/exercisePrompts');
+
+const PAUSE_PATTERN = /^(pause|pause exercise|wait|hold on|brb|later)[.!]?$/;
+const EXIT_PATTERN = /^(exit|stop|quit|cancel|end|(exit|stop|end|quit) (the )?exercise)[.!]?$/;
+
+/**
+ * Guided exercises are small state machines: the active one lives in
+ * user.exercises.active as { exercise, step, status, startedAt, updatedAt },
+ * where status is 'active' (replies go to the next step) or 'paused'
+ * (normal conversation until resumed). Finished runs are moved to
+ * user.exercises.log. What the user says during an exercise is only kept
+ * in their (encrypted) conversation history, tagged with the run.
+ */
+class ExerciseService {
+  constructor() {
+    this.settings = config.exercises;
+
+    this.triggers = new Map();
+    for (const [id, exercise] of Object.entries(EXERCISES)) {
+      for (const trigger of exercise.triggers) {
+        this.triggers.set(trigger, id);
+      }
+    }
+  }
+
+  /**
+   * List of exercises and how to start them
+   */
+  getMenu() {
+    return getExerciseMenu();
+  }
+
+  /**
+   * The exercise a (lowercased, trimmed) message asks to start, if any:
+   * a trigger word, optionally after "start", "let's do" and so on
+   */
+  findByCommand(lowerMessage) {
+    const name = lowerMessage
+      .replace(/^(start|begin|do|try|let'?s do|let'?s try|can we do) (a |an |the |some )?/, '')
+      .replace(/[.!?]+$/, '');
+    return this.triggers.get(name) || null;
+  }
+
+  /**
+   * Start an exercise, replacing any unfinished one. Returns the first step.
+   */
+  async start(phoneNumber, exerciseId, message) {
+    const exercise = EXERCISES[exerciseId];
+    const now = Date.now();
+    const run = { exercise: exerciseId, step: 0, status: 'active', startedAt: now, updatedAt: now };
+
+    await storage.modifyUser(phoneNumber, user => {
+      const { active, log } = user.exercises;
+      return {
+        ...user,
+        exercises: {
+          ...user.exercises,
+          active: run,
+          log: active ? this.appendLog(log, active, 'abandoned', now) : log
+        }
+      };
+    });
+
+    logger.info('Exercise started', {
+      phoneNumber: phoneNumber.slice(-4),
+      exercise: exerciseId
+    });
+
+    const response = `${exercise.steps[0].text}\n\n${CONTROLS_HINT}`;
+    await this.saveTurn(phoneNumber, run, message, response);
+    return response;
+  }
+
+  /**
+   * Route a message to the user's active exercise. Resolves to
+   * { handled: false } when there isn't one (or the message should go
+   * through the normal pipeline), or { handled: true, response }.
+   */
+  async handleMessage(phoneNumber, user, message) {
+    const active = user.exercises?.active;
+    if (!active || active.status !== 'active') {
+      return { handled: false };
+    }
+
+    if (Date.now() - active.updatedAt > this.settings.staleMinutes * 60 * 1000) {
+      await this.finish(phoneNumber, active, 'abandoned');
+      return { handled: false };
+    }
+
+    // Anything that might be a crisis gets the full crisis checks instead
+    if (containsCrisisKeyword(message)) {
+      await this.pause(phoneNumber, active);
+      return { handled: false };
+    }
+
+    const lowerMessage = message.toLowerCase().trim();
+
+    if (PAUSE_PATTERN.test(lowerMessage)) {
+      await this.pause(phoneNumber, active);
+      return {
+        handled: true,
+        response: `Sure, we'll pause here. Say "resume exercise" when you're ready to pick it back up (within ${this.settings.pausedHours} hours).`
+      };
+    }
+
+    if (EXIT_PATTERN.test(lowerMessage)) {
+      await this.finish(phoneNumber, active, 'exited');
+      return {
+        handled: true,
+        response: "No problem, we've stopped the exercise. I'm still here if you want to talk 💙"
+      };
+    }
+
+    return { handled: true, response: await this.advance(phoneNumber, active, message) };
+  }
+
+  /**
+   * Take the user's reply to the current step and move to the next one,
+   * or finish the exercise after the last. Returns what to send back.
+   */
+  async advance(phoneNumber, active, message) {
+    const exercise = EXERCISES[active.exercise];
+    const step = exercise.steps[active.step];
+    const nextStep = active.step + 1;
+    let response;
+
+    if (nextStep < exercise.steps.length) {
+      response = exercise.steps[nextStep].text;
+      await this.updateActive(phoneNumber, active, { step: nextStep, updatedAt: Date.now() });
+    } else {
+      response = typeof exercise.completion === 'function'
+        ? exercise.completion(await this.getAnswers(phoneNumber, active, step.key ? { [step.key]: message } : {}))
+        : exercise.completion;
+      await this.finish(phoneNumber, active, 'completed');
+    }
+
+    await this.saveTurn(phoneNumber, active, message, response, step.key);
+    return response;
+  }
+
+  /**
+   * Resume a paused exercise. Returns the step it stopped at, or null if
+   * there's nothing (recent enough) to resume.
+   */
+  async resume(phoneNumber, user) {
+    const active = user.exercises?.active;
+    if (!active || active.status !== 'paused') {
+      return null;
+    }
+
+    if (Date.now() - active.updatedAt > this.settings.pausedHours * 60 * 60 * 1000) {
+      await this.finish(phoneNumber, active, 'abandoned');
+      return null;
+    }
+
+    await this.updateActive(phoneNumber, active, { status: 'active', updatedAt: Date.now() });
+
+    logger.info('Exercise resumed', {
+      phoneNumber: phoneNumber.slice(-4),
+      exercise: active.exercise,
+      step: active.step
+    });
+
+    return `Picking up where we left off:\n\n${EXERCISES[active.exercise].steps[active.step].text}\n\n${CONTROLS_HINT}`;
+  }
+
+  async pause(phoneNumber, active) {
+    await this.updateActive(phoneNumber, active, { status: 'paused', updatedAt: Date.now() });
+
+    logger.info('Exercise paused', {
+      phoneNumber: phoneNumber.slice(-4),
+      exercise: active.exercise,
+      step: active.step
+    });
+  }
+
+  /**
+   * End a run and move it to the user's exercise log
+   */
+  async finish(phoneNumber, active, status) {
+    const now = Date.now();
+
+    await storage.modifyUser(phoneNumber, user => {
+      if (user.exercises.active?.startedAt !== active.startedAt) return user;
+      return {
+        ...user,
+        exercises: {
+          ...user.exercises,
+          active: null,
+          log: this.appendLog(user.exercises.log, user.exercises.active, status, now)
+        }
+      };
+    });
+
+    logger.info('Exercise finished', {
+      phoneNumber: phoneNumber.slice(-4),
+      exercise: active.exercise,
+      status,
+      durationMs: now - active.startedAt
+    });
+  }
+
+  /**
+   * Apply changes to the active run, if it's still the same run
+   */
+  async updateActive(phoneNumber, active, changes) {
+    await storage.modifyUser(phoneNumber, user => {
+      if (user.exercises.active?.startedAt !== active.startedAt) return user;
+      return {
+        ...user,
+        exercises: {
+          ...user.exercises,
+          active: { ...user.exercises.active, ...changes }
+        }
+      };
+    });
+  }
+
+  appendLog(log, active, status, endedAt) {
+    const entry = {
+      exercise: active.exercise,
+      status,
+      startedAt: active.startedAt,
+      endedAt,
+      stepsCompleted: status === 'completed' ? EXERCISES[active.exercise].steps.length : active.step
+    };
+    return [...log, entry].slice(-this.settings.logSize);
+  }
+
+  /**
+   * Save an exercise exchange to the conversation history, so the friend
+   * knows about it later. User replies are tagged with the run and, for
+   * steps that ask a question, which answer they are.
+   */
+  async saveTurn(phoneNumber, active, userMessage, response, stepKey = null) {
+    await storage.addMessage(phoneNumber, {
+      role: 'user',
+      content: userMessage,
+      exercise: active.exercise,
+      exerciseRun: active.startedAt,
+      ...(stepKey && { exerciseStep: stepKey })
+    });
+    await storage.addMessage(phoneNumber, {
+      role: 'assistant',
+      content: response,
+      exercise: active.exercise,
+      exerciseRun: active.startedAt
+    });
+
+    await storage.incrementUserStats(phoneNumber, { messageCount: 1 }, { lastActive: Date.now() });
+  }
+
+  /**
+   * Answers given so far in a run, read back from the conversation
+   */
+  async getAnswers(phoneNumber, active, current = {}) {
+    const history = await storage.getConversationHistory(phoneNumber, storage.maxStoredMessages);
+    const answers = {};
+
+    for (const msg of history) {
+      if (msg.role === 'user' && msg.exerciseRun === active.startedAt && msg.exerciseStep) {
+        answers[msg.exerciseStep] = msg.content;
+      }
+    }
+
+    return { ...answers, ...current };
+  }
+
+  /**
+   * An exercise to offer after a reply, going by the message analysis.
+   * Returns the line to add (and remembers offering it), or null.
+   */
+  async suggest(phoneNumber, user, analysis) {
+    if (!analysis || user.exercises?.active?.status === 'active') {
+      return null;
+    }
+
+    const lastSuggestedAt = user.exercises?.lastSuggestedAt;
+    if (lastSuggestedAt && Date.now() - lastSuggestedAt < this.settings.suggestCooldownHours * 60 * 60 * 1000) {
+      return null;
+    }
+
+    const match = this.settings.suggestions.find(suggestion =>
+      suggestion.emotion === analysis.emotion && analysis.arousal >= suggestion.minArousal
+    );
+    if (!match) return null;
+
+    await storage.modifyUser(phoneNumber, current => ({
+      ...current,
+      exercises: { ...current.exercises, lastSuggestedAt: Date.now() }
+    }));
+
+    return getExerciseSuggestion(match.exercise);
+  }
+}
+
+// Export singleton instance
+module.exports = new ExerciseService();
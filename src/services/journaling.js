@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const redisService = require('./redis');
+const storage = require('./storage');
 const { 
   isJournalEntry, 
   extractJournalContent, 
@@ -24,21 +24,13 @@ class JournalingService {
     try {
       const content = extractJournalContent(message);
       
-      await redisService.addJournalEntry(phoneNumber, {
+      await storage.addJournalEntry(phoneNumber, {
         content,
         prompted
       });
 
       // Update user's journal count
-      const user = await redisService.getUser(phoneNumber);
-      if (user) {
-        await redisService.updateUser(phoneNumber, {
-          stats: {
-            ...user.stats,
-            journalCount: (user.stats.journalCount || 0) + 1
-          }
-        });
-      }
+      await storage.incrementUserStats(phoneNumber, { journalCount: 1 });
 
       logger.info('Journal entry saved', {
         phoneNumber: phoneNumber.slice(-4),
@@ -85,7 +77,7 @@ class JournalingService {
    */
   async getJournalHistory(phoneNumber, days = 7) {
     try {
-      return await redisService.getJournalEntries(phoneNumber, days);
+      return await storage.getJournalEntries(phoneNumber, days);
     } catch (error) {
       logger.logError('JournalingService.getJournalHistory', error);
       return [];
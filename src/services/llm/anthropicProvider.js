@@ -0,0 +1,42 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const config = require('../../config');
+const BaseProvider = require('./baseProvider');
+
+class AnthropicProvider extends BaseProvider {
+  constructor() {
+    super('anthropic', config.claudeModel);
+    this.client = null;
+
+    if (config.claudeApiKey) {
+      // Retries are handled by the gateway, which also does fallback
+      this.client = new Anthropic({ apiKey: config.claudeApiKey, maxRetries: 0 });
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  async complete({ system, messages, maxTokens, temperature, model, timeoutMs }) {
+    const response = await this.client.messages.create({
+      model: model || this.defaultModel,
+      max_tokens: maxTokens,
+      ...(system && { system }),
+      ...(temperature != null && { temperature }),
+      messages
+    }, {
+      ...(timeoutMs && { timeout: timeoutMs })
+    });
+
+    return {
+      text: response.content[0]?.text || '',
+      model: response.model,
+      usage: {
+        inputTokens: response.usage?.input_tokens,
+        outputTokens: response.usage?.output_tokens
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
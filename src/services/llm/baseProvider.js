@@ -0,0 +1,30 @@
+/**
+ * LLM provider interface
+ *
+ * Providers turn a provider-neutral request into an API call:
+ *   { system, messages: [{ role, content }], maxTokens, temperature, model, timeoutMs }
+ * and resolve to:
+ *   { text, model, usage: { inputTokens, outputTokens } }
+ *
+ * Errors should carry the HTTP status as `error.status` where there is one,
+ * so callers can tell rate limits and outages apart.
+ */
+class BaseProvider {
+  constructor(name, defaultModel) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  /**
+   * Whether the provider has what it needs (API keys etc.) to make calls
+   */
+  isConfigured() { this.notImplemented('isConfigured'); }
+
+  async complete(request) { this.notImplemented('complete'); }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,90 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Circuit breaker for one LLM target (provider + model)
+ *
+ * closed    - calls go through; consecutive failures are counted
+ * open      - calls are refused until resetTimeoutMs has passed
+ * half-open - one trial call goes through; success closes the circuit,
+ *             failure opens it again
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold, resetTimeoutMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether a call may go through now. In half-open state only one caller
+   * gets a yes until that trial call is recorded.
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Open and still cooling down (calls would be refused)
+   */
+  isOpen() {
+    return this.state === 'open' && Date.now() - this.openedAt < this.resetTimeoutMs;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('LLM circuit closed', { target: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        logger.warn('LLM circuit opened', {
+          target: this.name,
+          failures: this.failures,
+          error: error.message,
+          retryInMs: this.resetTimeoutMs
+        });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      ...(this.openedAt && {
+        openedAt: new Date(this.openedAt).toISOString(),
+        retryAt: new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+      })
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,229 @@
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const { LLMUnavailableError } = require('../../utils/errorHandler');
+const { withRetry } = require('../../utils/helpers');
+const CircuitBreaker = require('./circuitBreaker');
+const AnthropicProvider = require('./anthropicProvider');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+const providers = {
+  anthropic: AnthropicProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create the LLM provider selected by config
+ */
+function createProvider(name = config.llm.provider) {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+  }
+  return new Provider();
+}
+
+/**
+ * Rate limits, server errors and network failures (no status) are worth
+ * retrying; bad requests and auth errors are not
+ */
+function isRetryable(error) {
+  const status = error.status;
+  return !status || status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+/**
+ * Single entry point for every LLM call in the app. Each call names its
+ * task (response, emotion, crisis...), which picks the model settings
+ * from config.llm.tasks and the usage counters it is reported under.
+ *
+ * Calls go to the primary provider, retried with jittered backoff on
+ * transient errors, and then to the fallback (if configured). Each of
+ * the two has a circuit breaker so a failing one is skipped straight away.
+ */
+class LLMGateway {
+  constructor(provider, fallbackProvider = null, settings = config.llm) {
+    this.provider = provider;
+    this.tasks = settings.tasks;
+    this.retry = settings.retry;
+    this.usage = {};
+
+    this.targets = [this.buildTarget('primary', provider, null, settings)];
+    if (fallbackProvider || settings.fallback.model) {
+      this.targets.push(this.buildTarget('fallback', fallbackProvider || provider, settings.fallback.model, settings));
+    }
+
+    for (const target of this.targets) {
+      if (!target.provider.isConfigured()) {
+        logger.warn(`LLM provider "${target.provider.name}" (${target.role}) is not configured`);
+      }
+    }
+  }
+
+  /**
+   * A provider and model to send calls to. A null model means the task's
+   * model (primary) or the provider's default (fallback).
+   */
+  buildTarget(role, provider, model, settings) {
+    const name = `${role}:${provider.name}${model ? `/${model}` : ''}`;
+    return {
+      role,
+      provider,
+      model,
+      breaker: new CircuitBreaker(name, settings.circuitBreaker)
+    };
+  }
+
+  get providerName() {
+    return this.provider.name;
+  }
+
+  isConfigured() {
+    return this.targets.some(target => target.provider.isConfigured());
+  }
+
+  /**
+   * Run a completion for a task: { system, messages } plus optional
+   * overrides of the task's maxTokens, temperature, model and timeoutMs.
+   * Resolves to { text, model, usage: { inputTokens, outputTokens } }.
+   * Throws LLMUnavailableError if every target is failing or open.
+   */
+  async complete(task, request) {
+    const settings = this.tasks[task];
+    if (!settings) {
+      throw new Error(`Unknown LLM task "${task}" (expected one of: ${Object.keys(this.tasks).join(', ')})`);
+    }
+    if (!this.isConfigured()) {
+      throw new Error(`LLM provider "${this.provider.name}" is not configured`);
+    }
+
+    const startTime = Date.now();
+    let lastError = null;
+
+    for (const target of this.targets) {
+      if (!target.provider.isConfigured() || !target.breaker.allowRequest()) continue;
+
+      const targetRequest = {
+        ...settings,
+        ...request,
+        ...(target.role === 'fallback' && { model: target.model })
+      };
+
+      try {
+        const response = await withRetry(
+          () => target.provider.complete(targetRequest),
+          this.retry.maxAttempts,
+          this.retry.baseDelayMs,
+          { maxDelay: this.retry.maxDelayMs, jitter: true, shouldRetry: isRetryable }
+        );
+
+        target.breaker.recordSuccess();
+        if (target.role === 'fallback') {
+          logger.info('LLM fallback used', { task, target: target.breaker.name });
+        }
+        this.recordUsage(task, response, Date.now() - startTime, target.role);
+        return response;
+
+      } catch (error) {
+        if (!isRetryable(error)) {
+          // The provider answered, it just didn't like this request
+          target.breaker.recordSuccess();
+          this.recordUsage(task, null, Date.now() - startTime, target.role);
+          throw error;
+        }
+
+        target.breaker.recordFailure(error);
+        logger.warn('LLM call failed', {
+          task,
+          target: target.breaker.name,
+          status: error.status,
+          error: error.message
+        });
+        lastError = error;
+      }
+    }
+
+    this.recordUsage(task, null, Date.now() - startTime, null);
+    const error = new LLMUnavailableError(lastError
+      ? `LLM unavailable: ${lastError.message}`
+      : 'LLM unavailable: circuit open');
+    error.cause = lastError;
+    throw error;
+  }
+
+  // ==================== Usage ====================
+
+  recordUsage(task, response, durationMs, role) {
+    const usage = this.usage[task] || (this.usage[task] = {
+      calls: 0,
+      errors: 0,
+      fallbacks: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      totalDurationMs: 0,
+      models: {}
+    });
+
+    usage.calls++;
+    usage.totalDurationMs += durationMs;
+
+    if (!response) {
+      usage.errors++;
+      return;
+    }
+
+    if (role === 'fallback') usage.fallbacks++;
+    usage.inputTokens += response.usage.inputTokens || 0;
+    usage.outputTokens += response.usage.outputTokens || 0;
+    usage.models[response.model] = (usage.models[response.model] || 0) + 1;
+
+    logger.debug('LLM call', {
+      task,
+      model: response.model,
+      inputTokens: response.usage.inputTokens,
+      outputTokens: response.usage.outputTokens,
+      durationMs
+    });
+  }
+
+  /**
+   * Calls, errors, tokens and average latency per task since startup
+   */
+  getUsage() {
+    return Object.fromEntries(Object.entries(this.usage).map(([task, usage]) => [task, {
+      calls: usage.calls,
+      errors: usage.errors,
+      fallbacks: usage.fallbacks,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      avgDurationMs: Math.round(usage.totalDurationMs / usage.calls),
+      models: { ...usage.models }
+    }]));
+  }
+
+  /**
+   * Circuit breaker state for each target, for health checks
+   */
+  getCircuitStates() {
+    return this.targets.map(target => ({
+      target: target.breaker.name,
+      ...target.breaker.getState()
+    }));
+  }
+
+  /**
+   * True when at least one configured target would take a call right now
+   */
+  isAvailable() {
+    return this.targets.some(target => target.provider.isConfigured() && !target.breaker.isOpen());
+  }
+}
+
+const fallbackName = config.llm.fallback.provider;
+
+// Export singleton instance
+module.exports = new LLMGateway(
+  createProvider(),
+  fallbackName && fallbackName !== config.llm.provider ? createProvider(fallbackName) : null
+);
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+const config = require('../../config');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Default canned responses, one per kind of prompt the app sends.
+ * `match` is a case-insensitive regex tested against the last user
+ * message; $1, $2... in the response are replaced with its capture groups.
+ * Object responses are sent as JSON.
+ */
+const DEFAULT_RULES = [
+  {
+    match: 'Analyze a text message a user sent',
+    response: {
+      emotion: 'neutral',
+      valence: 0,
+      arousal: 0.3,
+      crisis: { level: 'low', reasoning: 'mock assessment', recommend_resources: false, follow_up_hours: null },
+      events: []
+    }
+  },
+  {
+    match: 'evaluating a message for crisis risk',
+    response: { level: 'low', reasoning: 'mock assessment', recommend_resources: false, follow_up_hours: null }
+  },
+  {
+    match: 'Check a reply that a supportive friend',
+    response: { violations: [] }
+  },
+  {
+    match: 'Classify the emotional state',
+    response: 'neutral'
+  },
+  {
+    match: 'keep the long-term memory',
+    response: { summary: "They've been chatting about how things are going.", facts: [] }
+  },
+  {
+    match: 'What they said:\\n<user_text>\\n([\\s\\S]*?)\\n</user_text>',
+    response: { replaces: null, category: 'other', text: '$1' }
+  },
+  {
+    match: 'Find upcoming events',
+    response: { events: [] }
+  },
+  {
+    match: 'Write a short weekly recap',
+    response: 'What a week - thanks for sharing so much of it with me. How are you feeling about the week ahead?'
+  },
+  {
+    match: 'Generate a brief, natural check-in message',
+    response: "Hey, just thinking of you - how's your day going?"
+  },
+  {
+    match: '.*',
+    response: "I hear you. What's been on your mind the most today?"
+  }
+];
+
+/**
+ * Scripted offline provider - deterministic, no network. Rules from
+ * LLM_MOCK_SCRIPT (a JSON array of { match, response }) are tried before
+ * the defaults. Every request is kept in `calls` for inspection.
+ */
+class MockProvider extends BaseProvider {
+  constructor(scriptPath = config.llm.mockScript) {
+    super('mock', 'mock');
+    this.calls = [];
+    this.rules = [...this.loadScript(scriptPath), ...DEFAULT_RULES].map(rule => ({
+      pattern: new RegExp(rule.match, 'is'),
+      response: rule.response
+    }));
+  }
+
+  loadScript(scriptPath) {
+    if (!scriptPath) return [];
+
+    const rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new Error(`LLM mock script ${scriptPath} must be a JSON array of { match, response }`);
+    }
+    logger.info('Loaded LLM mock script', { path: scriptPath, rules: rules.length });
+    return rules;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Substitute capture groups into every string in a response
+   */
+  fill(response, groups) {
+    if (typeof response === 'string') {
+      return response.replace(/\$(\d+)/g, (_, n) => groups[n] ?? '');
+    }
+    if (Array.isArray(response)) {
+      return response.map(item => this.fill(item, groups));
+    }
+    if (response && typeof response === 'object') {
+      return Object.fromEntries(Object.entries(response).map(([k, v]) => [k, this.fill(v, groups)]));
+    }
+    return response;
+  }
+
+  async complete(request) {
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    const input = lastUser?.content || '';
+
+    this.calls.push(request);
+    if (this.calls.length > 100) this.calls.shift();
+
+    for (const rule of this.rules) {
+      const groups = input.match(rule.pattern);
+      if (!groups) continue;
+
+      const response = this.fill(rule.response, groups);
+      const text = typeof response === 'string' ? response : JSON.stringify(response);
+      return {
+        text,
+        model: request.model || this.defaultModel,
+        usage: {
+          inputTokens: Math.ceil(input.length / 4),
+          outputTokens: Math.ceil(text.length / 4)
+        }
+      };
+    }
+
+    return { text: '', model: request.model || this.defaultModel, usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+}
+
+module.exports = MockProvider;
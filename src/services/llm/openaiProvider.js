@@ -0,0 +1,61 @@
+const axios = require('axios');
+const config = require('../../config');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Any server speaking the OpenAI chat completions API (Ollama, vLLM,
+ * llama.cpp, LM Studio, OpenAI itself)
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor() {
+    const settings = config.llm.openai;
+    super('openai', settings.model);
+
+    this.client = axios.create({
+      baseURL: settings.baseUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(settings.apiKey && { 'Authorization': `Bearer ${settings.apiKey}` })
+      }
+    });
+  }
+
+  isConfigured() {
+    // Local servers usually need no key, so a base URL is enough
+    return Boolean(config.llm.openai.baseUrl);
+  }
+
+  async complete({ system, messages, maxTokens, temperature, model, timeoutMs }) {
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model: model || this.defaultModel,
+        max_tokens: maxTokens,
+        ...(temperature != null && { temperature }),
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages
+        ]
+      }, {
+        ...(timeoutMs && { timeout: timeoutMs })
+      });
+
+      const data = response.data;
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        model: data.model,
+        usage: {
+          inputTokens: data.usage?.prompt_tokens,
+          outputTokens: data.usage?.completion_tokens
+        }
+      };
+
+    } catch (err) {
+      // Surface the HTTP status the same way the Anthropic SDK does
+      const error = new Error(err.response?.data?.error?.message || err.message);
+      error.status = err.response?.status;
+      throw error;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
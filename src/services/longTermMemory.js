@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const storage = require('./storage');
+const llm = require('./llm');
+const { FACT_CATEGORIES, getMemoryUpdatePrompt, getMemoryCorrectionPrompt } = require('../prompts/memoryPrompt');
+const { generateId, parseLlmJson, truncate } = require('../utils/helpers');
+
+class LongTermMemoryService {
+  constructor() {
+    this.settings = config.memory;
+    this.processId = `${process.pid}:${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Get a user's memory (an empty one if nothing has been summarized yet)
+   */
+  async getMemory(phoneNumber) {
+    return await storage.getMemory(phoneNumber) || storage.buildEmptyMemory();
+  }
+
+  /**
+   * Memory fields for the system prompt
+   */
+  async getPromptContext(phoneNumber) {
+    const memory = await this.getMemory(phoneNumber);
+    const today = new Date().setHours(0, 0, 0, 0);
+
+    return {
+      memorySummary: memory.summary,
+      memoryFacts: memory.facts.map(f => f.text),
+      upcomingEvents: memory.events
+        .filter(e => e.eventAt >= today)
+        .map(e => `${e.description} (${new Date(e.eventAt).toDateString()})`)
+    };
+  }
+
+  /**
+   * Fold new messages into the user's memory once enough have built up.
+   * Cheap to call after every message; returns true if memory was updated.
+   */
+  async maybeUpdate(phoneNumber) {
+    if (!llm.isConfigured()) return false;
+
+    const memory = await this.getMemory(phoneNumber);
+    const pending = await storage.getConversationRange(phoneNumber, memory.summarizedThrough + 1);
+    if (pending.length < this.settings.summarizeEvery) return false;
+
+    // One summarizer per user at a time, across instances
+    const lockKey = `summarize:lock:${phoneNumber}`;
+    if (!await storage.acquireLock(lockKey, this.processId, this.settings.lockTTL)) {
+      return false;
+    }
+
+    // A slow model with retries and a fallback can outlast the TTL, so
+    // keep the lock while the update runs
+    const heartbeat = setInterval(() => {
+      storage.extendLock(lockKey, this.processId, this.settings.lockTTL).catch(error => {
+        logger.warn('Failed to extend summarize lock', {
+          phoneNumber: phoneNumber.slice(-4),
+          error: error.message
+        });
+      });
+    }, this.settings.lockTTL * 1000 / 3);
+    heartbeat.unref();
+
+    try {
+      // Oldest first, so a long backlog is caught up over several updates
+      return await this.update(phoneNumber, memory, pending.slice(0, this.settings.maxMessagesPerUpdate));
+    } finally {
+      clearInterval(heartbeat);
+      await storage.releaseLock(lockKey, this.processId);
+    }
+  }
+
+  /**
+   * Ask the LLM to merge messages into the memory, then save the result
+   */
+  async update(phoneNumber, memory, messages) {
+    const startTime = Date.now();
+
+    const response = await llm.complete('summarization', {
+      messages: [{
+        role: 'user',
+        content: getMemoryUpdatePrompt(memory, messages, this.settings.maxFacts)
+      }]
+    });
+
+    const result = parseLlmJson(response.text);
+
+    if (!result || typeof result.summary !== 'string' || !Array.isArray(result.facts)) {
+      logger.warn('Memory update returned invalid JSON', { phoneNumber: phoneNumber.slice(-4) });
+      return false;
+    }
+
+    const summarizedThrough = messages[messages.length - 1].timestamp;
+    const seenFactIds = new Set(memory.facts.map(f => f.id));
+
+    const updated = await storage.modifyMemory(phoneNumber, current =>
+      this.mergeUpdate(current, result, summarizedThrough, seenFactIds)
+    );
+
+    logger.info('Long-term memory updated', {
+      phoneNumber: phoneNumber.slice(-4),
+      messages: messages.length,
+      facts: updated.facts.length,
+      durationMs: Date.now() - startTime
+    });
+
+    return true;
+  }
+
+  /**
+   * Apply an LLM memory update to the stored memory. seenFactIds are the
+   * facts the LLM was shown; anything added or removed since then wins, and
+   * facts the user stated themselves are never rewritten by the LLM.
+   */
+  mergeUpdate(current, result, summarizedThrough, seenFactIds) {
+    // Another update already covered these messages
+    if (current.summarizedThrough >= summarizedThrough) {
+      return current;
+    }
+
+    const now = Date.now();
+    const existing = new Map(current.facts.map(f => [f.id, f]));
+
+    const forgotten = new Set(current.forgotten.map(text => text.toLowerCase()));
+
+    const learned = result.facts
+      .filter(f => f && typeof f.text === 'string' && f.text.trim())
+      .filter(f => !forgotten.has(f.text.trim().toLowerCase()))
+      // Facts removed since the LLM saw them stay removed
+      .filter(f => !seenFactIds.has(f.id) || existing.has(f.id))
+      .filter(f => existing.get(f.id)?.source !== 'user')
+      .map(f => {
+        const previous = seenFactIds.has(f.id) ? existing.get(f.id) : null;
+        return this.buildFact(f.category, f.text, 'conversation', previous, now);
+      });
+
+    const kept = current.facts.filter(f => !seenFactIds.has(f.id) || f.source === 'user');
+
+    return {
+      ...current,
+      summary: truncate(result.summary.trim(), this.settings.maxSummaryLength),
+      // Over the limit, the oldest go first, as in rememberFact
+      facts: [...kept, ...learned].slice(-this.settings.maxFacts),
+      summarizedThrough,
+      updatedAt: now
+    };
+  }
+
+  buildFact(category, text, source, previous = null, now = Date.now()) {
+    return {
+      id: previous ? previous.id : generateId().slice(0, 8),
+      category: FACT_CATEGORIES.includes(category) ? category : 'other',
+      text: truncate(text.trim(), 200),
+      source,
+      createdAt: previous ? previous.createdAt : now,
+      updatedAt: now
+    };
+  }
+
+  // ==================== Upcoming Events ====================
+
+  /**
+   * Remember upcoming events, skipping ones we already know about and
+   * dropping events that are long past. Returns the events that were new.
+   */
+  async addEvents(phoneNumber, events) {
+    const cutoff = Date.now() - config.events.keepDays * 24 * 60 * 60 * 1000;
+    const key = e => `${e.description.toLowerCase()}|${e.date}`;
+    let added = [];
+
+    await storage.modifyMemory(phoneNumber, memory => {
+      const known = new Set(memory.events.map(key));
+      added = events
+        .filter(e => !known.has(key(e)))
+        .map(e => ({ id: generateId().slice(0, 8), ...e, createdAt: Date.now() }));
+
+      return {
+        ...memory,
+        events: [...memory.events.filter(e => e.eventAt >= cutoff), ...added]
+      };
+    });
+
+    return added;
+  }
+
+  async getEvent(phoneNumber, eventId) {
+    const memory = await this.getMemory(phoneNumber);
+    return memory.events.find(e => e.id === eventId) || null;
+  }
+
+  // ==================== User Memory Controls ====================
+
+  /**
+   * Find a fact by its position in the list shown to the user (1-based)
+   * or by its exact text (case and surrounding quotes don't matter).
+   * Nothing looser: whatever this finds gets changed or deleted.
+   */
+  findFact(facts, selector) {
+    const position = parseInt(selector, 10);
+    if (String(position) === String(selector).trim()) {
+      return facts[position - 1] || null;
+    }
+
+    const normalize = (text) => String(text).toLowerCase().trim()
+      .replace(/^["'“‘]+|["'”’.!]+$/g, '')
+      .trim();
+    const query = normalize(selector);
+    if (!query) return null;
+
+    return facts.find(f => normalize(f.text) === query) || null;
+  }
+
+  /**
+   * Forget one fact. Its text is kept in `forgotten` so summaries don't
+   * learn it again. Returns the forgotten fact, or null if none matched.
+   */
+  async forgetFact(phoneNumber, selector) {
+    let removed = null;
+
+    await storage.modifyMemory(phoneNumber, memory => {
+      removed = this.findFact(memory.facts, selector);
+      if (!removed) return memory;
+
+      return {
+        ...memory,
+        facts: memory.facts.filter(f => f.id !== removed.id),
+        forgotten: [...memory.forgotten, removed.text].slice(-this.settings.maxForgotten),
+        updatedAt: Date.now()
+      };
+    });
+
+    if (removed) {
+      logger.info('Memory fact forgotten', { phoneNumber: phoneNumber.slice(-4), category: removed.category });
+    }
+    return removed;
+  }
+
+  /**
+   * Replace the text of one fact. Returns the updated fact, or null.
+   */
+  async correctFact(phoneNumber, selector, text) {
+    let corrected = null;
+
+    await storage.modifyMemory(phoneNumber, memory => {
+      const fact = this.findFact(memory.facts, selector);
+      if (!fact) {
+        corrected = null;
+        return memory;
+      }
+
+      corrected = this.buildFact(fact.category, text, 'user', fact);
+      return {
+        ...memory,
+        facts: memory.facts.map(f => f.id === fact.id ? corrected : f),
+        updatedAt: Date.now()
+      };
+    });
+
+    if (corrected) {
+      logger.info('Memory fact corrected', { phoneNumber: phoneNumber.slice(-4), category: corrected.category });
+    }
+    return corrected;
+  }
+
+  /**
+   * Remember something the user told us directly, replacing the fact it
+   * corrects if there is one. Returns { fact, replaced }. With
+   * onlyIfCorrection, nothing is saved (and null is returned) unless the
+   * statement corrects a fact we already have.
+   */
+  async rememberFact(phoneNumber, statement, { onlyIfCorrection = false } = {}) {
+    const memory = await this.getMemory(phoneNumber);
+    if (onlyIfCorrection && (memory.facts.length === 0 || !llm.isConfigured())) return null;
+
+    let parsed = null;
+
+    if (llm.isConfigured()) {
+      try {
+        const response = await llm.complete('extraction', {
+          messages: [{ role: 'user', content: getMemoryCorrectionPrompt(memory.facts, statement) }]
+        });
+        parsed = parseLlmJson(response.text);
+      } catch (error) {
+        logger.logError('LongTermMemoryService.rememberFact', error);
+      }
+    }
+
+    if (onlyIfCorrection && !memory.facts.some(f => f.id === parsed?.replaces)) {
+      return null;
+    }
+
+    // Without the LLM, store what they said as-is
+    if (!parsed || typeof parsed.text !== 'string' || !parsed.text.trim()) {
+      parsed = { replaces: null, category: 'other', text: statement };
+    }
+
+    let fact = null;
+    let replaced = null;
+
+    await storage.modifyMemory(phoneNumber, current => {
+      replaced = current.facts.find(f => f.id === parsed.replaces) || null;
+      fact = this.buildFact(parsed.category, parsed.text, 'user', replaced);
+
+      const facts = replaced
+        ? current.facts.map(f => f.id === replaced.id ? fact : f)
+        : [...current.facts, fact].slice(-this.settings.maxFacts);
+
+      return {
+        ...current,
+        facts,
+        forgotten: current.forgotten.filter(text => text.toLowerCase() !== fact.text.toLowerCase()),
+        updatedAt: Date.now()
+      };
+    });
+
+    logger.info('Memory fact remembered', {
+      phoneNumber: phoneNumber.slice(-4),
+      category: fact.category,
+      replaced: Boolean(replaced)
+    });
+
+    return { fact, replaced };
+  }
+}
+
+// Export singleton instance
+module.exports = new LongTermMemoryService();
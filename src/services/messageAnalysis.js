@@ -0,0 +1,82 @@
+const logger = require('../utils/logger');
+const llm = require('./llm');
+const eventExtraction = require('./eventExtraction');
+const { EMOTIONS, getMessageAnalysisPrompt } = require('../prompts/analysisPrompt');
+const { mentionsTime } = require('../prompts/eventPrompt');
+const { parseLlmJson } = require('../utils/helpers');
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+class MessageAnalysisService {
+  /**
+   * Analyze an incoming message with a single LLM call. Resolves to
+   * { emotion, valence, arousal, crisis, events }, or null if the call
+   * failed - callers then fall back to their own checks.
+   * `events` is null when the message doesn't mention a time.
+   */
+  async analyze(phoneNumber, message, conversationHistory = []) {
+    if (!llm.isConfigured()) {
+      return null;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const response = await llm.complete('analysis', {
+        messages: [{ role: 'user', content: getMessageAnalysisPrompt(message, conversationHistory.slice(-6)) }]
+      });
+
+      const analysis = this.normalize(parseLlmJson(response.text), mentionsTime(message));
+      if (!analysis) {
+        logger.warn('Message analysis returned invalid JSON', { phoneNumber: phoneNumber.slice(-4) });
+        return null;
+      }
+
+      logger.info('Message analyzed', {
+        phoneNumber: phoneNumber.slice(-4),
+        emotion: analysis.emotion,
+        riskLevel: analysis.crisis.level,
+        events: analysis.events ? analysis.events.length : null,
+        durationMs: Date.now() - startTime
+      });
+
+      return analysis;
+
+    } catch (error) {
+      logger.logError('MessageAnalysis.analyze', error);
+      return null;
+    }
+  }
+
+  /**
+   * Validate LLM output. The crisis level is required; anything else
+   * missing or malformed gets a neutral default.
+   */
+  normalize(result, withEvents) {
+    if (!result || !result.crisis || !RISK_LEVELS.includes(result.crisis.level)) {
+      return null;
+    }
+
+    const emotion = String(result.emotion || '').toLowerCase().trim();
+    const followUpHours = Number(result.crisis.follow_up_hours);
+
+    return {
+      emotion: EMOTIONS.includes(emotion) ? emotion : 'neutral',
+      valence: Number.isFinite(result.valence) ? clamp(result.valence, -1, 1) : 0,
+      arousal: Number.isFinite(result.arousal) ? clamp(result.arousal, 0, 1) : 0.5,
+      // Same shape as CrisisDetectionService.assessWithLLM
+      crisis: {
+        level: result.crisis.level,
+        reasoning: result.crisis.reasoning || null,
+        recommend_resources: Boolean(result.crisis.recommend_resources),
+        follow_up_hours: followUpHours > 0 ? followUpHours : null
+      },
+      events: withEvents ? eventExtraction.normalizeEvents(result.events) : null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageAnalysisService();
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const userLock = require('./userLock');
+const { containsCrisisKeyword } = require('../prompts/crisisPrompt');
+
+/**
+ * Holds inbound texts so a burst of short messages gets one reply.
+ * Messages wait in the user's storage queue (so any instance can answer
+ * them); each instance keeps a timer for the messages it received. When a
+ * timer fires and its message is still the newest one queued, the queue is
+ * drained and handed to the flush callback as one burst. A newer message
+ * has its own timer, so older timers just step aside - unless the burst has
+ * been waiting maxWaitMs.
+ *
+ * Bursts are answered while holding the user's lock, so only one is in
+ * progress per user across all instances. A burst that's due while another
+ * is being answered stays queued, and the instance holding the lock picks
+ * it up when it's done - which keeps replies in the order messages came in.
+ */
+class MessageBuffer {
+  constructor() {
+    this.settings = config.messageBuffer;
+    this.timers = new Map(); // phoneNumber -> { timer, onFlush }
+  }
+
+  isEnabled() {
+    return this.settings.debounceMs > 0;
+  }
+
+  /**
+   * Queue a message. `onFlush(burst)` is called with every queued message,
+   * oldest first, once the burst is over.
+   */
+  async add(phoneNumber, content, { messageId = null } = {}, onFlush) {
+    const entry = {
+      id: messageId || crypto.randomUUID(),
+      content,
+      receivedAt: Date.now()
+    };
+    await storage.enqueueMessage(phoneNumber, entry);
+
+    const queued = await storage.getQueuedMessages(phoneNumber);
+    if (this.isDue(queued, entry.receivedAt)) {
+      return this.flush(phoneNumber, onFlush);
+    }
+
+    const waited = entry.receivedAt - queued[0].receivedAt;
+    const delay = Math.min(this.settings.debounceMs, this.settings.maxWaitMs - waited);
+    this.schedule(phoneNumber, entry.id, delay, onFlush);
+  }
+
+  /**
+   * Whether queued messages should be answered now: the burst is over or
+   * has waited long enough, or someone in crisis shouldn't wait for it
+   */
+  isDue(queued, now = Date.now()) {
+    if (queued.length === 0) return false;
+
+    const newest = queued[queued.length - 1];
+    return now - newest.receivedAt >= this.settings.debounceMs ||
+      now - queued[0].receivedAt >= this.settings.maxWaitMs ||
+      queued.length >= this.settings.maxMessages ||
+      queued.some(message => containsCrisisKeyword(message.content));
+  }
+
+  schedule(phoneNumber, entryId, delay, onFlush) {
+    clearTimeout(this.timers.get(phoneNumber)?.timer);
+
+    const timer = setTimeout(async () => {
+      this.timers.delete(phoneNumber);
+      try {
+        await this.flushIfLatest(phoneNumber, entryId, onFlush);
+      } catch (error) {
+        logger.logError('MessageBuffer.flushIfLatest', error, {
+          phoneNumber: phoneNumber.slice(-4)
+        });
+      }
+    }, delay);
+
+    this.timers.set(phoneNumber, { timer, onFlush });
+  }
+
+  /**
+   * Flush when `entryId` is still the newest queued message (or the burst
+   * has waited long enough). Another instance may have flushed already.
+   */
+  async flushIfLatest(phoneNumber, entryId, onFlush) {
+    const queued = await storage.getQueuedMessages(phoneNumber);
+    if (queued.length === 0) return;
+
+    const newest = queued[queued.length - 1];
+    if (newest.id !== entryId && Date.now() - queued[0].receivedAt < this.settings.maxWaitMs) {
+      return;
+    }
+
+    await this.flush(phoneNumber, onFlush);
+  }
+
+  /**
+   * Take everything queued for a user and hand it over as one burst, then
+   * any burst that came due in the meantime. Leaves the queue alone if
+   * another burst for the user is still being answered.
+   */
+  async flush(phoneNumber, onFlush) {
+    clearTimeout(this.timers.get(phoneNumber)?.timer);
+    this.timers.delete(phoneNumber);
+
+    const lock = await userLock.acquire(phoneNumber);
+    if (!lock) {
+      logger.debug('Still answering an earlier burst, leaving messages queued', {
+        phoneNumber: phoneNumber.slice(-4)
+      });
+      return;
+    }
+
+    try {
+      const burst = await storage.drainQueue(phoneNumber);
+      if (burst.length === 0) return;
+
+      if (burst.length > 1) {
+        logger.info('Answering message burst', {
+          phoneNumber: phoneNumber.slice(-4),
+          messages: burst.length,
+          spanMs: burst[burst.length - 1].receivedAt - burst[0].receivedAt
+        });
+      }
+
+      await onFlush(burst);
+    } finally {
+      await userLock.release(lock);
+    }
+
+    // Messages that arrived (and whose flush stepped aside) while busy
+    if (this.isDue(await storage.getQueuedMessages(phoneNumber))) {
+      await this.flush(phoneNumber, onFlush);
+    }
+  }
+
+  /**
+   * Answer everything still waiting on this instance (graceful shutdown)
+   */
+  async shutdown() {
+    const pending = [...this.timers.entries()];
+    await Promise.all(pending.map(async ([phoneNumber, { onFlush }]) => {
+      try {
+        await this.flush(phoneNumber, onFlush);
+      } catch (error) {
+        logger.logError('MessageBuffer.shutdown', error, {
+          phoneNumber: phoneNumber.slice(-4)
+        });
+      }
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new MessageBuffer();
@@ -0,0 +1,195 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const { containsCrisisKeyword } = require('../prompts/crisisPrompt');
+const { getMoodAcknowledgment, getMoodSummaryText } = require('../prompts/moodPrompt');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "7", "7/10", "about a 6", "i'm a 4 today" - optionally followed by a few words
+// (and optionally after "mood", as in "mood 7")
+const SCORE_FIRST = /^(?:(?:i'?m|i am|feeling|it'?s|probably|maybe|about|around|like)\s+)*(?:an?\s+)?(10|[1-9])(?:\s*(?:\/|out of)\s*10)?(?:\s*[,.:;!-]*\s*(.*))?$/;
+// "tired, 4" or "meh 5/10"
+const WORD_FIRST = /^([a-z][a-z' ]{0,30}?)\s*[,:-]?\s*(10|[1-9])(?:\s*(?:\/|out of)\s*10)?$/;
+
+// Words after a number that make it a quantity, not a rating
+const QUANTITY_WORDS = /^(minutes?|mins?|hours?|hrs?|days?|weeks?|months?|years?|times?|am|pm|o'?clock|of|more|people|things|percent|ideas|ways)\b/;
+
+const round = (value) => Math.round(value * 10) / 10;
+const dateKey = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+
+/**
+ * Start of the (UTC, Monday-first) week a timestamp falls in
+ */
+const weekKey = (timestamp) => {
+  const date = new Date(timestamp);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return dateKey(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday));
+};
+
+class MoodTrackingService {
+  constructor() {
+    this.settings = config.mood;
+  }
+
+  /**
+   * Read a message as a 1-10 mood rating with an optional word or two.
+   * Returns { score, word } or null if it doesn't look like one.
+   */
+  parseRating(message) {
+    const text = String(message || '')
+      .toLowerCase()
+      .replace(/[’]/g, '\'')
+      .replace(/[^\p{L}\p{N}\s'/,.:;!-]/gu, '') // emoji
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^mood:? /, '')
+      .replace(/[.!]+$/, '');
+
+    let score;
+    let word;
+
+    const scoreFirst = text.match(SCORE_FIRST);
+    const wordFirst = scoreFirst ? null : text.match(WORD_FIRST);
+    if (scoreFirst) {
+      [, score, word] = scoreFirst;
+    } else if (wordFirst) {
+      [, word, score] = wordFirst;
+    } else {
+      return null;
+    }
+
+    word = (word || '').trim();
+    // A few words at most, and no more numbers or quantities ("5 minutes ago" isn't a rating)
+    if (word && (word.split(' ').length > 3 || /\d/.test(word) || (scoreFirst && QUANTITY_WORDS.test(word)))) {
+      return null;
+    }
+
+    return { score: Number(score), word: word || null };
+  }
+
+  /**
+   * Whether a check-in was sent recently and hasn't been answered
+   */
+  isAwaitingReply(user, now = Date.now()) {
+    const { sentAt, answeredAt } = user?.moodCheckIn || {};
+    if (!sentAt || (answeredAt && answeredAt >= sentAt)) return false;
+    return now - sentAt <= this.settings.replyWindowHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Note that a check-in asking for a rating was just sent
+   */
+  async markCheckInSent(phoneNumber) {
+    await storage.modifyUser(phoneNumber, user => ({
+      ...user,
+      moodCheckIn: { ...user.moodCheckIn, sentAt: Date.now() }
+    }));
+  }
+
+  /**
+   * Save a rating to the user's mood timeseries
+   */
+  async record(phoneNumber, { score, word = null, source }) {
+    await storage.addMoodEntry(phoneNumber, { score, word, source });
+
+    logger.info('Mood recorded', {
+      phoneNumber: phoneNumber.slice(-4),
+      score,
+      source
+    });
+  }
+
+  /**
+   * Take a reply to the latest check-in. Resolves to { handled: false }
+   * when it isn't a rating (or should still go through the normal
+   * pipeline after being recorded), or { handled: true, response }.
+   */
+  async handleReply(phoneNumber, user, message) {
+    if (!this.isAwaitingReply(user)) {
+      return { handled: false };
+    }
+
+    const rating = this.parseRating(message);
+    if (!rating) {
+      return { handled: false };
+    }
+
+    await this.record(phoneNumber, { ...rating, source: 'check-in' });
+    await storage.modifyUser(phoneNumber, current => ({
+      ...current,
+      moodCheckIn: { ...current.moodCheckIn, answeredAt: Date.now() }
+    }));
+
+    // "2 want to die" still needs the crisis checks
+    if (containsCrisisKeyword(message)) {
+      return { handled: false };
+    }
+
+    return { handled: true, response: getMoodAcknowledgment(rating.score, rating.word) };
+  }
+
+  /**
+   * Average, min and max rating (and any words given) per period. `keyFor`
+   * maps a timestamp to the period's start date. Oldest period first.
+   */
+  aggregate(entries, keyFor) {
+    const periods = new Map();
+
+    for (const entry of entries) {
+      const key = keyFor(entry.timestamp);
+      const period = periods.get(key) || { date: key, total: 0, count: 0, min: 10, max: 1, words: [] };
+      period.total += entry.score;
+      if (entry.word && !period.words.includes(entry.word)) period.words.push(entry.word);
+      period.count++;
+      period.min = Math.min(period.min, entry.score);
+      period.max = Math.max(period.max, entry.score);
+      periods.set(key, period);
+    }
+
+    return [...periods.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ total, ...period }) => ({ ...period, average: round(total / period.count) }));
+  }
+
+  /**
+   * Daily averages for the last `days` days and weekly averages for the
+   * last `weeks` weeks (days and weeks without ratings are left out)
+   */
+  async getSummary(phoneNumber, { days = this.settings.summaryDays, weeks = this.settings.summaryWeeks, now = Date.now() } = {}) {
+    const weeksFrom = Date.parse(weekKey(now)) - (weeks - 1) * 7 * DAY_MS;
+    const daysFrom = Date.parse(dateKey(now)) - (days - 1) * DAY_MS;
+
+    const entries = await storage.getMoodEntries(phoneNumber, { from: Math.min(weeksFrom, daysFrom) });
+
+    return {
+      daily: this.aggregate(entries.filter(e => e.timestamp >= daysFrom), dateKey),
+      weekly: this.aggregate(entries.filter(e => e.timestamp >= weeksFrom), weekKey)
+    };
+  }
+
+  /**
+   * Daily averages for the last 7 days plus this week's and last week's
+   * average (null when there were no ratings), for the weekly recap
+   */
+  async getWeekTrend(phoneNumber, now = Date.now()) {
+    const { daily, weekly } = await this.getSummary(phoneNumber, { days: 7, weeks: 2, now });
+    const averageFor = (date) => weekly.find(week => week.date === date)?.average ?? null;
+
+    return {
+      daily,
+      thisWeek: averageFor(weekKey(now)),
+      lastWeek: averageFor(weekKey(now - 7 * DAY_MS))
+    };
+  }
+
+  /**
+   * "my mood" reply
+   */
+  async getSummaryText(phoneNumber) {
+    return getMoodSummaryText(await this.getSummary(phoneNumber));
+  }
+}
+
+// Export singleton instance
+module.exports = new MoodTrackingService();
@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const config = require('../config');
-const redisService = require('./redis');
+const storage = require('./storage');
+const weeklyRecap = require('./weeklyRecap');
 const { getWelcomeMessage, getOnboardingPrompt, getNameAcknowledgment } = require('../prompts/systemPrompt');
 
 class OnboardingService {
@@ -12,7 +13,7 @@ class OnboardingService {
    * Check if user is new (needs welcome message)
    */
   async isNewUser(phoneNumber) {
-    const user = await redisService.getUser(phoneNumber);
+    const user = await storage.getUser(phoneNumber);
     return !user;
   }
 
@@ -45,7 +46,7 @@ class OnboardingService {
         // Try to extract name from message
         const extractedName = this.extractName(message);
         if (extractedName) {
-          await redisService.updateUser(phoneNumber, { name: extractedName });
+          await storage.updateUser(phoneNumber, { name: extractedName });
           response = getNameAcknowledgment(extractedName);
           await this.advanceStage(phoneNumber, this.stages.ASK_REASON);
           stageAdvanced = true;
@@ -189,9 +190,12 @@ class OnboardingService {
       const now = Date.now();
       const tomorrow9am = this.getNext9AM();
       
-      await redisService.setSchedule(phoneNumber, {
+      const user = await storage.getUser(phoneNumber);
+
+      await storage.setSchedule(phoneNumber, {
         nextCheckIn: tomorrow9am,
         nextJournalPrompt: this.getNext8PM(),
+        nextWeeklyRecap: weeklyRecap.isEnabled(user) ? weeklyRecap.getNextRecapTime() : null,
         followUps: []
       });
 
@@ -231,7 +235,7 @@ class OnboardingService {
    * Advance user to next onboarding stage
    */
   async advanceStage(phoneNumber, newStage) {
-    await redisService.updateUser(phoneNumber, { onboardingStage: newStage });
+    await storage.updateUser(phoneNumber, { onboardingStage: newStage });
     logger.info('Onboarding stage advanced', {
       phoneNumber: phoneNumber.slice(-4),
       newStage
@@ -242,7 +246,7 @@ class OnboardingService {
    * Get current onboarding stage
    */
   async getCurrentStage(phoneNumber) {
-    const user = await redisService.getUser(phoneNumber);
+    const user = await storage.getUser(phoneNumber);
     return user?.onboardingStage || 0;
   }
 
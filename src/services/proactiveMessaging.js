@@ -1,17 +1,22 @@
+const crypto = require('crypto');
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const config = require('../config');
-const redisService = require('./redis');
+const storage = require('./storage');
 const conversationEngine = require('./conversationEngine');
 const loopMessage = require('./loopMessage');
 const journaling = require('./journaling');
+const moodTracking = require('./moodTracking');
+const weeklyRecap = require('./weeklyRecap');
+const { getMoodCheckInQuestion } = require('../prompts/moodPrompt');
 
 class ProactiveMessaging {
   constructor() {
     this.lockKey = config.proactiveMessaging.lockKey;
     this.lockTTL = config.proactiveMessaging.lockTTL;
     this.isLeader = false;
-    this.processId = String(process.pid);
+    // Lock owner token: pids repeat across containers, so add a random part
+    this.processId = `${process.pid}:${crypto.randomUUID()}`;
     this.cronJob = null;
   }
 
@@ -20,7 +25,7 @@ class ProactiveMessaging {
    */
   async acquireLeaderLock() {
     try {
-      const lockAcquired = await redisService.acquireLock(
+      const lockAcquired = await storage.acquireLock(
         this.lockKey, 
         this.processId, 
         this.lockTTL
@@ -45,7 +50,7 @@ class ProactiveMessaging {
   async releaseLeaderLock() {
     try {
       if (this.isLeader) {
-        const released = await redisService.releaseLock(this.lockKey, this.processId);
+        const released = await storage.releaseLock(this.lockKey, this.processId);
         if (released) {
           logger.info(`Process ${this.processId} released proactive messaging leadership`);
         }
@@ -71,7 +76,7 @@ class ProactiveMessaging {
       const now = Date.now();
       
       // Get all users with scheduled messages
-      const scheduledUsers = await redisService.getAllScheduledUsers();
+      const scheduledUsers = await storage.getAllScheduledUsers();
       
       for (const phoneNumber of scheduledUsers) {
         try {
@@ -88,7 +93,7 @@ class ProactiveMessaging {
       await this.checkInactiveUsers(now);
       
       // Extend leadership lock since we completed successfully
-      await redisService.extendLock(this.lockKey, this.lockTTL);
+      await storage.extendLock(this.lockKey, this.processId, this.lockTTL);
       
     } catch (err) {
       logger.logError('ProactiveMessaging.checkAndSendProactiveMessages', err);
@@ -96,48 +101,61 @@ class ProactiveMessaging {
   }
 
   /**
-   * Process scheduled messages for a single user
+   * Process scheduled messages for a single user. Sending is slow, so the
+   * schedule is updated atomically afterwards with just what was sent,
+   * keeping follow-ups added or a stop that landed in the meantime.
    */
   async processUserSchedule(phoneNumber, now) {
-    const schedule = await redisService.getSchedule(phoneNumber);
+    const schedule = await storage.getSchedule(phoneNumber);
     if (!schedule) return;
 
-    let updated = false;
+    const changes = {};
+    const sentFollowUps = [];
 
     // Morning check-in
     if (schedule.nextCheckIn && now >= schedule.nextCheckIn) {
       await this.sendProactiveMessage(phoneNumber, 'morning');
-      schedule.nextCheckIn = this.getNextCheckInTime();
-      updated = true;
+      changes.nextCheckIn = this.getNextCheckInTime();
     }
 
     // Evening journal prompt
     if (schedule.nextJournalPrompt && now >= schedule.nextJournalPrompt) {
       await this.sendJournalPrompt(phoneNumber);
-      schedule.nextJournalPrompt = this.getNextJournalPromptTime();
-      updated = true;
+      changes.nextJournalPrompt = this.getNextJournalPromptTime();
     }
 
-    // Process follow-ups
-    if (schedule.followUps && schedule.followUps.length > 0) {
-      const processed = [];
-      
-      for (const followUp of schedule.followUps) {
-        if (now >= followUp.time) {
-          await this.sendProactiveMessage(phoneNumber, followUp.type, followUp.context);
-          processed.push(followUp);
-        }
-      }
-      
-      if (processed.length > 0) {
-        schedule.followUps = schedule.followUps.filter(f => !processed.includes(f));
-        updated = true;
+    // Weekly recap (opt-in)
+    if (schedule.nextWeeklyRecap && now >= schedule.nextWeeklyRecap) {
+      const user = await storage.getUser(phoneNumber);
+      if (weeklyRecap.isEnabled(user)) {
+        await weeklyRecap.send(phoneNumber, now);
+        changes.nextWeeklyRecap = weeklyRecap.getNextRecapTime(now);
+      } else {
+        changes.nextWeeklyRecap = null;
       }
     }
 
-    if (updated) {
-      await redisService.setSchedule(phoneNumber, schedule);
+    // Process follow-ups
+    for (const followUp of schedule.followUps || []) {
+      if (now >= followUp.time) {
+        await this.sendProactiveMessage(phoneNumber, followUp.type, followUp.context);
+        sentFollowUps.push(JSON.stringify(followUp));
+      }
     }
+
+    if (Object.keys(changes).length === 0 && sentFollowUps.length === 0) return;
+
+    await storage.modifySchedule(phoneNumber, current => {
+      if (!current) return null;
+
+      // A time someone else changed meanwhile (e.g. "stop") wins over ours
+      const updated = { ...current };
+      for (const [field, value] of Object.entries(changes)) {
+        if (current[field] === schedule[field]) updated[field] = value;
+      }
+      updated.followUps = (current.followUps || []).filter(f => !sentFollowUps.includes(JSON.stringify(f)));
+      return updated;
+    });
   }
 
   /**
@@ -160,7 +178,7 @@ class ProactiveMessaging {
   async sendProactiveMessage(phoneNumber, triggerType, context = {}) {
     try {
       // Generate personalized message
-      const message = await conversationEngine.generateProactiveMessage(
+      let message = await conversationEngine.generateProactiveMessage(
         phoneNumber, 
         triggerType, 
         context
@@ -174,12 +192,22 @@ class ProactiveMessaging {
         return;
       }
 
+      // Morning check-ins ask for a 1-10 rating
+      const moodCheckIn = triggerType === 'morning';
+      if (moodCheckIn) {
+        message += '\n\n' + getMoodCheckInQuestion();
+      }
+
       // Send via LoopMessage
       const result = await loopMessage.sendMessage(phoneNumber, message);
       
       if (result.success) {
+        if (moodCheckIn) {
+          await moodTracking.markCheckInSent(phoneNumber);
+        }
+
         // Log as conversation
-        await redisService.addMessage(phoneNumber, {
+        await storage.addMessage(phoneNumber, {
           role: 'assistant',
           content: message,
           type: 'proactive',
@@ -210,7 +238,7 @@ class ProactiveMessaging {
       const result = await loopMessage.sendMessage(phoneNumber, promptMessage);
       
       if (result.success) {
-        await redisService.addMessage(phoneNumber, {
+        await storage.addMessage(phoneNumber, {
           role: 'assistant',
           content: promptMessage,
           type: 'journal_prompt'
@@ -255,7 +283,7 @@ class ProactiveMessaging {
     try {
       const followUpTime = Date.now() + (hours * 60 * 60 * 1000);
       
-      await redisService.addFollowUp(phoneNumber, {
+      await storage.addFollowUp(phoneNumber, {
         type,
         time: followUpTime,
         context
@@ -287,7 +315,7 @@ class ProactiveMessaging {
       await this.checkAndSendProactiveMessages();
     });
 
-    // Also run once on startup (after a delay to ensure Redis is ready)
+    // Also run once on startup (after a delay to ensure storage is ready)
     setTimeout(async () => {
       try {
         await this.acquireLeaderLock();
@@ -0,0 +1,117 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getSystemPrompt } = require('../prompts/systemPrompt');
+
+// Rough token estimate - close enough for budgeting English chat text
+const CHARS_PER_TOKEN = 4;
+// Role and formatting overhead per message in the request
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+class PromptBuilder {
+  constructor() {
+    this.budget = config.promptBudget;
+  }
+
+  estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+  }
+
+  /**
+   * Cut text down to roughly a number of tokens
+   */
+  truncateToTokens(text, maxTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    if (!text || text.length <= maxChars) return text;
+    return text.substring(0, maxChars - 3) + '...';
+  }
+
+  /**
+   * Fit memory into its share of the budget: drop upcoming events and
+   * facts from the end first, then shorten the summary
+   */
+  fitMemory(context, maxTokens) {
+    const memory = {
+      memorySummary: context.memorySummary || null,
+      memoryFacts: [...(context.memoryFacts || [])],
+      upcomingEvents: [...(context.upcomingEvents || [])]
+    };
+    const size = () => this.estimateTokens(
+      [memory.memorySummary, ...memory.memoryFacts, ...memory.upcomingEvents].filter(Boolean).join('\n')
+    );
+
+    while (size() > maxTokens && memory.upcomingEvents.length > 0) memory.upcomingEvents.pop();
+    while (size() > maxTokens && memory.memoryFacts.length > 0) memory.memoryFacts.pop();
+    if (size() > maxTokens) {
+      memory.memorySummary = this.truncateToTokens(memory.memorySummary, maxTokens);
+    }
+
+    return memory;
+  }
+
+  /**
+   * Assemble a response request within the input token budget: system
+   * prompt and the current message always go in, then memory up to its
+   * cap, then as much recent history as fits (newest first).
+   * Returns { system, history, userMessage, breakdown }.
+   */
+  build(phoneNumber, { context, history, userMessage }) {
+    const userText = this.truncateToTokens(userMessage, this.budget.maxCurrentMessageTokens);
+
+    const baseSystem = getSystemPrompt({
+      ...context,
+      memorySummary: null,
+      memoryFacts: [],
+      upcomingEvents: []
+    });
+    const system = getSystemPrompt({
+      ...context,
+      ...this.fitMemory(context, this.budget.maxMemoryTokens)
+    });
+
+    const systemTokens = this.estimateTokens(baseSystem);
+    const memoryTokens = this.estimateTokens(system) - systemTokens;
+    const currentMessageTokens = this.estimateTokens(userText) + MESSAGE_OVERHEAD_TOKENS;
+
+    let remaining = this.budget.maxInputTokens - systemTokens - memoryTokens - currentMessageTokens;
+    const selected = [];
+    let truncatedMessages = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const message = history[i];
+      const content = this.truncateToTokens(message.content, this.budget.maxHistoryMessageTokens);
+      const tokens = this.estimateTokens(content) + MESSAGE_OVERHEAD_TOKENS;
+      if (tokens > remaining) break;
+
+      if (content !== message.content) truncatedMessages++;
+      selected.unshift({ ...message, content });
+      remaining -= tokens;
+    }
+
+    const historyTokens = selected.reduce(
+      (sum, m) => sum + this.estimateTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0
+    );
+
+    const breakdown = {
+      budget: this.budget.maxInputTokens,
+      systemTokens,
+      memoryTokens,
+      historyTokens,
+      currentMessageTokens,
+      totalTokens: systemTokens + memoryTokens + historyTokens + currentMessageTokens,
+      historyMessages: selected.length,
+      droppedMessages: history.length - selected.length,
+      truncatedMessages,
+      currentMessageTruncated: userText !== userMessage
+    };
+
+    logger.info('Prompt assembled', {
+      phoneNumber: phoneNumber.slice(-4),
+      ...breakdown
+    });
+
+    return { system, history: selected, userMessage: userText, breakdown };
+  }
+}
+
+// Export singleton instance
+module.exports = new PromptBuilder();
@@ -0,0 +1,166 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const storage = require('./storage');
+const llm = require('./llm');
+const { getResponseGuardPrompt, getGuardFeedback, getSafeReply } = require('../prompts/guardPrompt');
+const { parseLlmJson, truncate } = require('../utils/helpers');
+
+class ResponseGuardService {
+  constructor() {
+    this.settings = config.responseGuard;
+    this.rules = Object.entries(this.settings.rules).map(([id, rule]) => ({
+      id,
+      action: rule.action,
+      patterns: rule.patterns.map(pattern => new RegExp(pattern, 'i'))
+    }));
+  }
+
+  /**
+   * Check a reply before it's sent, and fix it if it breaks a rule:
+   * regenerate it (via `regenerate(feedback)`, which resolves to new text
+   * or null), or drop the offending sentences, or as a last resort send a
+   * safe canned reply. Every change is logged to the user's audit log.
+   * Resolves to the text to send.
+   */
+  async review(phoneNumber, userMessage, text, { regenerate = null } = {}) {
+    if (!this.settings.enabled) return text;
+
+    const original = text;
+    let violations = await this.check(text, userMessage);
+    if (violations.length === 0) return text;
+
+    const found = violations;
+    let action = null;
+    let attempts = 0;
+
+    // Rewrite first when any rule calls for it
+    while (
+      violations.some(v => v.action === 'regenerate') &&
+      regenerate &&
+      attempts < this.settings.maxRegenerations
+    ) {
+      attempts++;
+      const retry = await regenerate(getGuardFeedback(violations, this.settings.rules));
+      if (!retry) break;
+
+      text = retry;
+      violations = await this.check(text, userMessage);
+      action = 'regenerated';
+    }
+
+    if (violations.length > 0) {
+      const softened = this.soften(text, violations);
+      text = softened || getSafeReply();
+      action = softened ? 'softened' : 'replaced';
+    }
+
+    await this.audit(phoneNumber, { found, remaining: violations, action, attempts, original, final: text });
+    return text;
+  }
+
+  /**
+   * Rule violations in a reply: pattern rules first, then the LLM
+   * classifier if enabled. Returns [{ rule, action, excerpt, source }].
+   */
+  async check(text, userMessage) {
+    // Curly apostrophes would slip past the patterns
+    const normalized = text.replace(/[‘’]/g, "'");
+    const violations = [];
+
+    for (const rule of this.rules) {
+      for (const pattern of rule.patterns) {
+        const match = normalized.match(pattern);
+        if (match) {
+          violations.push({ rule: rule.id, action: rule.action, excerpt: match[0], source: 'pattern' });
+          break;
+        }
+      }
+    }
+
+    if (violations.length === 0 && this.settings.useClassifier) {
+      violations.push(...await this.classify(normalized, userMessage));
+    }
+
+    return violations;
+  }
+
+  /**
+   * Ask the LLM whether a reply breaks any rule. Fails open - a classifier
+   * outage shouldn't stop replies going out.
+   */
+  async classify(text, userMessage) {
+    if (!llm.isConfigured()) return [];
+
+    try {
+      const response = await llm.complete('guard', {
+        messages: [{ role: 'user', content: getResponseGuardPrompt(text, userMessage, this.settings.rules) }]
+      });
+
+      const result = parseLlmJson(response.text);
+      if (!result || !Array.isArray(result.violations)) return [];
+
+      return result.violations
+        .filter(v => v && this.settings.rules[v.rule])
+        .map(v => ({
+          rule: v.rule,
+          action: this.settings.rules[v.rule].action,
+          excerpt: typeof v.excerpt === 'string' ? v.excerpt : '',
+          source: 'classifier'
+        }));
+
+    } catch (error) {
+      logger.logError('ResponseGuard.classify', error);
+      return [];
+    }
+  }
+
+  /**
+   * Drop the sentences containing a violation. Returns null if nothing
+   * useful is left (or an excerpt can't be found).
+   */
+  soften(text, violations) {
+    const normalize = s => s.replace(/[‘’]/g, "'").toLowerCase();
+    const excerpts = violations.map(v => normalize(v.excerpt.trim())).filter(Boolean);
+    if (excerpts.length < violations.length) return null;
+
+    const sentences = text.split(/(?<=[.!?])\s+/);
+    const kept = sentences.filter(sentence => !excerpts.some(e => normalize(sentence).includes(e)));
+
+    // An excerpt spanning sentences (or paraphrased by the classifier) wasn't removed
+    const remaining = normalize(kept.join(' '));
+    if (kept.length === sentences.length || excerpts.some(e => remaining.includes(e))) {
+      return null;
+    }
+
+    const softened = kept.join(' ').trim();
+    return softened.length >= 20 ? softened : null;
+  }
+
+  async audit(phoneNumber, { found, remaining, action, attempts, original, final }) {
+    const rules = [...new Set(found.map(v => v.rule))];
+
+    logger.warn('Response guard changed a reply', {
+      phoneNumber: phoneNumber.slice(-4),
+      rules,
+      action,
+      attempts
+    });
+
+    try {
+      await storage.logGuardEvent(phoneNumber, {
+        rules,
+        sources: [...new Set(found.map(v => v.source))],
+        action,
+        regenerations: attempts,
+        remainingAfterRegeneration: attempts > 0 ? [...new Set(remaining.map(v => v.rule))] : [],
+        original: truncate(original, 500),
+        final: truncate(final, 500)
+      });
+    } catch (error) {
+      logger.warn('Failed to write guard audit log', { error: error.message });
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ResponseGuardService();
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const config = require('../config');
+const storage = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionService {
+  constructor() {
+    this.policy = config.retention;
+    this.lockKey = config.retention.lockKey;
+    this.lockTTL = config.retention.lockTTL;
+    this.processId = `${process.pid}:${crypto.randomUUID()}`;
+    this.cronJob = null;
+  }
+
+  /**
+   * Resolve the retention policy for a user. A user's own choice can only
+   * shorten how long we keep their data, never extend it.
+   */
+  getEffectivePolicy(user) {
+    const userDays = user?.preferences?.retentionDays || null;
+    const shorter = (days) => {
+      if (!userDays) return days;
+      return days ? Math.min(days, userDays) : userDays;
+    };
+
+    // A conversation age limit applies to archived messages too
+    const archiveDays = this.policy.conversationDays
+      ? Math.min(this.policy.conversationDays, this.policy.archiveDays)
+      : this.policy.archiveDays;
+
+    return {
+      journalDays: shorter(this.policy.journalDays),
+      crisisDays: shorter(this.policy.crisisDays),
+      moodDays: shorter(this.policy.moodDays),
+      conversationDays: shorter(this.policy.conversationDays),
+      archiveDays: shorter(archiveDays),
+      inactiveUserDays: this.policy.inactiveUserDays
+    };
+  }
+
+  /**
+   * Set (or clear, with null) a user's own retention period
+   */
+  async setUserRetention(phoneNumber, days) {
+    if (days !== null) {
+      const max = Math.max(this.policy.journalDays, this.policy.crisisDays, this.policy.archiveDays, this.policy.moodDays);
+      days = Math.min(Math.max(days, this.policy.minUserRetentionDays), max);
+    }
+
+    await storage.modifyUser(phoneNumber, user => ({
+      ...user,
+      preferences: { ...user.preferences, retentionDays: days }
+    }));
+
+    logger.info('User retention updated', {
+      phoneNumber: phoneNumber.slice(-4),
+      retentionDays: days
+    });
+
+    return days;
+  }
+
+  /**
+   * Apply the retention policy to one user's data
+   */
+  async sweepUser(phoneNumber, now = Date.now()) {
+    const removed = { journalDays: 0, crisisLogs: 0, moodEntries: 0, messages: 0, archiveDays: 0, user: false };
+
+    const user = await storage.getUser(phoneNumber);
+    if (!user) return removed;
+
+    const policy = this.getEffectivePolicy(user);
+
+    const lastActive = user.stats?.lastActive || 0;
+    if (policy.inactiveUserDays && lastActive < now - policy.inactiveUserDays * DAY_MS) {
+      await storage.deleteUserData(phoneNumber);
+      removed.user = true;
+      return removed;
+    }
+
+    if (policy.journalDays) {
+      removed.journalDays = await storage.pruneJournalEntries(phoneNumber, now - policy.journalDays * DAY_MS);
+    }
+    if (policy.crisisDays) {
+      removed.crisisLogs = await storage.pruneCrisisLogs(phoneNumber, now - policy.crisisDays * DAY_MS);
+    }
+    if (policy.moodDays) {
+      removed.moodEntries = await storage.pruneMoodEntries(phoneNumber, now - policy.moodDays * DAY_MS);
+    }
+    if (policy.conversationDays) {
+      removed.messages = await storage.pruneConversation(phoneNumber, now - policy.conversationDays * DAY_MS);
+    }
+    if (policy.archiveDays) {
+      removed.archiveDays = await storage.pruneArchivedMessages(phoneNumber, now - policy.archiveDays * DAY_MS);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Sweep every user's data. Only one instance sweeps at a time.
+   */
+  async sweep() {
+    let acquired = false;
+    try {
+      acquired = await storage.acquireLock(this.lockKey, this.processId, this.lockTTL);
+    } catch (err) {
+      logger.warn('Failed to acquire retention sweeper lock', { error: err.message });
+      return null;
+    }
+
+    if (!acquired) {
+      logger.debug('Retention sweep already running elsewhere, skipping');
+      return null;
+    }
+
+    const startTime = Date.now();
+    const totals = { users: 0, usersDeleted: 0, journalDays: 0, crisisLogs: 0, moodEntries: 0, messages: 0, archiveDays: 0 };
+
+    try {
+      const phoneNumbers = await storage.getAllUserPhoneNumbers();
+      let lockExtendedAt = startTime;
+
+      for (const [index, phoneNumber] of phoneNumbers.entries()) {
+        // Long sweeps keep the lock; stop if it expired and another instance took over
+        if (Date.now() - lockExtendedAt >= this.lockTTL * 1000 / 3) {
+          if (!await storage.extendLock(this.lockKey, this.processId, this.lockTTL)) {
+            logger.warn('Lost retention sweeper lock, stopping sweep', {
+              ...totals,
+              remaining: phoneNumbers.length - index
+            });
+            return null;
+          }
+          lockExtendedAt = Date.now();
+        }
+
+        try {
+          const removed = await this.sweepUser(phoneNumber, startTime);
+          totals.users++;
+          totals.journalDays += removed.journalDays;
+          totals.crisisLogs += removed.crisisLogs;
+          totals.moodEntries += removed.moodEntries;
+          totals.messages += removed.messages;
+          totals.archiveDays += removed.archiveDays;
+          if (removed.user) totals.usersDeleted++;
+        } catch (error) {
+          logger.warn('Failed to apply retention for user', {
+            phoneNumber: phoneNumber.slice(-4),
+            error: error.message
+          });
+        }
+      }
+
+      logger.info('Retention sweep complete', {
+        ...totals,
+        durationMs: Date.now() - startTime
+      });
+
+      return totals;
+
+    } catch (error) {
+      logger.logError('RetentionService.sweep', error);
+      return null;
+    } finally {
+      await storage.releaseLock(this.lockKey, this.processId);
+    }
+  }
+
+  /**
+   * Start the scheduled sweeper
+   */
+  startSweeper() {
+    this.cronJob = cron.schedule(this.policy.sweepInterval, async () => {
+      logger.info('Retention sweeper cron triggered');
+      await this.sweep();
+    });
+
+    logger.info('Retention sweeper scheduled', { interval: this.policy.sweepInterval });
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  shutdown() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      logger.info('Retention sweeper stopped');
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RetentionService();
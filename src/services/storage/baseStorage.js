@@ -0,0 +1,465 @@
+const config = require('../../config');
+const { getCurrentVersion, migrateRecord } = require('./migrations');
+
+/**
+ * Storage interface shared by all backends
+ *
+ * Backends extend this class and implement the primitive operations below.
+ * Higher-level helpers (user creation, schedule merging, follow-ups) are
+ * built on top of those primitives so every backend behaves the same.
+ */
+class BaseStorage {
+  constructor(name) {
+    this.name = name;
+    this.isConnected = false;
+
+    // Keep only last N messages in conversation history; older ones move to the archive
+    this.maxStoredMessages = config.retention.conversationMessages;
+
+    // Response guard audit entries kept per user
+    this.maxGuardLogs = config.responseGuard.auditLogSize;
+
+    // Record expiry in seconds, from the retention policy. Null when there's
+    // no age limit (0 or unset): those records are kept until deleted.
+    const days = (value) => (value ? value * 24 * 60 * 60 : null);
+    this.ttl = {
+      journal: days(config.retention.journalDays),
+      crisis: days(config.retention.crisisDays),
+      archive: days(config.retention.archiveDays),
+      mood: days(config.retention.moodDays),
+      idempotency: config.retention.idempotencySeconds,
+      queue: config.messageBuffer.queueTTLSeconds
+    };
+
+    // Records upgraded by schema migrations since the last bulk run
+    this.migratedCounts = { user: 0, schedule: 0, journal: 0, memory: 0 };
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // ==================== Schema Versions ====================
+
+  /**
+   * Upgrade a record read from storage to the current schema.
+   * Backends persist the result when `migrated` is true.
+   */
+  upgradeRecord(type, record) {
+    const result = migrateRecord(type, record);
+    if (result.migrated) {
+      this.migratedCounts[type]++;
+    }
+    return result;
+  }
+
+  /**
+   * Tag a record being written with the current schema version
+   */
+  stampVersion(type, record) {
+    return { ...record, schemaVersion: getCurrentVersion(type) };
+  }
+
+  // ==================== Connection ====================
+
+  async connect() { this.notImplemented('connect'); }
+
+  async disconnect() { this.notImplemented('disconnect'); }
+
+  async ping() { this.notImplemented('ping'); }
+
+  // ==================== User Profile Operations ====================
+
+  async getUser(phoneNumber) { this.notImplemented('getUser'); }
+
+  async setUser(phoneNumber, userData) { this.notImplemented('setUser'); }
+
+  /**
+   * Atomically read-modify-write a user record. `mutator` receives a fresh
+   * copy of the user and returns the updated record; it may be called more
+   * than once if another writer gets there first, so it must be synchronous
+   * and free of side effects. Resolves to the updated user, or null if the
+   * user doesn't exist.
+   */
+  async modifyUser(phoneNumber, mutator) { this.notImplemented('modifyUser'); }
+
+  /**
+   * Shallow-merge top-level fields into the user record
+   */
+  async updateUser(phoneNumber, updates) {
+    return this.modifyUser(phoneNumber, user => ({ ...user, ...updates }));
+  }
+
+  /**
+   * Increment counters in user.stats and optionally set other stats fields,
+   * e.g. incrementUserStats(phone, { messageCount: 1 }, { lastActive: Date.now() })
+   */
+  async incrementUserStats(phoneNumber, increments = {}, sets = {}) {
+    return this.modifyUser(phoneNumber, user => {
+      const stats = { ...user.stats, ...sets };
+      for (const [field, amount] of Object.entries(increments)) {
+        stats[field] = (stats[field] || 0) + amount;
+      }
+      return { ...user, stats };
+    });
+  }
+
+  /**
+   * Append to the user's emotional history (keeping the last 20), and
+   * optionally make it their current emotional state
+   */
+  async recordEmotion(phoneNumber, entry, { setCurrent = false } = {}) {
+    return this.modifyUser(phoneNumber, user => {
+      const history = [...(user.emotionalState?.history || []), entry].slice(-20);
+      return {
+        ...user,
+        emotionalState: {
+          ...user.emotionalState,
+          ...(setCurrent && { current: entry.emotion }),
+          history,
+          lastUpdated: Date.now()
+        }
+      };
+    });
+  }
+
+  /**
+   * Default shape of a freshly created user record
+   */
+  buildNewUser(phoneNumber) {
+    return {
+      schemaVersion: getCurrentVersion('user'),
+      phone: phoneNumber,
+      name: null,
+      onboardingStage: 0,
+      preferences: {
+        checkInTime: null,
+        topics: []
+      },
+      emotionalState: {
+        current: 'neutral',
+        history: [],
+        lastUpdated: Date.now()
+      },
+      stats: {
+        joinedAt: Date.now(),
+        lastActive: Date.now(),
+        messageCount: 0,
+        journalCount: 0,
+        streakDays: 0
+      },
+      exercises: {
+        active: null,
+        log: [],
+        lastSuggestedAt: null
+      },
+      moodCheckIn: {
+        sentAt: null,
+        answeredAt: null
+      }
+    };
+  }
+
+  async createUser(phoneNumber) {
+    const newUser = this.buildNewUser(phoneNumber);
+    await this.setUser(phoneNumber, newUser);
+    return newUser;
+  }
+
+  /**
+   * Phone numbers of every stored user (for background jobs, not request paths)
+   */
+  async getAllUserPhoneNumbers() { this.notImplemented('getAllUserPhoneNumbers'); }
+
+  async getOrCreateUser(phoneNumber) {
+    let user = await this.getUser(phoneNumber);
+    if (!user) {
+      user = await this.createUser(phoneNumber);
+    }
+    return user;
+  }
+
+  // ==================== Conversation History Operations ====================
+
+  async addMessage(phoneNumber, message) { this.notImplemented('addMessage'); }
+
+  async getConversationHistory(phoneNumber, limit = 20) { this.notImplemented('getConversationHistory'); }
+
+  async clearConversation(phoneNumber) { this.notImplemented('clearConversation'); }
+
+  /**
+   * Remove messages older than a timestamp. Returns number removed.
+   */
+  async pruneConversation(phoneNumber, before) { this.notImplemented('pruneConversation'); }
+
+  // ==================== Conversation Archive Operations ====================
+
+  /**
+   * Read archived messages (those that have left the recent window) with
+   * from <= timestamp < to, oldest first, leaving out the first `skip`
+   * messages stamped exactly `from`. Returns { messages, next } where
+   * `next` is the { from, skip } to pass for the following page, or null.
+   */
+  async getArchivedMessages(phoneNumber, { from = 0, skip = 0, to = Infinity, limit = 200 } = {}) {
+    this.notImplemented('getArchivedMessages');
+  }
+
+  /**
+   * Cut one page out of archived messages read from `from` onwards.
+   * Messages can share a timestamp, so the cursor also counts how many
+   * at its timestamp were already returned.
+   */
+  pageArchivedMessages(messages, { from, skip, limit }) {
+    let skipped = 0;
+    const remaining = messages.filter(m => !(m.timestamp === from && skipped++ < skip));
+    const page = remaining.slice(0, limit);
+    if (remaining.length <= limit) {
+      return { messages: page, next: null };
+    }
+
+    const nextFrom = remaining[limit].timestamp;
+    const seen = page.filter(m => m.timestamp === nextFrom).length;
+    return {
+      messages: page,
+      next: { from: nextFrom, skip: seen + (nextFrom === from ? skip : 0) }
+    };
+  }
+
+  /**
+   * Remove archive days that ended before a timestamp. Returns days removed.
+   */
+  async pruneArchivedMessages(phoneNumber, before) { this.notImplemented('pruneArchivedMessages'); }
+
+  /**
+   * Every stored message between two timestamps, archive and recent window
+   * combined, oldest first
+   */
+  async getConversationRange(phoneNumber, from = 0, to = Infinity) {
+    // Recent window first: anything archived while we page shows up in
+    // both reads and is dropped below, rather than being missed
+    const recent = await this.getConversationHistory(phoneNumber, this.maxStoredMessages);
+
+    const messages = [];
+    let cursor = { from, skip: 0 };
+    while (cursor !== null) {
+      const page = await this.getArchivedMessages(phoneNumber, { ...cursor, to });
+      messages.push(...page.messages);
+      cursor = page.next;
+    }
+
+    // Timestamps can repeat, so match what was archived by the whole message
+    const identity = (m) => `${m.timestamp}|${m.role}|${m.content}`;
+    const firstRecent = recent.length > 0 ? recent[0].timestamp : Infinity;
+    const archived = new Set(messages.filter(m => m.timestamp >= firstRecent).map(identity));
+    messages.push(...recent.filter(m =>
+      m.timestamp >= from && m.timestamp < to && !archived.has(identity(m))
+    ));
+
+    return messages;
+  }
+
+  // ==================== Long-term Memory Operations ====================
+
+  /**
+   * Default shape of a user's long-term memory: a rolling summary of past
+   * conversations, durable facts, facts the user asked us to forget,
+   * upcoming events they mentioned, and how far the summary has got
+   */
+  buildEmptyMemory() {
+    return {
+      schemaVersion: getCurrentVersion('memory'),
+      summary: null,
+      facts: [],
+      forgotten: [],
+      events: [],
+      summarizedThrough: 0,
+      updatedAt: null
+    };
+  }
+
+  async getMemory(phoneNumber) { this.notImplemented('getMemory'); }
+
+  /**
+   * Atomically read-modify-write a user's memory, starting from an empty
+   * one if they have none. Same mutator rules as modifyUser.
+   */
+  async modifyMemory(phoneNumber, mutator) { this.notImplemented('modifyMemory'); }
+
+  // ==================== Journal Operations ====================
+
+  async addJournalEntry(phoneNumber, entry) { this.notImplemented('addJournalEntry'); }
+
+  async getJournalEntries(phoneNumber, days = 7) { this.notImplemented('getJournalEntries'); }
+
+  /**
+   * Remove journal days that ended before a timestamp. Returns days removed.
+   */
+  async pruneJournalEntries(phoneNumber, before) { this.notImplemented('pruneJournalEntries'); }
+
+  // ==================== Mood Operations ====================
+
+  /**
+   * Record a mood rating: { score (1-10), word, source }. Stamped with the
+   * current time and kept for the mood retention period.
+   */
+  async addMoodEntry(phoneNumber, entry) { this.notImplemented('addMoodEntry'); }
+
+  /**
+   * Mood ratings with from <= timestamp < to, oldest first
+   */
+  async getMoodEntries(phoneNumber, { from = 0, to = Infinity } = {}) { this.notImplemented('getMoodEntries'); }
+
+  /**
+   * Remove mood ratings older than a timestamp. Returns entries removed.
+   */
+  async pruneMoodEntries(phoneNumber, before) { this.notImplemented('pruneMoodEntries'); }
+
+  // ==================== Scheduled Messages Operations ====================
+
+  async getSchedule(phoneNumber) { this.notImplemented('getSchedule'); }
+
+  async setSchedule(phoneNumber, scheduleData) { this.notImplemented('setSchedule'); }
+
+  async getAllScheduledUsers() { this.notImplemented('getAllScheduledUsers'); }
+
+  /**
+   * Atomically read-modify-write a user's schedule. `mutator` receives a
+   * copy of the schedule (null if they have none) and returns the new one,
+   * or null to leave it as it is. Same mutator rules as modifyUser.
+   * Resolves to the schedule as stored afterwards.
+   */
+  async modifySchedule(phoneNumber, mutator) { this.notImplemented('modifySchedule'); }
+
+  async updateSchedule(phoneNumber, updates) {
+    return this.modifySchedule(phoneNumber, schedule => ({ ...schedule, ...updates }));
+  }
+
+  async addFollowUp(phoneNumber, followUp) {
+    await this.modifySchedule(phoneNumber, schedule => ({
+      ...schedule,
+      followUps: [...(schedule?.followUps || []), followUp]
+    }));
+  }
+
+  async removeProcessedFollowUps(phoneNumber) {
+    const now = Date.now();
+    await this.modifySchedule(phoneNumber, schedule => {
+      if (!schedule?.followUps) return null;
+      return { ...schedule, followUps: schedule.followUps.filter(f => f.time > now) };
+    });
+  }
+
+  // ==================== Crisis Log Operations ====================
+
+  async logCrisis(phoneNumber, data) { this.notImplemented('logCrisis'); }
+
+  async getCrisisLogs(phoneNumber, limit = 10) { this.notImplemented('getCrisisLogs'); }
+
+  /**
+   * Remove crisis logs older than a timestamp. Returns logs removed.
+   */
+  async pruneCrisisLogs(phoneNumber, before) { this.notImplemented('pruneCrisisLogs'); }
+
+  // ==================== Response Guard Audit Operations ====================
+
+  /**
+   * Record a reply the response guard changed. Keeps the last
+   * maxGuardLogs entries per user, for as long as crisis logs.
+   */
+  async logGuardEvent(phoneNumber, entry) { this.notImplemented('logGuardEvent'); }
+
+  async getGuardLogs(phoneNumber, limit = 20) { this.notImplemented('getGuardLogs'); }
+
+  // ==================== Leader Election Operations ====================
+
+  async acquireLock(lockKey, lockValue, ttlSeconds) { this.notImplemented('acquireLock'); }
+
+  async releaseLock(lockKey, expectedValue) { this.notImplemented('releaseLock'); }
+
+  async extendLock(lockKey, expectedValue, ttlSeconds) { this.notImplemented('extendLock'); }
+
+  // ==================== Idempotency Operations ====================
+
+  async checkIdempotency(messageId) { this.notImplemented('checkIdempotency'); }
+
+  async setIdempotency(messageId, ttlSeconds = this.ttl.idempotency) { this.notImplemented('setIdempotency'); }
+
+  // ==================== Message Queue Operations ====================
+
+  async enqueueMessage(phoneNumber, message) { this.notImplemented('enqueueMessage'); }
+
+  async dequeueMessage(phoneNumber) { this.notImplemented('dequeueMessage'); }
+
+  async getQueueLength(phoneNumber) { this.notImplemented('getQueueLength'); }
+
+  /**
+   * Every queued message, oldest first, without removing them
+   */
+  async getQueuedMessages(phoneNumber) { this.notImplemented('getQueuedMessages'); }
+
+  /**
+   * Remove and return every queued message, oldest first, atomically
+   */
+  async drainQueue(phoneNumber) { this.notImplemented('drainQueue'); }
+
+  // ==================== Data Export Operations ====================
+
+  /**
+   * Map a short-lived export id to the user it belongs to
+   */
+  async setExportToken(exportId, phoneNumber, ttlSeconds) { this.notImplemented('setExportToken'); }
+
+  async getExportToken(exportId) { this.notImplemented('getExportToken'); }
+
+  // ==================== Stats Operations ====================
+
+  async incrementStat(key) { this.notImplemented('incrementStat'); }
+
+  async getStat(key) { this.notImplemented('getStat'); }
+
+  // ==================== Data Deletion Operations ====================
+
+  async deleteUserData(phoneNumber) { this.notImplemented('deleteUserData'); }
+
+  // ==================== Migrations ====================
+
+  /**
+   * Rebuild secondary indexes from existing records. Backends without
+   * indexes have nothing to backfill.
+   */
+  async backfillIndexes() {
+    return null;
+  }
+
+  /**
+   * Encrypt existing records and apply key rotation. Backends that don't
+   * persist data have nothing to encrypt.
+   */
+  async migrateEncryption(options = {}) {
+    return null;
+  }
+
+  /**
+   * Upgrade every user, schedule, journal and memory record to the current schema.
+   * Reading a record migrates it, so this just reads everything once.
+   */
+  async migrateAllRecords() {
+    this.migratedCounts = { user: 0, schedule: 0, journal: 0, memory: 0 };
+
+    const phoneNumbers = new Set([
+      ...await this.getAllUserPhoneNumbers(),
+      ...await this.getAllScheduledUsers()
+    ]);
+
+    for (const phoneNumber of phoneNumbers) {
+      await this.getUser(phoneNumber);
+      await this.getSchedule(phoneNumber);
+      await this.getJournalEntries(phoneNumber, config.retention.journalDays);
+      await this.getMemory(phoneNumber);
+    }
+
+    return { users: phoneNumbers.size, migrated: { ...this.migratedCounts } };
+  }
+}
+
+module.exports = BaseStorage;
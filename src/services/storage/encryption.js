@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const config = require('../../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+// Stored values look like enc:1:<data key version>:<base64 iv|tag|ciphertext>
+const RECORD_PREFIX = 'enc:1:';
+
+/**
+ * Parse master keys from config
+ * Format: "id:base64key,id:base64key" - the first key is active, the
+ * rest are kept only so records wrapped before a rotation can be read.
+ */
+function parseMasterKeys(value) {
+  if (!value) return [];
+
+  return value.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator === -1) {
+      throw new Error('Invalid ENCRYPTION_MASTER_KEYS entry (expected id:base64key)');
+    }
+
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Encryption master key "${id}" must be ${KEY_LENGTH} bytes (base64 encoded)`);
+    }
+
+    return { id, key };
+  });
+}
+
+/**
+ * Envelope encryption helpers
+ *
+ * Each user gets random data keys that encrypt their records. Data keys are
+ * stored wrapped (encrypted) by a master key from the environment, so
+ * rotating the master key only requires re-wrapping data keys, and
+ * deleting a user's data key makes any leftover ciphertext unreadable.
+ */
+class EnvelopeEncryption {
+  constructor(masterKeys = config.encryption.masterKeys) {
+    this.masterKeys = parseMasterKeys(masterKeys);
+  }
+
+  isEnabled() {
+    return this.masterKeys.length > 0;
+  }
+
+  get activeMasterKey() {
+    return this.masterKeys[0];
+  }
+
+  getMasterKey(id) {
+    const masterKey = this.masterKeys.find(k => k.id === id);
+    if (!masterKey) {
+      throw new Error(`Encryption master key "${id}" is not configured`);
+    }
+    return masterKey;
+  }
+
+  // ==================== Low-level AES-GCM ====================
+
+  seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  open(key, sealed, aad) {
+    const buf = Buffer.from(sealed, 'base64');
+    const iv = buf.subarray(0, IV_LENGTH);
+    const tag = buf.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const ciphertext = buf.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  // ==================== Data Keys ====================
+
+  /**
+   * Generate a new data key, wrapped with the active master key.
+   * The owner id is bound as AAD so wrapped keys can't be swapped between users.
+   */
+  generateDataKey(ownerId) {
+    const key = crypto.randomBytes(KEY_LENGTH);
+    return { key, wrapped: this.wrapKey(key, ownerId) };
+  }
+
+  wrapKey(key, ownerId) {
+    const masterKey = this.activeMasterKey;
+    return {
+      masterKeyId: masterKey.id,
+      sealed: this.seal(masterKey.key, key, `datakey:${ownerId}`)
+    };
+  }
+
+  unwrapKey(wrapped, ownerId) {
+    const masterKey = this.getMasterKey(wrapped.masterKeyId);
+    return this.open(masterKey.key, wrapped.sealed, `datakey:${ownerId}`);
+  }
+
+  // ==================== Records ====================
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(RECORD_PREFIX);
+  }
+
+  /**
+   * Read the data key version a stored record was encrypted with
+   */
+  getRecordKeyVersion(value) {
+    return value.slice(RECORD_PREFIX.length).split(':')[0];
+  }
+
+  encryptRecord(key, version, plaintext, ownerId) {
+    return `${RECORD_PREFIX}${version}:${this.seal(key, plaintext, ownerId)}`;
+  }
+
+  decryptRecord(key, value, ownerId) {
+    const sealed = value.slice(RECORD_PREFIX.length).split(':')[1];
+    return this.open(key, sealed, ownerId).toString('utf8');
+  }
+}
+
+module.exports = EnvelopeEncryption;
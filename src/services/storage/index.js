@@ -0,0 +1,22 @@
+const config = require('../../config');
+const RedisStorage = require('./redisStorage');
+const MemoryStorage = require('./memoryStorage');
+
+const backends = {
+  redis: RedisStorage,
+  memory: MemoryStorage
+};
+
+/**
+ * Create the storage backend selected by config
+ */
+function createStorage(backend = config.storage.backend) {
+  const Backend = backends[backend];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend "${backend}" (expected one of: ${Object.keys(backends).join(', ')})`);
+  }
+  return new Backend();
+}
+
+// Export singleton instance
+module.exports = createStorage();
@@ -0,0 +1,460 @@
+const logger = require('../../utils/logger');
+const BaseStorage = require('./baseStorage');
+
+/**
+ * In-memory storage backend
+ *
+ * Mirrors the Redis key layout so both backends behave identically, but
+ * keeps everything in a Map inside the process. Nothing is persisted -
+ * intended for local development and automated scenario runs.
+ */
+class MemoryStorage extends BaseStorage {
+  constructor() {
+    super('memory');
+    this.data = new Map();
+  }
+
+  async connect() {
+    this.isConnected = true;
+    logger.info('Using in-memory storage (data is not persisted)');
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+    logger.info('In-memory storage closed');
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  // ==================== Key Helpers ====================
+
+  /**
+   * Read a value, honouring expiry. Returns a copy so callers can't
+   * mutate stored state by accident.
+   */
+  read(key) {
+    const record = this.data.get(key);
+    if (!record) return null;
+
+    if (record.expiresAt && record.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+
+    return structuredClone(record.value);
+  }
+
+  /**
+   * Write a value. Without a TTL the existing expiry is kept, matching
+   * how the Redis backend calls SET followed by EXPIRE.
+   */
+  write(key, value, ttlSeconds = null) {
+    const existing = this.data.get(key);
+    let expiresAt = null;
+
+    if (ttlSeconds) {
+      expiresAt = Date.now() + ttlSeconds * 1000;
+    } else if (existing && existing.expiresAt > Date.now()) {
+      expiresAt = existing.expiresAt;
+    }
+
+    this.data.set(key, { value: structuredClone(value), expiresAt });
+  }
+
+  remove(key) {
+    return this.data.delete(key);
+  }
+
+  keysWithPrefix(prefix) {
+    return [...this.data.keys()].filter(key => key.startsWith(prefix) && this.read(key) !== null);
+  }
+
+  // ==================== User Profile Operations ====================
+
+  /**
+   * Read a record and upgrade it to the current schema, persisting the
+   * upgrade (keeping any expiry)
+   */
+  readVersioned(type, key) {
+    const value = this.read(key);
+    if (!value) return null;
+
+    const { record, migrated } = this.upgradeRecord(type, value);
+    if (migrated) {
+      this.write(key, record);
+    }
+    return record;
+  }
+
+  async getUser(phoneNumber) {
+    return this.readVersioned('user', `user:${phoneNumber}`);
+  }
+
+  async setUser(phoneNumber, userData) {
+    this.write(`user:${phoneNumber}`, this.stampVersion('user', userData));
+  }
+
+  async getAllUserPhoneNumbers() {
+    return this.keysWithPrefix('user:').map(key => key.replace('user:', ''));
+  }
+
+  async modifyUser(phoneNumber, mutator) {
+    // Read and write without awaiting in between, so this is atomic
+    const user = this.readVersioned('user', `user:${phoneNumber}`);
+    if (!user) return null;
+
+    const updated = this.stampVersion('user', mutator(user));
+    this.write(`user:${phoneNumber}`, updated);
+    return structuredClone(updated);
+  }
+
+  // ==================== Conversation History Operations ====================
+
+  async addMessage(phoneNumber, message) {
+    const key = `conversations:${phoneNumber}`;
+    const messages = this.read(key) || [];
+
+    messages.push({
+      ...message,
+      timestamp: Date.now()
+    });
+
+    // Move messages beyond the recent window into day pages of the archive
+    const overflow = messages.length - this.maxStoredMessages;
+    for (const archived of messages.slice(0, Math.max(overflow, 0))) {
+      const date = new Date(archived.timestamp).toISOString().split('T')[0];
+      const pageKey = `archive:${phoneNumber}:${date}`;
+      this.write(pageKey, [...(this.read(pageKey) || []), archived], this.ttl.archive);
+    }
+
+    this.write(key, messages.slice(-this.maxStoredMessages));
+  }
+
+  async getConversationHistory(phoneNumber, limit = 20) {
+    const messages = this.read(`conversations:${phoneNumber}`) || [];
+    return messages.slice(-limit);
+  }
+
+  async clearConversation(phoneNumber) {
+    this.remove(`conversations:${phoneNumber}`);
+  }
+
+  async pruneConversation(phoneNumber, before) {
+    const key = `conversations:${phoneNumber}`;
+    const messages = this.read(key) || [];
+    const kept = messages.filter(m => m.timestamp >= before);
+
+    if (kept.length === messages.length) return 0;
+
+    if (kept.length > 0) {
+      this.write(key, kept);
+    } else {
+      this.remove(key);
+    }
+    return messages.length - kept.length;
+  }
+
+  // ==================== Conversation Archive Operations ====================
+
+  async getArchivedMessages(phoneNumber, { from = 0, skip = 0, to = Infinity, limit = 200 } = {}) {
+    const messages = this.keysWithPrefix(`archive:${phoneNumber}:`)
+      .sort()
+      .flatMap(key => this.read(key) || [])
+      .filter(m => m.timestamp >= from && m.timestamp < to);
+
+    return this.pageArchivedMessages(messages, { from, skip, limit });
+  }
+
+  async pruneArchivedMessages(phoneNumber, before) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const prefix = `archive:${phoneNumber}:`;
+    let removed = 0;
+
+    for (const key of this.keysWithPrefix(prefix)) {
+      if (Date.parse(key.slice(prefix.length)) + dayMs <= before) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // ==================== Long-term Memory Operations ====================
+
+  async getMemory(phoneNumber) {
+    return this.readVersioned('memory', `memory:${phoneNumber}`);
+  }
+
+  async modifyMemory(phoneNumber, mutator) {
+    const memory = this.readVersioned('memory', `memory:${phoneNumber}`) || this.buildEmptyMemory();
+    const updated = this.stampVersion('memory', mutator(memory));
+    this.write(`memory:${phoneNumber}`, updated);
+    return structuredClone(updated);
+  }
+
+  // ==================== Journal Operations ====================
+
+  async addJournalEntry(phoneNumber, entry) {
+    const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const key = `journal:${phoneNumber}:${date}`;
+
+    const journalData = this.readVersioned('journal', key) || { entries: [], timestamp: Date.now() };
+
+    journalData.entries.push({
+      content: entry.content,
+      prompted: entry.prompted || false,
+      timestamp: Date.now()
+    });
+
+    this.write(key, this.stampVersion('journal', journalData), this.ttl.journal);
+  }
+
+  async getJournalEntries(phoneNumber, days = 7) {
+    const entries = [];
+    const now = new Date();
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(now - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const data = this.readVersioned('journal', `journal:${phoneNumber}:${date}`);
+
+      if (data) {
+        entries.push({ date, ...data });
+      }
+    }
+
+    return entries;
+  }
+
+  async pruneJournalEntries(phoneNumber, before) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const prefix = `journal:${phoneNumber}:`;
+    let removed = 0;
+
+    for (const key of this.keysWithPrefix(prefix)) {
+      if (Date.parse(key.slice(prefix.length)) + dayMs <= before) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // ==================== Scheduled Messages Operations ====================
+
+  async getSchedule(phoneNumber) {
+    return this.readVersioned('schedule', `scheduled:${phoneNumber}`);
+  }
+
+  async setSchedule(phoneNumber, scheduleData) {
+    this.write(`scheduled:${phoneNumber}`, this.stampVersion('schedule', scheduleData));
+  }
+
+  async modifySchedule(phoneNumber, mutator) {
+    const key = `scheduled:${phoneNumber}`;
+    const schedule = this.readVersioned('schedule', key);
+    const updated = mutator(schedule);
+    if (!updated) return schedule;
+
+    const stamped = this.stampVersion('schedule', updated);
+    this.write(key, stamped);
+    return structuredClone(stamped);
+  }
+
+  async getAllScheduledUsers() {
+    return this.keysWithPrefix('scheduled:').map(key => key.replace('scheduled:', ''));
+  }
+
+  // ==================== Crisis Log Operations ====================
+
+  async logCrisis(phoneNumber, data) {
+    const timestamp = Date.now();
+
+    this.write(`crisis:${phoneNumber}:${timestamp}`, {
+      ...data,
+      timestamp,
+      handled: false
+    }, this.ttl.crisis);
+  }
+
+  async getCrisisLogs(phoneNumber, limit = 10) {
+    return this.keysWithPrefix(`crisis:${phoneNumber}:`)
+      .sort()
+      .slice(-limit)
+      .map(key => this.read(key))
+      .filter(Boolean);
+  }
+
+  async pruneCrisisLogs(phoneNumber, before) {
+    const prefix = `crisis:${phoneNumber}:`;
+    let removed = 0;
+
+    for (const key of this.keysWithPrefix(prefix)) {
+      if (Number(key.slice(prefix.length)) < before) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // ==================== Mood Operations ====================
+
+  async addMoodEntry(phoneNumber, entry) {
+    const key = `mood:${phoneNumber}`;
+    const cutoff = this.ttl.mood ? Date.now() - this.ttl.mood * 1000 : -Infinity;
+    const entries = (this.read(key) || []).filter(e => e.timestamp >= cutoff);
+    entries.push({ ...entry, timestamp: Date.now() });
+    this.write(key, entries, this.ttl.mood);
+  }
+
+  async getMoodEntries(phoneNumber, { from = 0, to = Infinity } = {}) {
+    return (this.read(`mood:${phoneNumber}`) || [])
+      .filter(e => e.timestamp >= from && e.timestamp < to);
+  }
+
+  async pruneMoodEntries(phoneNumber, before) {
+    const key = `mood:${phoneNumber}`;
+    const entries = this.read(key) || [];
+    const kept = entries.filter(e => e.timestamp >= before);
+    if (kept.length < entries.length) {
+      this.write(key, kept);
+    }
+    return entries.length - kept.length;
+  }
+
+  // ==================== Response Guard Audit Operations ====================
+
+  async logGuardEvent(phoneNumber, entry) {
+    const key = `guardlog:${phoneNumber}`;
+    const entries = [...(this.read(key) || []), { ...entry, timestamp: Date.now() }];
+    this.write(key, entries.slice(-this.maxGuardLogs), this.ttl.crisis);
+  }
+
+  async getGuardLogs(phoneNumber, limit = 20) {
+    return (this.read(`guardlog:${phoneNumber}`) || []).slice(-limit);
+  }
+
+  // ==================== Leader Election Operations ====================
+
+  async acquireLock(lockKey, lockValue, ttlSeconds) {
+    if (this.read(lockKey) !== null) {
+      return false;
+    }
+    this.write(lockKey, lockValue, ttlSeconds);
+    return true;
+  }
+
+  async releaseLock(lockKey, expectedValue) {
+    if (this.read(lockKey) === expectedValue) {
+      this.remove(lockKey);
+      return true;
+    }
+    return false;
+  }
+
+  async extendLock(lockKey, expectedValue, ttlSeconds) {
+    if (this.read(lockKey) !== expectedValue) {
+      return false;
+    }
+    this.write(lockKey, expectedValue, ttlSeconds);
+    return true;
+  }
+
+  // ==================== Idempotency Operations ====================
+
+  async checkIdempotency(messageId) {
+    return this.read(`idempotency:${messageId}`) !== null;
+  }
+
+  async setIdempotency(messageId, ttlSeconds = this.ttl.idempotency) {
+    this.write(`idempotency:${messageId}`, '1', ttlSeconds);
+  }
+
+  // ==================== Message Queue Operations ====================
+
+  async enqueueMessage(phoneNumber, message) {
+    const key = `queue:${phoneNumber}`;
+    const queue = this.read(key) || [];
+    queue.push(message);
+    this.write(key, queue, this.ttl.queue);
+  }
+
+  async dequeueMessage(phoneNumber) {
+    const key = `queue:${phoneNumber}`;
+    const queue = this.read(key) || [];
+    const message = queue.shift();
+
+    if (queue.length > 0) {
+      this.write(key, queue, this.ttl.queue);
+    } else {
+      this.remove(key);
+    }
+
+    return message || null;
+  }
+
+  async getQueueLength(phoneNumber) {
+    const queue = this.read(`queue:${phoneNumber}`) || [];
+    return queue.length;
+  }
+
+  async getQueuedMessages(phoneNumber) {
+    return this.read(`queue:${phoneNumber}`) || [];
+  }
+
+  async drainQueue(phoneNumber) {
+    const key = `queue:${phoneNumber}`;
+    const queue = this.read(key) || [];
+    this.remove(key);
+    return queue;
+  }
+
+  // ==================== Data Export Operations ====================
+
+  async setExportToken(exportId, phoneNumber, ttlSeconds) {
+    this.write(`export:${exportId}`, phoneNumber, ttlSeconds);
+  }
+
+  async getExportToken(exportId) {
+    return this.read(`export:${exportId}`);
+  }
+
+  // ==================== Stats Operations ====================
+
+  async incrementStat(key) {
+    const value = (this.read(`stats:${key}`) || 0) + 1;
+    this.write(`stats:${key}`, value);
+    return value;
+  }
+
+  async getStat(key) {
+    return this.read(`stats:${key}`) || 0;
+  }
+
+  // ==================== Data Deletion Operations ====================
+
+  async deleteUserData(phoneNumber) {
+    const keys = [
+      `user:${phoneNumber}`,
+      `conversations:${phoneNumber}`,
+      `scheduled:${phoneNumber}`,
+      `queue:${phoneNumber}`,
+      `memory:${phoneNumber}`,
+      `guardlog:${phoneNumber}`,
+      `mood:${phoneNumber}`,
+      ...this.keysWithPrefix(`journal:${phoneNumber}:`),
+      ...this.keysWithPrefix(`archive:${phoneNumber}:`),
+      ...this.keysWithPrefix(`crisis:${phoneNumber}:`)
+    ];
+
+    for (const key of keys) {
+      this.remove(key);
+    }
+
+    logger.info('User data deleted', { phoneNumber: phoneNumber.slice(-4) });
+  }
+}
+
+module.exports = MemoryStorage;
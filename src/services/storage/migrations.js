@@ -0,0 +1,164 @@
+/**
+ * Schema migrations for stored records
+ *
+ * Each record type has an ordered list of migrations. A record's
+ * `schemaVersion` says which have been applied (missing = 0). Records are
+ * upgraded lazily when read, and in bulk by `npm run migrate:schema`.
+ *
+ * To change a record's shape: add a migration with the next version number,
+ * then update the code that creates the record. Migrations must be pure and
+ * safe to run on any record at the previous version.
+ */
+
+const migrations = {
+  user: [
+    {
+      version: 1,
+      description: 'Fill in sections missing from early user records',
+      up: (user) => ({
+        ...user,
+        name: user.name ?? null,
+        onboardingStage: user.onboardingStage ?? 0,
+        preferences: {
+          checkInTime: null,
+          topics: [],
+          ...user.preferences
+        },
+        emotionalState: {
+          current: 'neutral',
+          history: [],
+          lastUpdated: Date.now(),
+          ...user.emotionalState
+        },
+        stats: {
+          joinedAt: Date.now(),
+          lastActive: Date.now(),
+          messageCount: 0,
+          journalCount: 0,
+          streakDays: 0,
+          ...user.stats
+        }
+      })
+    },
+    {
+      version: 2,
+      description: 'Drop unused preferences.frequency and legacy profile fields',
+      up: (user) => {
+        const { profile, ...rest } = user;
+        const { frequency, ...preferences } = user.preferences || {};
+        return { ...rest, preferences };
+      }
+    },
+    {
+      version: 3,
+      description: 'Add guided exercise state and log',
+      up: (user) => ({
+        ...user,
+        exercises: {
+          active: null,
+          log: [],
+          lastSuggestedAt: null,
+          ...user.exercises
+        }
+      })
+    },
+    {
+      version: 4,
+      description: 'Track the latest mood check-in',
+      up: (user) => ({
+        ...user,
+        moodCheckIn: {
+          sentAt: null,
+          answeredAt: null,
+          ...user.moodCheckIn
+        }
+      })
+    }
+  ],
+
+  schedule: [
+    {
+      version: 1,
+      description: 'Ensure check-in times and followUps are always present',
+      up: (schedule) => ({
+        nextCheckIn: null,
+        nextJournalPrompt: null,
+        ...schedule,
+        followUps: schedule.followUps || []
+      })
+    }
+  ],
+
+  journal: [
+    {
+      version: 1,
+      description: 'Ensure entries array and prompted flag on every entry',
+      up: (journal) => ({
+        ...journal,
+        entries: (journal.entries || []).map(entry => ({
+          ...entry,
+          prompted: Boolean(entry.prompted)
+        }))
+      })
+    }
+  ],
+
+  memory: [
+    {
+      version: 1,
+      description: 'Track where each fact came from and what the user asked to forget',
+      up: (memory) => ({
+        ...memory,
+        facts: (memory.facts || []).map(fact => ({ source: 'conversation', ...fact })),
+        forgotten: memory.forgotten || []
+      })
+    },
+    {
+      version: 2,
+      description: 'Add upcoming events mentioned in conversation',
+      up: (memory) => ({
+        ...memory,
+        events: memory.events || []
+      })
+    }
+  ]
+};
+
+/**
+ * Latest schema version for a record type
+ */
+function getCurrentVersion(type) {
+  const list = migrations[type];
+  if (!list) {
+    throw new Error(`No migrations registered for record type "${type}"`);
+  }
+  return list.length > 0 ? list[list.length - 1].version : 0;
+}
+
+/**
+ * Apply any pending migrations to a record.
+ * Returns { record, migrated } - migrated is false when already current.
+ */
+function migrateRecord(type, record) {
+  const current = getCurrentVersion(type);
+  const from = record.schemaVersion || 0;
+
+  if (from >= current) {
+    return { record, migrated: false };
+  }
+
+  let upgraded = record;
+  for (const migration of migrations[type]) {
+    if (migration.version > from) {
+      upgraded = { ...migration.up(upgraded), schemaVersion: migration.version };
+    }
+  }
+
+  return { record: upgraded, migrated: true };
+}
+
+module.exports = {
+  migrations,
+  getCurrentVersion,
+  migrateRecord
+};
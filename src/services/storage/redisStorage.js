@@ -0,0 +1,1243 @@
+const crypto = require('crypto');
+const { createClient, WatchError } = require('redis');
+const logger = require('../../utils/logger');
+const BaseStorage = require('./baseStorage');
+const EnvelopeEncryption = require('./encryption');
+
+// Compare-and-delete / compare-and-expire for locks, atomic on the server
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const EXTEND_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+class RedisStorage extends BaseStorage {
+  constructor() {
+    super('redis');
+    this.client = null;
+    this.encryption = new EnvelopeEncryption();
+    this.dataKeyCache = new Map();
+  }
+
+  async connect() {
+    const redisUrl = process.env.REDIS_URL;
+    
+    if (!redisUrl) {
+      throw new Error('REDIS_URL environment variable is required');
+    }
+
+    logger.info('Initializing Redis connection...', { url: redisUrl.replace(/\/\/.*@/, '//***@') });
+
+    // Railway Redis uses rediss:// (TLS) protocol
+    const config = {
+      url: redisUrl
+    };
+
+    // Add TLS config if using secure connection
+    if (redisUrl.startsWith('rediss://')) {
+      config.socket = {
+        tls: true,
+        rejectUnauthorized: false // Railway's Redis certificate
+      };
+    }
+
+    this.client = createClient(config);
+
+    this.client.on('error', (err) => {
+      logger.error('Redis Client Error', { error: err.message });
+      this.isConnected = false;
+    });
+
+    this.client.on('connect', () => {
+      logger.info('Redis connected successfully');
+      this.isConnected = true;
+    });
+
+    this.client.on('reconnecting', () => {
+      logger.info('Redis reconnecting...');
+    });
+
+    this.client.on('end', () => {
+      logger.info('Redis connection closed');
+      this.isConnected = false;
+    });
+
+    await this.client.connect();
+    
+    // Verify connection
+    await this.client.ping();
+
+    if (!this.encryption.isEnabled()) {
+      logger.warn('ENCRYPTION_MASTER_KEYS not set - conversations, journals and crisis logs are stored unencrypted');
+    }
+    
+    return this.client;
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.quit();
+      this.isConnected = false;
+      logger.info('Redis disconnected');
+    }
+  }
+
+  getClient() {
+    if (!this.isConnected || !this.client) {
+      throw new Error('Redis client not connected');
+    }
+    return this.client;
+  }
+
+  async ping() {
+    return await this.getClient().ping();
+  }
+
+  /**
+   * Retry wrapper for all Redis operations
+   */
+  async withRetry(operation, maxRetries = 3) {
+    for (let i = 0; i < maxRetries; i++) {
+      try {
+        return await operation();
+      } catch (err) {
+        logger.warn(`Redis operation failed (attempt ${i + 1}/${maxRetries})`, { error: err.message });
+        if (i === maxRetries - 1) throw err;
+        await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+      }
+    }
+  }
+
+  /**
+   * Iterate keys matching a pattern with SCAN (non-blocking, unlike KEYS)
+   */
+  async scanKeys(pattern) {
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  /**
+   * Run a read-modify-write against a key under WATCH, retrying if another
+   * client modifies it first. `rewrite` receives the isolated client and a
+   * MULTI to queue writes on, and returns false when there's nothing to write.
+   */
+  async rewriteWatched(key, rewrite, maxAttempts = 5) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      try {
+        return await this.client.executeIsolated(async (isolated) => {
+          await isolated.watch(key);
+          const multi = isolated.multi();
+          const changed = await rewrite(isolated, multi);
+          if (!changed) {
+            await isolated.unwatch();
+            return false;
+          }
+          await multi.exec();
+          return true;
+        });
+      } catch (err) {
+        if (!(err instanceof WatchError)) throw err;
+      }
+    }
+    throw new Error(`Gave up rewriting ${key} after ${maxAttempts} concurrent modifications`);
+  }
+
+  /**
+   * Persist a schema-upgraded record, unless the stored value changed
+   * since it was read (a newer write wins and gets upgraded next read)
+   */
+  async writeBackIfUnchanged(key, raw, value, options = {}) {
+    return this.rewriteWatched(key, async (isolated, multi) => {
+      if (await isolated.get(key) !== raw) return false;
+      multi.set(key, value, options);
+      return true;
+    });
+  }
+
+  // ==================== Encryption ====================
+  //
+  // Conversations, long-term memory, journal entries, crisis logs, guard audit
+  // logs, mood ratings and queued messages are encrypted with a per-user data key (see
+  // ./encryption). The wrapped data keys live in
+  // datakey:{phone} as { current, keys: { [version]: wrappedKey } }.
+  // Plaintext records written before encryption was enabled are still
+  // readable and get encrypted by the migration script.
+
+  dataKeyKey(phoneNumber) {
+    return `datakey:${phoneNumber}`;
+  }
+
+  async getDataKeyRecord(phoneNumber) {
+    const data = await this.client.get(this.dataKeyKey(phoneNumber));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Unwrap a data key version. The cache is keyed by the wrapped key itself,
+   * not the version: versions start over at 1 after a user's data is
+   * deleted, while other instances may still hold the old key.
+   */
+  unwrapDataKey(phoneNumber, record, version) {
+    const wrapped = record?.keys[version];
+    if (!wrapped) {
+      throw new Error(`Data key version ${version} not found for user ****${phoneNumber.slice(-4)}`);
+    }
+
+    const cacheKey = `${phoneNumber}:${crypto.createHash('sha256').update(wrapped.sealed).digest('hex')}`;
+    if (!this.dataKeyCache.has(cacheKey)) {
+      this.dataKeyCache.set(cacheKey, this.encryption.unwrapKey(wrapped, phoneNumber));
+    }
+    return this.dataKeyCache.get(cacheKey);
+  }
+
+  /**
+   * Get the user's current data key, creating one on first use.
+   * The current version is re-read on every call so writes pick up
+   * rotations done by other instances.
+   */
+  async getCurrentDataKey(phoneNumber) {
+    let record = await this.getDataKeyRecord(phoneNumber);
+
+    if (!record) {
+      // NX so concurrent first writes end up agreeing on a single key
+      const { wrapped } = this.encryption.generateDataKey(phoneNumber);
+      await this.client.set(
+        this.dataKeyKey(phoneNumber),
+        JSON.stringify({ current: '1', keys: { 1: wrapped } }),
+        { NX: true }
+      );
+      record = await this.getDataKeyRecord(phoneNumber);
+    }
+
+    return {
+      version: record.current,
+      key: this.unwrapDataKey(phoneNumber, record, record.current)
+    };
+  }
+
+  async encodeRecord(phoneNumber, value) {
+    const json = JSON.stringify(value);
+    if (!this.encryption.isEnabled()) return json;
+
+    const { key, version } = await this.getCurrentDataKey(phoneNumber);
+    return this.encryption.encryptRecord(key, version, json, phoneNumber);
+  }
+
+  /**
+   * Decode a stored record. Pass `dataKeyRecord` when decoding several
+   * records of the same user; otherwise it's read for this one.
+   */
+  async decodeRecord(phoneNumber, raw, dataKeyRecord = null) {
+    if (!this.encryption.isEncrypted(raw)) {
+      return JSON.parse(raw);
+    }
+    if (!this.encryption.isEnabled()) {
+      throw new Error('Encrypted record found but ENCRYPTION_MASTER_KEYS is not configured');
+    }
+
+    if (!dataKeyRecord) {
+      dataKeyRecord = await this.getDataKeyRecord(phoneNumber);
+      if (!dataKeyRecord) {
+        throw new Error(`No data key for user ****${phoneNumber.slice(-4)}`);
+      }
+    }
+
+    const key = this.unwrapDataKey(phoneNumber, dataKeyRecord, this.encryption.getRecordKeyVersion(raw));
+    return JSON.parse(this.encryption.decryptRecord(key, raw, phoneNumber));
+  }
+
+  /**
+   * Decode a batch of one user's records, reading their data keys once
+   */
+  async decodeRecords(phoneNumber, raws) {
+    const dataKeyRecord = raws.some(raw => this.encryption.isEncrypted(raw))
+      ? await this.getDataKeyRecord(phoneNumber)
+      : null;
+    return Promise.all(raws.map(raw => this.decodeRecord(phoneNumber, raw, dataKeyRecord)));
+  }
+
+  // ==================== Expiry ====================
+
+  /**
+   * SET options for a record kept ttlSeconds (null = no age limit)
+   */
+  expiryOptions(ttlSeconds) {
+    return ttlSeconds ? { EX: ttlSeconds } : {};
+  }
+
+  /**
+   * Queue an EXPIRE on a transaction, and with trimIndexAt also drop
+   * sorted set members scored older than ttlSeconds before that time.
+   * Does nothing when there's no age limit.
+   */
+  expireIfLimited(multi, key, ttlSeconds, { trimIndexAt = null } = {}) {
+    if (!ttlSeconds) return multi;
+    if (trimIndexAt !== null) {
+      multi.zRemRangeByScore(key, '-inf', trimIndexAt - ttlSeconds * 1000);
+    }
+    return multi.expire(key, ttlSeconds);
+  }
+
+  // ==================== Index Keys ====================
+  //
+  // Secondary indexes maintained on write so reads never need KEYS:
+  // - index:scheduled              set of phone numbers with a schedule
+  // - index:journal:{phone}        sorted set of journal dates (score = day start)
+  // - index:crisis:{phone}         sorted set of crisis timestamps
+  // - index:crisis                 global sorted set of "{phone}:{timestamp}"
+  // - index:archive:{phone}        sorted set of archive page dates (score = day start)
+  //
+  // If an index key is missing (data written before indexes existed and
+  // not yet backfilled) reads fall back to SCAN.
+
+  scheduledIndexKey() {
+    return 'index:scheduled';
+  }
+
+  journalIndexKey(phoneNumber) {
+    return `index:journal:${phoneNumber}`;
+  }
+
+  crisisIndexKey(phoneNumber) {
+    return phoneNumber ? `index:crisis:${phoneNumber}` : 'index:crisis';
+  }
+
+  archiveIndexKey(phoneNumber) {
+    return `index:archive:${phoneNumber}`;
+  }
+
+  // ==================== User Profile Operations ====================
+
+  async getUser(phoneNumber) {
+    return this.withRetry(async () => {
+      const key = `user:${phoneNumber}`;
+      const data = await this.client.get(key);
+      if (!data) return null;
+
+      const { record, migrated } = this.upgradeRecord('user', JSON.parse(data));
+      if (migrated) {
+        await this.writeBackIfUnchanged(key, data, JSON.stringify(record));
+      }
+      return record;
+    });
+  }
+
+  async setUser(phoneNumber, userData) {
+    return this.withRetry(async () => {
+      await this.client.set(`user:${phoneNumber}`, JSON.stringify(this.stampVersion('user', userData)));
+    });
+  }
+
+  async getAllUserPhoneNumbers() {
+    return this.withRetry(async () => {
+      const keys = await this.scanKeys('user:*');
+      return keys.map(key => key.replace('user:', ''));
+    });
+  }
+
+  async modifyUser(phoneNumber, mutator) {
+    return this.withRetry(async () => {
+      const key = `user:${phoneNumber}`;
+      let updated = null;
+
+      await this.rewriteWatched(key, async (isolated, multi) => {
+        const data = await isolated.get(key);
+        if (!data) {
+          updated = null;
+          return false;
+        }
+
+        const { record } = this.upgradeRecord('user', JSON.parse(data));
+        updated = this.stampVersion('user', mutator(record));
+        multi.set(key, JSON.stringify(updated));
+        return true;
+      });
+
+      return updated;
+    });
+  }
+
+  // ==================== Conversation History Operations ====================
+
+  async addMessage(phoneNumber, message) {
+    return this.withRetry(async () => {
+      const key = `conversations:${phoneNumber}`;
+      const messageWithTimestamp = {
+        ...message,
+        timestamp: Date.now()
+      };
+      
+      await this.client.rPush(key, await this.encodeRecord(phoneNumber, messageWithTimestamp));
+      
+      // Keep only last N messages, moving older ones to the archive
+      const length = await this.client.lLen(key);
+      if (length > this.maxStoredMessages) {
+        await this.archiveOverflow(phoneNumber);
+      }
+    });
+  }
+
+  /**
+   * Move messages beyond the recent window into day pages of the archive.
+   * Runs under WATCH so concurrent writers can't archive the same message twice.
+   */
+  async archiveOverflow(phoneNumber) {
+    const key = `conversations:${phoneNumber}`;
+    const indexKey = this.archiveIndexKey(phoneNumber);
+
+    await this.rewriteWatched(key, async (isolated, multi) => {
+      const overflow = await isolated.lLen(key) - this.maxStoredMessages;
+      if (overflow <= 0) return false;
+
+      // Records are moved as stored (already encrypted); decode only to date them
+      const overflowing = await isolated.lRange(key, 0, overflow - 1);
+      const decoded = await this.decodeRecords(phoneNumber, overflowing);
+      for (const [i, raw] of overflowing.entries()) {
+        const { timestamp } = decoded[i];
+        const date = new Date(timestamp).toISOString().split('T')[0];
+        const pageKey = `archive:${phoneNumber}:${date}`;
+
+        multi.rPush(pageKey, raw)
+          .zAdd(indexKey, { score: Date.parse(date), value: date });
+        this.expireIfLimited(multi, pageKey, this.ttl.archive);
+      }
+
+      this.expireIfLimited(multi, indexKey, this.ttl.archive, { trimIndexAt: Date.now() });
+      multi.lTrim(key, overflow, -1);
+      return true;
+    });
+  }
+
+  async getConversationHistory(phoneNumber, limit = 20) {
+    return this.withRetry(async () => {
+      const key = `conversations:${phoneNumber}`;
+      const messages = await this.client.lRange(key, -limit, -1);
+      return this.decodeRecords(phoneNumber, messages);
+    });
+  }
+
+  async clearConversation(phoneNumber) {
+    return this.withRetry(async () => {
+      await this.client.del(`conversations:${phoneNumber}`);
+    });
+  }
+
+  async pruneConversation(phoneNumber, before) {
+    return this.withRetry(async () => {
+      const key = `conversations:${phoneNumber}`;
+      let removed = 0;
+
+      await this.rewriteWatched(key, async (isolated, multi) => {
+        const items = await isolated.lRange(key, 0, -1);
+
+        // Messages are appended in order, so drop everything before the first one to keep
+        removed = items.length;
+        const dataKeyRecord = this.encryption.isEnabled() ? await this.getDataKeyRecord(phoneNumber) : null;
+        for (let i = 0; i < items.length; i++) {
+          const message = await this.decodeRecord(phoneNumber, items[i], dataKeyRecord);
+          if (message.timestamp >= before) {
+            removed = i;
+            break;
+          }
+        }
+
+        if (removed === 0) return false;
+        multi.lTrim(key, removed, -1);
+        return true;
+      });
+
+      return removed;
+    });
+  }
+
+  // ==================== Conversation Archive Operations ====================
+
+  async getArchivedMessages(phoneNumber, { from = 0, skip = 0, to = Infinity, limit = 200 } = {}) {
+    return this.withRetry(async () => {
+      const dayMs = 24 * 60 * 60 * 1000;
+      const indexKey = this.archiveIndexKey(phoneNumber);
+      let dates;
+
+      if (await this.client.exists(indexKey)) {
+        dates = await this.client.zRangeByScore(indexKey, from - dayMs, Number.isFinite(to) ? `(${to}` : '+inf');
+      } else {
+        const prefix = `archive:${phoneNumber}:`;
+        dates = (await this.scanKeys(`${prefix}*`)).map(key => key.slice(prefix.length)).sort();
+      }
+
+      // Collect one extra message (past any skipped) to know where the next page starts
+      const messages = [];
+      const dataKeyRecord = this.encryption.isEnabled() ? await this.getDataKeyRecord(phoneNumber) : null;
+      for (const date of dates) {
+        const page = await this.client.lRange(`archive:${phoneNumber}:${date}`, 0, -1);
+        for (const raw of page) {
+          const message = await this.decodeRecord(phoneNumber, raw, dataKeyRecord);
+          if (message.timestamp >= from && message.timestamp < to) {
+            messages.push(message);
+          }
+        }
+        if (messages.length > limit + skip) break;
+      }
+
+      return this.pageArchivedMessages(messages, { from, skip, limit });
+    });
+  }
+
+  async pruneArchivedMessages(phoneNumber, before) {
+    return this.withRetry(async () => {
+      const dayMs = 24 * 60 * 60 * 1000;
+      const prefix = `archive:${phoneNumber}:`;
+      let removed = 0;
+
+      for (const key of await this.getArchiveKeys(phoneNumber)) {
+        const date = key.slice(prefix.length);
+        if (Date.parse(date) + dayMs <= before) {
+          await this.client.del(key);
+          await this.client.zRem(this.archiveIndexKey(phoneNumber), date);
+          removed++;
+        }
+      }
+
+      return removed;
+    });
+  }
+
+  /**
+   * List archive page keys for a user (index first, SCAN fallback)
+   */
+  async getArchiveKeys(phoneNumber) {
+    const indexKey = this.archiveIndexKey(phoneNumber);
+    if (await this.client.exists(indexKey)) {
+      const dates = await this.client.zRange(indexKey, 0, -1);
+      return dates.map(date => `archive:${phoneNumber}:${date}`);
+    }
+    return this.scanKeys(`archive:${phoneNumber}:*`);
+  }
+
+  // ==================== Long-term Memory Operations ====================
+
+  async getMemory(phoneNumber) {
+    return this.withRetry(async () => {
+      const key = `memory:${phoneNumber}`;
+      const data = await this.client.get(key);
+      if (!data) return null;
+
+      const { record, migrated } = this.upgradeRecord('memory', await this.decodeRecord(phoneNumber, data));
+      if (migrated) {
+        await this.writeBackIfUnchanged(key, data, await this.encodeRecord(phoneNumber, record));
+      }
+      return record;
+    });
+  }
+
+  async modifyMemory(phoneNumber, mutator) {
+    return this.withRetry(async () => {
+      const key = `memory:${phoneNumber}`;
+      let updated = null;
+
+      await this.rewriteWatched(key, async (isolated, multi) => {
+        const data = await isolated.get(key);
+        const memory = data
+          ? this.upgradeRecord('memory', await this.decodeRecord(phoneNumber, data)).record
+          : this.buildEmptyMemory();
+
+        updated = this.stampVersion('memory', mutator(memory));
+        multi.set(key, await this.encodeRecord(phoneNumber, updated));
+        return true;
+      });
+
+      return updated;
+    });
+  }
+
+  // ==================== Journal Operations ====================
+
+  async addJournalEntry(phoneNumber, entry) {
+    return this.withRetry(async () => {
+      const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+      const key = `journal:${phoneNumber}:${date}`;
+      const indexKey = this.journalIndexKey(phoneNumber);
+
+      // Watched, so two entries saved at once both land in the day's record
+      await this.rewriteWatched(key, async (isolated, multi) => {
+        const existing = await isolated.get(key);
+        const journalData = existing
+          ? this.upgradeRecord('journal', await this.decodeRecord(phoneNumber, existing)).record
+          : { entries: [], timestamp: Date.now() };
+
+        journalData.entries.push({
+          content: entry.content,
+          prompted: entry.prompted || false,
+          timestamp: Date.now()
+        });
+
+        // Expire with the retention policy, and drop index entries for expired days
+        multi.set(key, await this.encodeRecord(phoneNumber, this.stampVersion('journal', journalData)), this.expiryOptions(this.ttl.journal))
+          .zAdd(indexKey, { score: Date.parse(date), value: date });
+        this.expireIfLimited(multi, indexKey, this.ttl.journal, { trimIndexAt: Date.now() });
+        return true;
+      });
+    });
+  }
+
+  async getJournalEntries(phoneNumber, days = 7) {
+    return this.withRetry(async () => {
+      const indexKey = this.journalIndexKey(phoneNumber);
+      const now = new Date();
+      let dates;
+
+      if (await this.client.exists(indexKey)) {
+        const oldest = new Date(now - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        dates = (await this.client.zRangeByScore(indexKey, Date.parse(oldest), '+inf')).reverse();
+      } else {
+        // Fallback for users not yet backfilled: probe each day directly
+        dates = [];
+        for (let i = 0; i < days; i++) {
+          dates.push(new Date(now - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0]);
+        }
+      }
+
+      if (dates.length === 0) return [];
+
+      const values = await this.client.mGet(dates.map(date => `journal:${phoneNumber}:${date}`));
+
+      const entries = [];
+      const dataKeyRecord = this.encryption.isEnabled() ? await this.getDataKeyRecord(phoneNumber) : null;
+      for (let i = 0; i < dates.length; i++) {
+        if (!values[i]) continue;
+
+        const key = `journal:${phoneNumber}:${dates[i]}`;
+        const { record, migrated } = this.upgradeRecord('journal', await this.decodeRecord(phoneNumber, values[i], dataKeyRecord));
+        if (migrated) {
+          await this.writeBackIfUnchanged(key, values[i], await this.encodeRecord(phoneNumber, record), { KEEPTTL: true });
+        }
+        entries.push({ date: dates[i], ...record });
+      }
+
+      return entries;
+    });
+  }
+
+  async pruneJournalEntries(phoneNumber, before) {
+    return this.withRetry(async () => {
+      const dayMs = 24 * 60 * 60 * 1000;
+      const prefix = `journal:${phoneNumber}:`;
+      let removed = 0;
+
+      for (const key of await this.getJournalKeys(phoneNumber)) {
+        const date = key.slice(prefix.length);
+        if (Date.parse(date) + dayMs <= before) {
+          await this.client.del(key);
+          await this.client.zRem(this.journalIndexKey(phoneNumber), date);
+          removed++;
+        }
+      }
+
+      return removed;
+    });
+  }
+
+  /**
+   * List journal keys for a user (index first, SCAN fallback)
+   */
+  async getJournalKeys(phoneNumber) {
+    const indexKey = this.journalIndexKey(phoneNumber);
+    if (await this.client.exists(indexKey)) {
+      const dates = await this.client.zRange(indexKey, 0, -1);
+      return dates.map(date => `journal:${phoneNumber}:${date}`);
+    }
+    return this.scanKeys(`journal:${phoneNumber}:*`);
+  }
+
+  // ==================== Scheduled Messages Operations ====================
+
+  async getSchedule(phoneNumber) {
+    return this.withRetry(async () => {
+      const key = `scheduled:${phoneNumber}`;
+      const data = await this.client.get(key);
+      if (!data) return null;
+
+      const { record, migrated } = this.upgradeRecord('schedule', JSON.parse(data));
+      if (migrated) {
+        await this.writeBackIfUnchanged(key, data, JSON.stringify(record));
+      }
+      return record;
+    });
+  }
+
+  async setSchedule(phoneNumber, scheduleData) {
+    return this.withRetry(async () => {
+      await this.client.multi()
+        .set(`scheduled:${phoneNumber}`, JSON.stringify(this.stampVersion('schedule', scheduleData)))
+        .sAdd(this.scheduledIndexKey(), phoneNumber)
+        .exec();
+    });
+  }
+
+  async modifySchedule(phoneNumber, mutator) {
+    return this.withRetry(async () => {
+      const key = `scheduled:${phoneNumber}`;
+      let stored = null;
+
+      await this.rewriteWatched(key, async (isolated, multi) => {
+        const data = await isolated.get(key);
+        const schedule = data ? this.upgradeRecord('schedule', JSON.parse(data)).record : null;
+        const updated = mutator(schedule);
+        if (!updated) {
+          stored = schedule;
+          return false;
+        }
+
+        stored = this.stampVersion('schedule', updated);
+        multi.set(key, JSON.stringify(stored))
+          .sAdd(this.scheduledIndexKey(), phoneNumber);
+        return true;
+      });
+
+      return stored;
+    });
+  }
+
+  async getAllScheduledUsers() {
+    return this.withRetry(async () => {
+      const indexKey = this.scheduledIndexKey();
+      if (await this.client.exists(indexKey)) {
+        return await this.client.sMembers(indexKey);
+      }
+
+      const keys = await this.scanKeys('scheduled:*');
+      return keys.map(key => key.replace('scheduled:', ''));
+    });
+  }
+
+  // ==================== Crisis Log Operations ====================
+
+  async logCrisis(phoneNumber, data) {
+    return this.withRetry(async () => {
+      const timestamp = Date.now();
+      const key = `crisis:${phoneNumber}:${timestamp}`;
+      const userIndexKey = this.crisisIndexKey(phoneNumber);
+      const globalIndexKey = this.crisisIndexKey();
+
+      const record = await this.encodeRecord(phoneNumber, {
+        ...data,
+        timestamp,
+        handled: false
+      });
+
+      // Expire with the retention policy, and drop index entries for expired logs
+      const multi = this.client.multi()
+        .set(key, record, this.expiryOptions(this.ttl.crisis))
+        .zAdd(userIndexKey, { score: timestamp, value: String(timestamp) })
+        .zAdd(globalIndexKey, { score: timestamp, value: `${phoneNumber}:${timestamp}` });
+      this.expireIfLimited(multi, userIndexKey, this.ttl.crisis, { trimIndexAt: timestamp });
+      if (this.ttl.crisis) {
+        multi.zRemRangeByScore(globalIndexKey, '-inf', timestamp - this.ttl.crisis * 1000);
+      }
+      await multi.exec();
+    });
+  }
+
+  async getCrisisLogs(phoneNumber, limit = 10) {
+    return this.withRetry(async () => {
+      const indexKey = this.crisisIndexKey(phoneNumber);
+      let keys;
+
+      if (await this.client.exists(indexKey)) {
+        const timestamps = await this.client.zRange(indexKey, -limit, -1);
+        keys = timestamps.map(ts => `crisis:${phoneNumber}:${ts}`);
+      } else {
+        keys = (await this.scanKeys(`crisis:${phoneNumber}:*`)).sort().slice(-limit);
+      }
+
+      if (keys.length === 0) return [];
+
+      const values = await this.client.mGet(keys);
+      return this.decodeRecords(phoneNumber, values.filter(Boolean));
+    });
+  }
+
+  async pruneCrisisLogs(phoneNumber, before) {
+    return this.withRetry(async () => {
+      const prefix = `crisis:${phoneNumber}:`;
+      let removed = 0;
+
+      for (const key of await this.getCrisisKeys(phoneNumber)) {
+        const timestamp = key.slice(prefix.length);
+        if (Number(timestamp) < before) {
+          await this.client.del(key);
+          await this.client.zRem(this.crisisIndexKey(phoneNumber), timestamp);
+          await this.client.zRem(this.crisisIndexKey(), `${phoneNumber}:${timestamp}`);
+          removed++;
+        }
+      }
+
+      return removed;
+    });
+  }
+
+  /**
+   * List crisis log keys for a user (index first, SCAN fallback)
+   */
+  async getCrisisKeys(phoneNumber) {
+    const indexKey = this.crisisIndexKey(phoneNumber);
+    if (await this.client.exists(indexKey)) {
+      const timestamps = await this.client.zRange(indexKey, 0, -1);
+      return timestamps.map(ts => `crisis:${phoneNumber}:${ts}`);
+    }
+    return this.scanKeys(`crisis:${phoneNumber}:*`);
+  }
+
+  // ==================== Response Guard Audit Operations ====================
+
+  async logGuardEvent(phoneNumber, entry) {
+    return this.withRetry(async () => {
+      const key = `guardlog:${phoneNumber}`;
+      const record = await this.encodeRecord(phoneNumber, { ...entry, timestamp: Date.now() });
+
+      const multi = this.client.multi()
+        .rPush(key, record)
+        .lTrim(key, -this.maxGuardLogs, -1);
+      this.expireIfLimited(multi, key, this.ttl.crisis);
+      await multi.exec();
+    });
+  }
+
+  async getGuardLogs(phoneNumber, limit = 20) {
+    return this.withRetry(async () => {
+      const items = await this.client.lRange(`guardlog:${phoneNumber}`, -limit, -1);
+      return this.decodeRecords(phoneNumber, items);
+    });
+  }
+
+  // ==================== Mood Operations ====================
+
+  // Sorted set scored by timestamp; each member is an encrypted entry
+  async addMoodEntry(phoneNumber, entry) {
+    return this.withRetry(async () => {
+      const key = `mood:${phoneNumber}`;
+      const timestamp = Date.now();
+      const record = await this.encodeRecord(phoneNumber, { ...entry, timestamp });
+
+      const multi = this.client.multi()
+        .zAdd(key, { score: timestamp, value: record });
+      this.expireIfLimited(multi, key, this.ttl.mood, { trimIndexAt: timestamp });
+      await multi.exec();
+    });
+  }
+
+  async getMoodEntries(phoneNumber, { from = 0, to = Infinity } = {}) {
+    return this.withRetry(async () => {
+      const items = await this.client.zRangeByScore(
+        `mood:${phoneNumber}`,
+        from,
+        Number.isFinite(to) ? `(${to}` : '+inf'
+      );
+      return this.decodeRecords(phoneNumber, items);
+    });
+  }
+
+  async pruneMoodEntries(phoneNumber, before) {
+    return this.withRetry(async () => {
+      return this.client.zRemRangeByScore(`mood:${phoneNumber}`, '-inf', `(${before}`);
+    });
+  }
+
+  // ==================== Leader Election Operations ====================
+
+  async acquireLock(lockKey, lockValue, ttlSeconds) {
+    return this.withRetry(async () => {
+      const result = await this.client.set(lockKey, lockValue, {
+        EX: ttlSeconds,
+        NX: true
+      });
+      return result === 'OK';
+    });
+  }
+
+  /**
+   * Delete the lock only if it still holds our value. Checked and deleted
+   * in one script so a lock that expired and was taken over in between
+   * isn't released from under its new owner.
+   */
+  async releaseLock(lockKey, expectedValue) {
+    return this.withRetry(async () => {
+      const released = await this.client.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [lockKey],
+        arguments: [expectedValue]
+      });
+      return released === 1;
+    });
+  }
+
+  /**
+   * Reset the lock's TTL if it still holds our value (same reasoning as releaseLock)
+   */
+  async extendLock(lockKey, expectedValue, ttlSeconds) {
+    return this.withRetry(async () => {
+      const extended = await this.client.eval(EXTEND_LOCK_SCRIPT, {
+        keys: [lockKey],
+        arguments: [expectedValue, String(ttlSeconds)]
+      });
+      return extended === 1;
+    });
+  }
+
+  // ==================== Idempotency Operations ====================
+
+  async checkIdempotency(messageId) {
+    return this.withRetry(async () => {
+      const key = `idempotency:${messageId}`;
+      const exists = await this.client.get(key);
+      return exists !== null;
+    });
+  }
+
+  async setIdempotency(messageId, ttlSeconds = this.ttl.idempotency) {
+    return this.withRetry(async () => {
+      const key = `idempotency:${messageId}`;
+      await this.client.set(key, '1', { EX: ttlSeconds });
+    });
+  }
+
+  // ==================== Message Queue Operations ====================
+
+  // List of encrypted messages waiting to be answered; short-lived
+  async enqueueMessage(phoneNumber, message) {
+    return this.withRetry(async () => {
+      const key = `queue:${phoneNumber}`;
+      const record = await this.encodeRecord(phoneNumber, message);
+
+      await this.client.multi()
+        .rPush(key, record)
+        .expire(key, this.ttl.queue)
+        .exec();
+    });
+  }
+
+  async dequeueMessage(phoneNumber) {
+    return this.withRetry(async () => {
+      const key = `queue:${phoneNumber}`;
+      const message = await this.client.lPop(key);
+      return message ? this.decodeRecord(phoneNumber, message) : null;
+    });
+  }
+
+  async getQueueLength(phoneNumber) {
+    return this.withRetry(async () => {
+      const key = `queue:${phoneNumber}`;
+      return await this.client.lLen(key);
+    });
+  }
+
+  async getQueuedMessages(phoneNumber) {
+    return this.withRetry(async () => {
+      const items = await this.client.lRange(`queue:${phoneNumber}`, 0, -1);
+      return this.decodeRecords(phoneNumber, items);
+    });
+  }
+
+  async drainQueue(phoneNumber) {
+    return this.withRetry(async () => {
+      const key = `queue:${phoneNumber}`;
+      // In one transaction so concurrent drains never split the queue
+      const [items] = await this.client.multi()
+        .lRange(key, 0, -1)
+        .del(key)
+        .exec();
+      return this.decodeRecords(phoneNumber, items);
+    });
+  }
+
+  // ==================== Data Export Operations ====================
+
+  async setExportToken(exportId, phoneNumber, ttlSeconds) {
+    return this.withRetry(async () => {
+      await this.client.set(`export:${exportId}`, phoneNumber, { EX: ttlSeconds });
+    });
+  }
+
+  async getExportToken(exportId) {
+    return this.withRetry(async () => {
+      return await this.client.get(`export:${exportId}`);
+    });
+  }
+
+  // ==================== Stats Operations ====================
+
+  async incrementStat(key) {
+    return this.withRetry(async () => {
+      return await this.client.incr(`stats:${key}`);
+    });
+  }
+
+  async getStat(key) {
+    return this.withRetry(async () => {
+      const value = await this.client.get(`stats:${key}`);
+      return parseInt(value) || 0;
+    });
+  }
+
+  // ==================== Data Deletion Operations ====================
+
+  async deleteUserData(phoneNumber) {
+    return this.withRetry(async () => {
+      const patterns = [
+        `user:${phoneNumber}`,
+        `conversations:${phoneNumber}`,
+        `scheduled:${phoneNumber}`,
+        `queue:${phoneNumber}`,
+        `memory:${phoneNumber}`,
+        `guardlog:${phoneNumber}`,
+        `mood:${phoneNumber}`,
+        this.dataKeyKey(phoneNumber)
+      ];
+      
+      for (const pattern of patterns) {
+        await this.client.del(pattern);
+      }
+      
+      // Delete journal entries
+      const journalKeys = await this.getJournalKeys(phoneNumber);
+      for (const key of journalKeys) {
+        await this.client.del(key);
+      }
+      
+      // Delete archived conversation pages
+      const archiveKeys = await this.getArchiveKeys(phoneNumber);
+      for (const key of archiveKeys) {
+        await this.client.del(key);
+      }
+      
+      // Delete crisis logs
+      const crisisKeys = await this.getCrisisKeys(phoneNumber);
+      for (const key of crisisKeys) {
+        await this.client.del(key);
+        await this.client.zRem(this.crisisIndexKey(), key.replace('crisis:', ''));
+      }
+
+      // Delete index entries
+      await this.client.sRem(this.scheduledIndexKey(), phoneNumber);
+      await this.client.del([
+        this.journalIndexKey(phoneNumber),
+        this.crisisIndexKey(phoneNumber),
+        this.archiveIndexKey(phoneNumber)
+      ]);
+      
+      for (const cacheKey of this.dataKeyCache.keys()) {
+        if (cacheKey.startsWith(`${phoneNumber}:`)) this.dataKeyCache.delete(cacheKey);
+      }
+      
+      logger.info('User data deleted', { phoneNumber: phoneNumber.slice(-4) });
+    });
+  }
+
+  // ==================== Migrations ====================
+
+  /**
+   * Build secondary indexes for keys written before indexes existed.
+   * Safe to re-run: every write is an idempotent SADD/ZADD.
+   */
+  async backfillIndexes() {
+    const counts = { scheduled: 0, journal: 0, crisis: 0 };
+
+    for (const key of await this.scanKeys('scheduled:*')) {
+      await this.client.sAdd(this.scheduledIndexKey(), key.replace('scheduled:', ''));
+      counts.scheduled++;
+    }
+
+    for (const key of await this.scanKeys('journal:*:*')) {
+      const [, phoneNumber, date] = key.split(':');
+      const indexKey = this.journalIndexKey(phoneNumber);
+      await this.client.zAdd(indexKey, { score: Date.parse(date), value: date });
+      if (this.ttl.journal) await this.client.expire(indexKey, this.ttl.journal);
+      counts.journal++;
+    }
+
+    for (const key of await this.scanKeys('crisis:*:*')) {
+      const [, phoneNumber, timestamp] = key.split(':');
+      const score = Number(timestamp);
+      const indexKey = this.crisisIndexKey(phoneNumber);
+      await this.client.zAdd(indexKey, { score, value: timestamp });
+      if (this.ttl.crisis) await this.client.expire(indexKey, this.ttl.crisis);
+      await this.client.zAdd(this.crisisIndexKey(), { score, value: `${phoneNumber}:${timestamp}` });
+      counts.crisis++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Re-wrap a user's data keys that are still wrapped by a retired master key
+   */
+  async rewrapDataKeys(phoneNumber) {
+    const key = this.dataKeyKey(phoneNumber);
+    const activeId = this.encryption.activeMasterKey.id;
+
+    return this.rewriteWatched(key, async (isolated, multi) => {
+      const data = await isolated.get(key);
+      if (!data) return false;
+
+      const record = JSON.parse(data);
+      let changed = false;
+      for (const [version, wrapped] of Object.entries(record.keys)) {
+        if (wrapped.masterKeyId !== activeId) {
+          const dataKey = this.encryption.unwrapKey(wrapped, phoneNumber);
+          record.keys[version] = this.encryption.wrapKey(dataKey, phoneNumber);
+          changed = true;
+        }
+      }
+
+      if (changed) multi.set(key, JSON.stringify(record));
+      return changed;
+    });
+  }
+
+  /**
+   * Encrypt a user's plaintext records and re-encrypt any written with a
+   * data key version other than the current one. Returns records rewritten.
+   */
+  async reencryptUserRecords(phoneNumber) {
+    const { version: currentVersion } = await this.getCurrentDataKey(phoneNumber);
+    const isStale = raw => !this.encryption.isEncrypted(raw) ||
+      this.encryption.getRecordKeyVersion(raw) !== currentVersion;
+    const reencrypt = async raw =>
+      this.encodeRecord(phoneNumber, await this.decodeRecord(phoneNumber, raw));
+
+    let count = 0;
+
+    // Conversation history, archive pages and the guard audit log are
+    // lists, so rewrite each as a whole
+    const listKeys = [
+      `conversations:${phoneNumber}`,
+      `guardlog:${phoneNumber}`,
+      ...await this.getArchiveKeys(phoneNumber)
+    ];
+    for (const key of listKeys) {
+      let staleMessages = 0;
+      await this.rewriteWatched(key, async (isolated, multi) => {
+        const items = await isolated.lRange(key, 0, -1);
+        staleMessages = items.filter(isStale).length;
+        if (staleMessages === 0) return false;
+
+        const rewritten = [];
+        for (const raw of items) {
+          rewritten.push(isStale(raw) ? await reencrypt(raw) : raw);
+        }
+        const ttl = await isolated.ttl(key);
+        multi.del(key).rPush(key, rewritten);
+        if (ttl > 0) multi.expire(key, ttl);
+        return true;
+      });
+      count += staleMessages;
+    }
+
+    // Mood entries are sorted set members, so rewrite the set keeping scores
+    const moodKey = `mood:${phoneNumber}`;
+    let staleMoods = 0;
+    await this.rewriteWatched(moodKey, async (isolated, multi) => {
+      const items = await isolated.zRangeWithScores(moodKey, 0, -1);
+      staleMoods = items.filter(item => isStale(item.value)).length;
+      if (staleMoods === 0) return false;
+
+      const rewritten = [];
+      for (const item of items) {
+        rewritten.push({ score: item.score, value: isStale(item.value) ? await reencrypt(item.value) : item.value });
+      }
+      const ttl = await isolated.ttl(moodKey);
+      multi.del(moodKey).zAdd(moodKey, rewritten);
+      if (ttl > 0) multi.expire(moodKey, ttl);
+      return true;
+    });
+    count += staleMoods;
+
+    const keys = [
+      `memory:${phoneNumber}`,
+      ...await this.getJournalKeys(phoneNumber),
+      ...await this.getCrisisKeys(phoneNumber)
+    ];
+    for (const key of keys) {
+      const changed = await this.rewriteWatched(key, async (isolated, multi) => {
+        const raw = await isolated.get(key);
+        if (!raw || !isStale(raw)) return false;
+        multi.set(key, await reencrypt(raw), { KEEPTTL: true });
+        return true;
+      });
+      if (changed) count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Replace a user's data key: add a new version, re-encrypt every record
+   * with it, then drop the retired versions.
+   */
+  async rotateDataKey(phoneNumber) {
+    const key = this.dataKeyKey(phoneNumber);
+    await this.getCurrentDataKey(phoneNumber);
+
+    await this.rewriteWatched(key, async (isolated, multi) => {
+      const record = JSON.parse(await isolated.get(key));
+      const next = String(Math.max(...Object.keys(record.keys).map(Number)) + 1);
+      record.keys[next] = this.encryption.generateDataKey(phoneNumber).wrapped;
+      record.current = next;
+      multi.set(key, JSON.stringify(record));
+      return true;
+    });
+
+    const count = await this.reencryptUserRecords(phoneNumber);
+
+    await this.rewriteWatched(key, async (isolated, multi) => {
+      const record = JSON.parse(await isolated.get(key));
+      record.keys = { [record.current]: record.keys[record.current] };
+      multi.set(key, JSON.stringify(record));
+      return true;
+    });
+
+    return count;
+  }
+
+  /**
+   * Bring every user's data up to the current encryption setup: re-wrap
+   * data keys under the active master key and encrypt plaintext records.
+   * With rotateDataKeys, every user also gets a fresh data key.
+   */
+  async migrateEncryption({ rotateDataKeys = false } = {}) {
+    if (!this.encryption.isEnabled()) {
+      throw new Error('ENCRYPTION_MASTER_KEYS must be set to migrate records');
+    }
+
+    const phoneNumbers = new Set();
+    for (const key of await this.scanKeys('user:*')) phoneNumbers.add(key.split(':')[1]);
+    for (const key of await this.scanKeys('conversations:*')) phoneNumbers.add(key.split(':')[1]);
+    for (const key of await this.scanKeys('archive:*:*')) phoneNumbers.add(key.split(':')[1]);
+    for (const key of await this.scanKeys('memory:*')) phoneNumbers.add(key.split(':')[1]);
+    for (const key of await this.scanKeys('journal:*:*')) phoneNumbers.add(key.split(':')[1]);
+    for (const key of await this.scanKeys('crisis:*:*')) phoneNumbers.add(key.split(':')[1]);
+
+    const counts = { users: 0, rewrapped: 0, records: 0 };
+
+    for (const phoneNumber of phoneNumbers) {
+      if (await this.rewrapDataKeys(phoneNumber)) counts.rewrapped++;
+      counts.records += rotateDataKeys
+        ? await this.rotateDataKey(phoneNumber)
+        : await this.reencryptUserRecords(phoneNumber);
+      counts.users++;
+    }
+
+    return counts;
+  }
+}
+
+module.exports = RedisStorage;
+
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Per-user lock so only one instance processes a user's messages at a
+ * time. Held locks are extended every third of their TTL until released,
+ * so a slow reply keeps it, while a crashed instance's lock expires.
+ */
+class UserLockService {
+  constructor() {
+    this.settings = config.processingLock;
+  }
+
+  lockKey(phoneNumber) {
+    return `lock:user:${phoneNumber}`;
+  }
+
+  /**
+   * Take the user's lock, retrying for up to `waitMs`. Resolves to a
+   * handle for release(), or null if it's still held by someone else.
+   */
+  async acquire(phoneNumber, { waitMs = 0 } = {}) {
+    const key = this.lockKey(phoneNumber);
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+    const deadline = Date.now() + waitMs;
+
+    while (!await storage.acquireLock(key, token, this.settings.ttlSeconds)) {
+      if (Date.now() >= deadline) return null;
+      await sleep(this.settings.pollMs);
+    }
+
+    const heartbeat = setInterval(() => {
+      storage.extendLock(key, token, this.settings.ttlSeconds).then(extended => {
+        // Expired while we were stalled, and may be someone else's now
+        if (!extended) {
+          logger.warn('User lock lost before release', { phoneNumber: phoneNumber.slice(-4) });
+        }
+      }).catch(error => {
+        logger.warn('Failed to extend user lock', {
+          phoneNumber: phoneNumber.slice(-4),
+          error: error.message
+        });
+      });
+    }, this.settings.ttlSeconds * 1000 / 3);
+    heartbeat.unref();
+
+    return { phoneNumber, key, token, heartbeat };
+  }
+
+  async release(lock) {
+    clearInterval(lock.heartbeat);
+    try {
+      await storage.releaseLock(lock.key, lock.token);
+    } catch (error) {
+      // It expires on its own
+      logger.warn('Failed to release user lock', {
+        phoneNumber: lock.phoneNumber.slice(-4),
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Run `fn` while holding the user's lock, waiting up to `waitMs` for it
+   */
+  async runExclusive(phoneNumber, fn, { waitMs = this.settings.waitMs } = {}) {
+    const lock = await this.acquire(phoneNumber, { waitMs });
+    if (!lock) {
+      throw new Error(`Messages for ****${phoneNumber.slice(-4)} are still being processed`);
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.release(lock);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new UserLockService();
@@ -0,0 +1,200 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+const llm = require('./llm');
+const journaling = require('./journaling');
+const moodTracking = require('./moodTracking');
+const responseGuard = require('./responseGuard');
+const loopMessage = require('./loopMessage');
+const { EXERCISES } = require('../prompts/exercisePrompts');
+const { getWeeklyRecapPrompt } = require('../prompts/recapPrompt');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ON_PATTERN = /^((weekly )?recaps? on|(turn on|start|send me) (the |a )?weekly recaps?)( please)?[.!]?$/;
+const OFF_PATTERN = /^((weekly )?recaps? off|(turn off|stop|no more) (the )?weekly recaps?)( please)?[.!]?$/;
+
+/**
+ * Opt-in Sunday look back at the user's week. The preference lives in
+ * user.preferences.weeklyRecap and the next send time in the schedule as
+ * nextWeeklyRecap, so "stop" pauses it along with the other check-ins.
+ */
+class WeeklyRecapService {
+  constructor() {
+    this.settings = config.weeklyRecap;
+  }
+
+  isEnabled(user) {
+    return user?.preferences?.weeklyRecap === true;
+  }
+
+  /**
+   * Whether a (lowercased, trimmed) message turns the recap on (true) or
+   * off (false). Null if it's not a recap command.
+   */
+  parseCommand(lowerMessage) {
+    if (ON_PATTERN.test(lowerMessage)) return true;
+    if (OFF_PATTERN.test(lowerMessage)) return false;
+    return null;
+  }
+
+  /**
+   * Turn the recap on or off and (un)schedule the next one
+   */
+  async setEnabled(phoneNumber, enabled) {
+    await storage.modifyUser(phoneNumber, user => ({
+      ...user,
+      preferences: { ...user.preferences, weeklyRecap: enabled }
+    }));
+    await storage.updateSchedule(phoneNumber, {
+      nextWeeklyRecap: enabled ? this.getNextRecapTime() : null
+    });
+
+    logger.info('Weekly recap preference updated', {
+      phoneNumber: phoneNumber.slice(-4),
+      enabled
+    });
+  }
+
+  /**
+   * Next recap day at the recap hour (server local time), after `now`
+   */
+  getNextRecapTime(now = Date.now()) {
+    const next = new Date(now);
+    next.setHours(this.settings.hour, 0, 0, 0);
+    next.setDate(next.getDate() + (this.settings.dayOfWeek - next.getDay() + 7) % 7);
+    if (next.getTime() <= now) {
+      next.setDate(next.getDate() + 7);
+    }
+    return next.getTime();
+  }
+
+  /**
+   * Everything the recap looks back on from the last 7 days, or null if
+   * there are no journal entries or mood ratings to recap
+   */
+  async gatherWeek(phoneNumber, user, now = Date.now()) {
+    const from = now - WEEK_MS;
+
+    const journalDays = await journaling.getJournalHistory(phoneNumber, 7);
+    const journalEntries = journalDays
+      .flatMap(day => day.entries.map(entry => ({ date: day.date, ...entry })))
+      .filter(entry => entry.timestamp >= from)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .slice(-this.settings.maxEntries);
+
+    const mood = await moodTracking.getWeekTrend(phoneNumber, now);
+
+    if (journalEntries.length === 0 && mood.daily.length === 0) {
+      return null;
+    }
+
+    const highlights = [];
+    const journaledDays = new Set(journalEntries.map(entry => entry.date)).size;
+    if (journaledDays > 0) {
+      highlights.push(`Journaled on ${journaledDays} of the last 7 days`);
+    }
+
+    const bestDay = mood.daily.reduce((best, day) => (!best || day.average > best.average ? day : best), null);
+    if (bestDay && bestDay.average >= 7) {
+      highlights.push(`Their best-rated day was ${bestDay.date} (${bestDay.average}/10)`);
+    }
+
+    const completed = (user.exercises?.log || [])
+      .filter(run => run.status === 'completed' && run.endedAt >= from);
+    for (const exerciseId of new Set(completed.map(run => run.exercise))) {
+      const times = completed.filter(run => run.exercise === exerciseId).length;
+      highlights.push(`Finished the ${EXERCISES[exerciseId]?.name || exerciseId} exercise${times > 1 ? ` ${times} times` : ''}`);
+    }
+
+    return {
+      name: user.name,
+      journalEntries,
+      mood,
+      streak: await journaling.calculateStreak(phoneNumber),
+      highlights
+    };
+  }
+
+  /**
+   * Write the recap. Resolves to { text } or { empty: true } when there's
+   * nothing from the week; text is null if it couldn't be generated.
+   */
+  async generate(phoneNumber, now = Date.now()) {
+    const user = await storage.getUser(phoneNumber);
+    if (!user) return { empty: true };
+
+    const week = await this.gatherWeek(phoneNumber, user, now);
+    if (!week) return { empty: true };
+
+    if (!llm.isConfigured()) return { text: null };
+
+    try {
+      const prompt = getWeeklyRecapPrompt(week, this.settings.maxEntryChars);
+      const write = async (feedback = null) => {
+        const response = await llm.complete('recap', {
+          messages: [{ role: 'user', content: feedback ? `${prompt}\n\n${feedback}` : prompt }]
+        });
+        return response.text.trim() || null;
+      };
+
+      const draft = await write();
+      if (!draft) return { text: null };
+
+      // A recap that slips into clinical language is rewritten
+      return { text: await responseGuard.review(phoneNumber, '', draft, { regenerate: write }) };
+
+    } catch (error) {
+      logger.logError('WeeklyRecapService.generate', error, {
+        phoneNumber: phoneNumber.slice(-4)
+      });
+      return { text: null };
+    }
+  }
+
+  /**
+   * Scheduled recap. Skipped for quiet weeks and for weeks with a logged
+   * crisis, where a cheerful look back would be the wrong message.
+   * Returns whether one was sent.
+   */
+  async send(phoneNumber, now = Date.now()) {
+    try {
+      const crisisLogs = await storage.getCrisisLogs(phoneNumber);
+      if (crisisLogs.some(log => log.timestamp >= now - WEEK_MS)) {
+        logger.info('Weekly recap skipped after crisis', { phoneNumber: phoneNumber.slice(-4) });
+        return false;
+      }
+
+      const { text, empty } = await this.generate(phoneNumber, now);
+      if (!text) {
+        logger.info('Weekly recap skipped', {
+          phoneNumber: phoneNumber.slice(-4),
+          reason: empty ? 'quiet week' : 'not generated'
+        });
+        return false;
+      }
+
+      const result = await loopMessage.sendMessage(phoneNumber, text);
+      if (!result.success) return false;
+
+      await storage.addMessage(phoneNumber, {
+        role: 'assistant',
+        content: text,
+        type: 'proactive',
+        triggerType: 'weekly_recap'
+      });
+
+      logger.info('Weekly recap sent', { phoneNumber: phoneNumber.slice(-4) });
+      return true;
+
+    } catch (error) {
+      logger.logError('WeeklyRecapService.send', error, {
+        phoneNumber: phoneNumber.slice(-4)
+      });
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new WeeklyRecapService();
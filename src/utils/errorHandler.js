@@ -38,6 +38,13 @@ class ClaudeError extends AppError {
   }
 }
 
+class LLMUnavailableError extends AppError {
+  constructor(message) {
+    super(message, 503, true);
+    this.name = 'LLMUnavailableError';
+  }
+}
+
 class LoopMessageError extends AppError {
   constructor(message) {
     super(message, 502, true);
@@ -131,6 +138,7 @@ module.exports = {
   ValidationError,
   RedisError,
   ClaudeError,
+  LLMUnavailableError,
   LoopMessageError,
   errorMiddleware,
   setupGlobalErrorHandlers,
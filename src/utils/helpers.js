@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const config = require('../config');
 
 /**
  * Sleep for a specified number of milliseconds
@@ -91,6 +92,13 @@ function safeJsonParse(str, defaultValue = null) {
   }
 }
 
+/**
+ * Parse JSON from an LLM reply, tolerating a ```json code fence around it
+ */
+function parseLlmJson(text, defaultValue = null) {
+  return safeJsonParse((text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, ''), defaultValue);
+}
+
 /**
  * Validate webhook signature
  */
@@ -109,9 +117,13 @@ function validateWebhookSignature(payload, signature, secret) {
 }
 
 /**
- * Retry an operation with exponential backoff
+ * Retry an operation with exponential backoff. Options: `maxDelay` caps
+ * each wait, `jitter` randomizes it (0 to the full delay) so many callers
+ * don't retry in lockstep, and `shouldRetry(error)` stops early on errors
+ * that won't go away by trying again.
  */
-async function withRetry(operation, maxRetries = 3, baseDelay = 1000) {
+async function withRetry(operation, maxRetries = 3, baseDelay = 1000, options = {}) {
+  const { maxDelay = Infinity, jitter = false, shouldRetry = () => true } = options;
   let lastError;
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -119,9 +131,10 @@ async function withRetry(operation, maxRetries = 3, baseDelay = 1000) {
       return await operation();
     } catch (error) {
       lastError = error;
+      if (!shouldRetry(error)) break;
       if (attempt < maxRetries - 1) {
-        const delay = baseDelay * Math.pow(2, attempt);
-        await sleep(delay);
+        const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+        await sleep(jitter ? Math.random() * delay : delay);
       }
     }
   }
@@ -129,6 +142,18 @@ async function withRetry(operation, maxRetries = 3, baseDelay = 1000) {
   throw lastError;
 }
 
+/**
+ * Public base URL of this server (Railway domain, or localhost in development)
+ */
+function getPublicBaseUrl() {
+  const domain = config.railwayPublicDomain ||
+                 config.railwayStaticUrl ||
+                 `localhost:${config.port}`;
+
+  const protocol = domain.includes('localhost') ? 'http' : 'https';
+  return `${protocol}://${domain}`;
+}
+
 /**
  * Extract message type from LoopMessage webhook
  */
@@ -150,8 +175,10 @@ module.exports = {
   formatTimestamp,
   containsKeyword,
   safeJsonParse,
+  parseLlmJson,
   validateWebhookSignature,
   withRetry,
+  getPublicBaseUrl,
   getMessageType
 };
 
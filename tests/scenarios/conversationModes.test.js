@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, send, llmCalls } = require('./helpers');
+const conversationMode = require('../../src/services/conversationMode');
+const { getSystemPrompt } = require('../../src/prompts/systemPrompt');
+
+const HOUR_MS = 60 * 60 * 1000;
+const lastResponseCall = () => [...llmCalls()].reverse().find(call => call.system);
+
+test('mode commands are recognised, and only as whole messages', () => {
+  const cases = {
+    'just listen': 'vent',
+    'vent mode please': 'vent',
+    'give me ideas': 'advice',
+    'advice mode!': 'advice',
+    'distract me': 'distraction',
+    'normal mode': null
+  };
+  for (const [message, mode] of Object.entries(cases)) {
+    assert.deepStrictEqual(conversationMode.parseCommand(message), { mode }, message);
+  }
+
+  for (const message of ['just listen to this', 'can you distract me from my exam', 'mode']) {
+    assert.strictEqual(conversationMode.parseCommand(message), undefined, message);
+  }
+});
+
+test('a chosen mode shapes the replies until it\'s switched back', async () => {
+  const phoneNumber = await createUser();
+
+  const switched = await send(phoneNumber, 'Just listen please');
+  assert.strictEqual(switched.isCommand, true);
+
+  await send(phoneNumber, 'my sister and I had a huge fight');
+  assert.match(lastResponseCall().system, /Conversation mode \("just listen"\)/);
+  assert.ok(lastResponseCall().maxTokens <= 300);
+
+  // Asking for advice mid-conversation doesn't override their choice
+  await send(phoneNumber, 'what should i do about her');
+  assert.match(lastResponseCall().system, /Conversation mode \("just listen"\)/);
+
+  await send(phoneNumber, 'normal mode');
+  await send(phoneNumber, 'thanks for listening');
+  assert.doesNotMatch(lastResponseCall().system, /Conversation mode/);
+});
+
+test('a mode asked for in passing lasts a few hours', async () => {
+  const phoneNumber = await createUser();
+
+  await send(phoneNumber, 'ugh I just need to vent about work');
+  assert.match(lastResponseCall().system, /Conversation mode \("just listen"\)/);
+
+  const user = await storage.getUser(phoneNumber);
+  assert.strictEqual(user.preferences.conversationMode.source, 'inferred');
+  assert.strictEqual(conversationMode.getMode(user), 'vent');
+
+  user.preferences.conversationMode.setAt -= (conversationMode.settings.inferredModeHours + 1) * HOUR_MS;
+  assert.strictEqual(conversationMode.getMode(user), null);
+});
+
+test('a possible crisis overrides the mode', () => {
+  const prompt = getSystemPrompt({ mode: 'distraction', riskLevel: 'high' });
+  assert.doesNotMatch(prompt, /Conversation mode/);
+  assert.match(getSystemPrompt({ mode: 'distraction', riskLevel: 'low' }), /Conversation mode \("distraction"\)/);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, send } = require('./helpers');
+const { containsCrisisKeyword } = require('../../src/prompts/crisisPrompt');
+
+test('crisis keywords are found however they\'re typed', () => {
+  for (const message of ['I WANT TO DIE', 'i just can’t go on anymore', 'thinking about self-harm again', 'everyone would be better off dead']) {
+    assert.strictEqual(containsCrisisKeyword(message), true, message);
+  }
+  for (const message of ['', null, 'this homework is killing me', 'i could die of embarrassment']) {
+    assert.strictEqual(containsCrisisKeyword(message), false, String(message));
+  }
+});
+
+// Free-text commands run before crisis detection, so they must step aside
+// for anything with a crisis keyword in it
+
+test('"forget about ..." with a crisis keyword gets the crisis flow', async () => {
+  const phoneNumber = await createUser();
+
+  const result = await send(phoneNumber, 'forget about everything, I want to die');
+
+  assert.strictEqual(result.isCommand, undefined);
+  assert.strictEqual(result.crisisDetected, true);
+});
+
+test('"remember that ..." with a crisis keyword is not saved as a fact', async () => {
+  const phoneNumber = await createUser();
+
+  const result = await send(phoneNumber, 'remember that time I tried to kill myself');
+
+  assert.strictEqual(result.isCommand, undefined);
+  assert.strictEqual(result.crisisDetected, true);
+  const memory = await storage.getMemory(phoneNumber);
+  assert.strictEqual((memory?.facts || []).length, 0);
+});
+
+test('an unmatched "forget about ..." is answered as conversation', async () => {
+  const phoneNumber = await createUser();
+
+  const result = await send(phoneNumber, 'forget about work, it was a long day');
+
+  assert.strictEqual(result.isCommand, undefined);
+  assert.ok(result.response);
+  assert.doesNotMatch(result.response, /couldn't tell which memory/);
+});
+
+test('"forget 3" with no such memory still explains how to forget one', async () => {
+  const phoneNumber = await createUser();
+
+  const result = await send(phoneNumber, 'forget 3');
+
+  assert.strictEqual(result.isCommand, true);
+  assert.match(result.response, /couldn't tell which memory/);
+});
+
+test('"mood 1 ..." with a crisis keyword is recorded and gets the crisis flow', async () => {
+  const phoneNumber = await createUser();
+
+  const result = await send(phoneNumber, 'mood 1 want to die');
+
+  assert.strictEqual(result.isCommand, undefined);
+  assert.strictEqual(result.crisisDetected, true);
+  const entries = await storage.getMoodEntries(phoneNumber);
+  assert.deepStrictEqual(entries.map(e => e.score), [1]);
+});
+
+test('a crisis reply to a mood check-in is recorded and gets the crisis flow', async () => {
+  const phoneNumber = await createUser({ moodCheckIn: { sentAt: Date.now() - 60 * 1000, answeredAt: null } });
+
+  const result = await send(phoneNumber, '2 want to die');
+
+  assert.strictEqual(result.isMoodRating, undefined);
+  assert.strictEqual(result.crisisDetected, true);
+  const entries = await storage.getMoodEntries(phoneNumber);
+  assert.deepStrictEqual(entries.map(e => e.score), [2]);
+});
+
+test('"mood 7 tired" is an ordinary rating', async () => {
+  const phoneNumber = await createUser();
+
+  const result = await send(phoneNumber, 'mood 7 tired');
+
+  assert.strictEqual(result.isCommand, true);
+  assert.match(result.response, /Noted/);
+});
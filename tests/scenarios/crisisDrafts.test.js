@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createUser, send, llmCalls, scriptLlm } = require('./helpers');
+const messageHandler = require('../../src/handlers/messageHandler');
+const { getCrisisResponse } = require('../../src/prompts/crisisPrompt');
+
+const CRISIS_CONTEXT = /assessed as a possible crisis \(risk: (\w+)\)/;
+
+/**
+ * Send a message the analysis rates at `level`, and resolve to the result
+ * and the system prompts of the replies drafted for it
+ */
+async function sendRated(content, level) {
+  const phoneNumber = await createUser();
+  const unscript = scriptLlm(`Analyze a text message a user sent.*${content}`, {
+    emotion: 'sad',
+    valence: -0.6,
+    arousal: 0.4,
+    crisis: { level, reasoning: 'scripted', recommend_resources: level !== 'low', follow_up_hours: null },
+    events: []
+  });
+
+  llmCalls().length = 0;
+  try {
+    const result = await send(phoneNumber, content);
+    const drafts = llmCalls().filter(call => call.system && call.messages.at(-1).content === content);
+    return { result, drafts: drafts.map(call => call.system) };
+  } finally {
+    unscript();
+  }
+}
+
+const draftActions = () => ({ ...messageHandler.timings.draftActions });
+
+test('a low-risk message gets the draft written while the risk was assessed', async () => {
+  const before = draftActions();
+  const { result, drafts } = await sendRated('work was long and boring today', 'low');
+
+  assert.strictEqual(drafts.length, 1);
+  assert.doesNotMatch(drafts[0], CRISIS_CONTEXT);
+  assert.strictEqual(result.crisisDetected, false);
+  assert.strictEqual(draftActions().send, (before.send || 0) + 1);
+});
+
+test('a high-risk message has its draft rewritten with the risk in mind, after the crisis resources', async () => {
+  const before = draftActions();
+  const { result, drafts } = await sendRated('i dont see the point of anything lately', 'high');
+
+  assert.strictEqual(drafts.length, 2);
+  assert.doesNotMatch(drafts[0], CRISIS_CONTEXT);
+  assert.strictEqual(drafts[1].match(CRISIS_CONTEXT)[1], 'high');
+  assert.ok(result.response.startsWith(getCrisisResponse('high')));
+  assert.strictEqual(draftActions().rewrite, (before.rewrite || 0) + 1);
+});
+
+test('a critical message gets only the crisis response, and its draft is thrown away', async () => {
+  const before = draftActions();
+  const { result, drafts } = await sendRated('i have made a plan for tonight', 'critical');
+
+  assert.strictEqual(result.response, getCrisisResponse('critical'));
+  assert.strictEqual(result.riskLevel, 'critical');
+  assert.ok(drafts.length <= 1);
+  assert.strictEqual(draftActions().discard, (before.discard || 0) + 1);
+});
+
+test('a crisis keyword skips the early draft and writes one knowing the risk', async () => {
+  const { result, drafts } = await sendRated('honestly i want to die', 'low');
+
+  assert.strictEqual(drafts.length, 1);
+  assert.strictEqual(drafts[0].match(CRISIS_CONTEXT)[1], 'high');
+  assert.strictEqual(result.crisisDetected, true);
+});
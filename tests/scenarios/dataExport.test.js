@@ -0,0 +1,72 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { storage, createUser, send } = require('./helpers');
+const exportRoutes = require('../../src/routes/export');
+const dataExport = require('../../src/services/dataExport');
+
+const app = express();
+app.use('/export', exportRoutes);
+const server = app.listen(0);
+after(() => server.close());
+
+/**
+ * Fetch an export link from the test server instead of the public host
+ */
+function download(link) {
+  const { pathname, search } = new URL(link);
+  return fetch(`http://127.0.0.1:${server.address().port}${pathname}${search}`);
+}
+
+async function exportLinks(phoneNumber) {
+  const { response } = await send(phoneNumber, 'export my data');
+  const [markdownUrl, jsonUrl] = response.match(/https?:\/\/\S+/g);
+  return { markdownUrl, jsonUrl };
+}
+
+test('"export my data" links download everything, archived messages included', async () => {
+  const phoneNumber = await createUser({ name: 'Sam' });
+  for (let i = 0; i < storage.maxStoredMessages + 2; i++) {
+    await storage.addMessage(phoneNumber, { role: 'user', content: `message ${i}` });
+  }
+  await storage.addJournalEntry(phoneNumber, { content: 'a good walk today' });
+
+  const { markdownUrl, jsonUrl } = await exportLinks(phoneNumber);
+
+  const json = await download(jsonUrl);
+  assert.strictEqual(json.status, 200);
+  assert.strictEqual(json.headers.get('cache-control'), 'no-store');
+  const archive = await json.json();
+  assert.strictEqual(archive.profile.name, 'Sam');
+  assert.strictEqual(archive.conversations[0].content, 'message 0');
+  assert.strictEqual(archive.conversations.filter(m => m.content.startsWith('message ')).length, storage.maxStoredMessages + 2);
+  assert.strictEqual(archive.journal[0].entries[0].content, 'a good walk today');
+
+  const markdown = await download(markdownUrl);
+  assert.match(markdown.headers.get('content-type'), /text\/markdown/);
+  assert.match(await markdown.text(), /- a good walk today/);
+});
+
+test('a changed, expired or unknown export link is refused', async () => {
+  const phoneNumber = await createUser();
+  const { jsonUrl } = await exportLinks(phoneNumber);
+  const url = new URL(jsonUrl);
+
+  const tampered = new URL(url);
+  tampered.searchParams.set('signature', '0'.repeat(64));
+  assert.strictEqual((await download(tampered.href)).status, 403);
+
+  const extended = new URL(url);
+  extended.searchParams.set('expires', String(Number(url.searchParams.get('expires')) + 60000));
+  assert.strictEqual((await download(extended.href)).status, 403);
+
+  const expired = new URL(url);
+  const exportId = url.pathname.split('/').pop();
+  const past = String(Date.now() - 1000);
+  expired.searchParams.set('expires', past);
+  expired.searchParams.set('signature', dataExport.sign(exportId, past));
+  assert.strictEqual((await download(expired.href)).status, 403);
+
+  await storage.deleteUserData(phoneNumber);
+  assert.strictEqual((await download(jsonUrl)).status, 404);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+require('./helpers');
+const EnvelopeEncryption = require('../../src/services/storage/encryption');
+const RedisStorage = require('../../src/services/storage/redisStorage');
+
+const masterKey = (id) => `${id}:${crypto.randomBytes(32).toString('base64')}`;
+
+/**
+ * Just enough of a Redis client for the data key and record paths,
+ * shared between storage instances like a real server would be
+ */
+function sharedClient() {
+  const data = new Map();
+  return {
+    data,
+    async get(key) { return data.has(key) ? data.get(key) : null; },
+    async set(key, value, { NX } = {}) {
+      if (NX && data.has(key)) return null;
+      data.set(key, value);
+      return 'OK';
+    },
+    async del(key) { return data.delete(key) ? 1 : 0; }
+  };
+}
+
+function instance(client, masterKeys) {
+  const storage = new RedisStorage();
+  storage.client = client;
+  storage.encryption = new EnvelopeEncryption(masterKeys);
+  return storage;
+}
+
+test('records round-trip and are bound to their owner', () => {
+  const encryption = new EnvelopeEncryption(masterKey('a'));
+  const { key, wrapped } = encryption.generateDataKey('15550000001');
+
+  const raw = encryption.encryptRecord(key, '1', '{"hello":"there"}', '15550000001');
+  assert.ok(encryption.isEncrypted(raw));
+  assert.strictEqual(encryption.getRecordKeyVersion(raw), '1');
+  assert.strictEqual(encryption.decryptRecord(key, raw, '15550000001').toString(), '{"hello":"there"}');
+
+  assert.throws(() => encryption.unwrapKey(wrapped, '15550000002'));
+  assert.throws(() => encryption.decryptRecord(key, raw, '15550000002'));
+});
+
+test('data keys wrapped by a retired master key stay readable', () => {
+  const oldKey = masterKey('old');
+  const before = new EnvelopeEncryption(oldKey);
+  const { key, wrapped } = before.generateDataKey('15550000001');
+
+  const after = new EnvelopeEncryption(`${masterKey('new')},${oldKey}`);
+  assert.deepStrictEqual(after.unwrapKey(wrapped, '15550000001'), key);
+  assert.strictEqual(after.wrapKey(key, '15550000001').masterKeyId, 'new');
+});
+
+test('another instance reads records written after the user\'s data was deleted', async () => {
+  const keys = masterKey('a');
+  const client = sharedClient();
+  const first = instance(client, keys);
+  const second = instance(client, keys);
+  const phoneNumber = '15550000001';
+
+  const before = await first.encodeRecord(phoneNumber, { text: 'before' });
+  assert.deepStrictEqual(await second.decodeRecord(phoneNumber, before), { text: 'before' });
+
+  // What deleteUserData does to the data key; the next write starts over at version 1
+  await client.del(first.dataKeyKey(phoneNumber));
+  first.dataKeyCache.clear();
+
+  const after = await first.encodeRecord(phoneNumber, { text: 'after' });
+  assert.strictEqual(first.encryption.getRecordKeyVersion(after), '1');
+  assert.deepStrictEqual(await second.decodeRecord(phoneNumber, after), { text: 'after' });
+
+  // ...and the old ciphertext is gone for good
+  await assert.rejects(() => second.decodeRecord(phoneNumber, before));
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, outbox, createUser, send, llmCalls, scriptLlm, sleep } = require('./helpers');
+const eventExtraction = require('../../src/services/eventExtraction');
+const proactiveMessaging = require('../../src/services/proactiveMessaging');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// YYYY-MM-DD for a local date some days from now
+function dayFromNow(days) {
+  const date = new Date(Date.now() + days * 24 * HOUR_MS);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+test('follow-ups land after the event, outside quiet hours, and only for the near future', () => {
+  const now = new Date(2026, 2, 2, 10, 0).getTime();
+  const followUp = (date, time = null) => {
+    const { followUpAt } = eventExtraction.getEventTimes({ description: 'thing', date, time }, now);
+    return followUpAt && new Date(followUpAt).toString();
+  };
+
+  assert.strictEqual(followUp('2026-03-03', '14:00'), new Date(2026, 2, 3, 17, 0).toString());
+  assert.strictEqual(followUp('2026-03-03'), new Date(2026, 2, 3, 19, 0).toString());
+  assert.strictEqual(followUp('2026-03-03', '19:30'), new Date(2026, 2, 4, 9, 0).toString());
+  assert.strictEqual(followUp('2026-03-01', '09:00'), null);
+  assert.strictEqual(followUp('2026-06-01', '09:00'), null);
+});
+
+test('an upcoming event is remembered once and followed up on afterwards', async () => {
+  const phoneNumber = await createUser();
+  const date = dayFromNow(2);
+  const unscript = scriptLlm('Analyze a text message a user sent.*job interview', {
+    emotion: 'anxious',
+    valence: -0.3,
+    arousal: 0.6,
+    crisis: { level: 'low', reasoning: 'nervous about an interview', recommend_resources: false, follow_up_hours: null },
+    events: [{ description: 'Job interview', date, time: '14:00' }]
+  });
+
+  try {
+    await send(phoneNumber, 'I have a job interview on Thursday at 2pm and I am nervous');
+    await send(phoneNumber, 'still thinking about that job interview on Thursday at 2pm');
+    await sleep(50);
+  } finally {
+    unscript();
+  }
+
+  const { events } = await storage.getMemory(phoneNumber);
+  assert.deepStrictEqual(events.map(e => [e.description, e.date]), [['Job interview', date]]);
+  const { followUps } = await storage.getSchedule(phoneNumber);
+  assert.deepStrictEqual(followUps.map(f => f.context.eventId), [events[0].id]);
+
+  await proactiveMessaging.processUserSchedule(phoneNumber, followUps[0].time);
+
+  assert.strictEqual(outbox.filter(m => m.phoneNumber === phoneNumber).length, 1);
+  assert.match(JSON.stringify(llmCalls().at(-1).messages), /Job interview/);
+  assert.deepStrictEqual((await storage.getSchedule(phoneNumber)).followUps, []);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, send } = require('./helpers');
+const { EXERCISES } = require('../../src/prompts/exercisePrompts');
+
+const grounding = EXERCISES.grounding.steps;
+const exercisesOf = async (phoneNumber) => (await storage.getUser(phoneNumber)).exercises;
+
+test('replies walk through the steps until the exercise is done', async () => {
+  const phoneNumber = await createUser();
+
+  const started = await send(phoneNumber, 'start grounding');
+  assert.ok(started.response.startsWith(grounding[0].text));
+
+  for (let step = 1; step < grounding.length; step++) {
+    const reply = await send(phoneNumber, `answer ${step}`);
+    assert.strictEqual(reply.isExercise, true);
+    assert.strictEqual(reply.response, grounding[step].text);
+  }
+
+  const done = await send(phoneNumber, 'calmer');
+  assert.strictEqual(done.response, EXERCISES.grounding.completion);
+
+  const { active, log } = await exercisesOf(phoneNumber);
+  assert.strictEqual(active, null);
+  assert.strictEqual(log.at(-1).status, 'completed');
+});
+
+test('a thought record ends with what they wrote', async () => {
+  const phoneNumber = await createUser();
+  const steps = EXERCISES['thought-record'].steps;
+
+  await send(phoneNumber, 'thought record');
+  let reply;
+  for (const step of steps) {
+    reply = await send(phoneNumber, step.key === 'balancedThought' ? 'one bad meeting isn\'t my whole job' : `my ${step.key}`);
+  }
+
+  assert.match(reply.response, /Balanced view: one bad meeting isn't my whole job/);
+  assert.match(reply.response, /Thought: my thought/);
+});
+
+test('an exercise can be paused, resumed and exited', async () => {
+  const phoneNumber = await createUser();
+  await send(phoneNumber, 'grounding');
+  await send(phoneNumber, 'a lamp, a mug, my phone, a window, a plant');
+
+  await send(phoneNumber, 'pause');
+  assert.strictEqual((await exercisesOf(phoneNumber)).active.status, 'paused');
+
+  // While paused it's a normal conversation
+  const chat = await send(phoneNumber, 'actually my friend just called');
+  assert.notStrictEqual(chat.isExercise, true);
+
+  const resumed = await send(phoneNumber, 'resume exercise');
+  assert.match(resumed.response, new RegExp(grounding[1].text.slice(0, 20)));
+
+  const exited = await send(phoneNumber, 'stop');
+  assert.match(exited.response, /stopped the exercise/);
+  assert.strictEqual((await exercisesOf(phoneNumber)).log.at(-1).status, 'exited');
+});
+
+test('a crisis message mid-exercise gets the crisis flow and pauses the exercise', async () => {
+  const phoneNumber = await createUser();
+  await send(phoneNumber, 'breathing');
+
+  const result = await send(phoneNumber, 'honestly i want to kill myself');
+  assert.notStrictEqual(result.isExercise, true);
+  assert.strictEqual(result.crisisDetected, true);
+  assert.strictEqual((await exercisesOf(phoneNumber)).active.status, 'paused');
+});
+
+test('an exercise left without a reply for too long is dropped', async () => {
+  const phoneNumber = await createUser();
+  await send(phoneNumber, 'grounding');
+  await storage.modifyUser(phoneNumber, user => ({
+    ...user,
+    exercises: { ...user.exercises, active: { ...user.exercises.active, updatedAt: Date.now() - 60 * 60 * 1000 } }
+  }));
+
+  const reply = await send(phoneNumber, 'hey, different topic');
+  assert.notStrictEqual(reply.isExercise, true);
+
+  const { active, log } = await exercisesOf(phoneNumber);
+  assert.strictEqual(active, null);
+  assert.strictEqual(log.at(-1).status, 'abandoned');
+});
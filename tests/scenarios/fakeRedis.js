@@ -0,0 +1,351 @@
+/**
+ * Just enough of a node-redis v4 client to run RedisStorage in the
+ * scenario checks: strings, lists, sets and sorted sets, MULTI, WATCH
+ * and the lock scripts. Like Redis, it rejects expiry times that aren't
+ * positive integers. Every command is kept in `commands` for inspection.
+ */
+
+const { WatchError } = require('redis');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Score bounds: a number, '-inf', '+inf', or '(n' for exclusive
+function parseBound(bound) {
+  if (bound === '-inf') return -Infinity;
+  if (bound === '+inf') return Infinity;
+  if (typeof bound === 'string' && bound.startsWith('(')) {
+    return { value: Number(bound.slice(1)) };
+  }
+  return Number(bound);
+}
+
+function inRange(score, min, max) {
+  const aboveMin = typeof min === 'object' ? score > min.value : score >= min;
+  const belowMax = typeof max === 'object' ? score < max.value : score <= max;
+  return aboveMin && belowMax;
+}
+
+function checkExpiry(command, seconds) {
+  if (!Number.isInteger(Number(seconds)) || Number(seconds) <= 0) {
+    throw new Error(`ERR invalid expire time in '${command}' command`);
+  }
+}
+
+class FakeRedis {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.versions = new Map(); // key -> write counter, for WATCH
+    this.commands = [];
+  }
+
+  // ==================== Internals ====================
+
+  entry(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  value(key, fallback = null) {
+    return this.entry(key)?.value ?? fallback;
+  }
+
+  store(key, value, { keepTtl = true } = {}) {
+    const existing = this.entry(key);
+    const empty = (value instanceof Map || value instanceof Set) ? value.size === 0 : Array.isArray(value) && value.length === 0;
+    if (empty) {
+      this.data.delete(key);
+    } else {
+      this.data.set(key, { value, expiresAt: keepTtl ? existing?.expiresAt || null : null });
+    }
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  log(name, args) {
+    this.commands.push([name, ...args]);
+  }
+
+  // ==================== Commands ====================
+
+  async get(key) {
+    await tick();
+    this.log('get', [key]);
+    return this.value(key);
+  }
+
+  async mGet(keys) {
+    await tick();
+    this.log('mGet', [keys]);
+    return keys.map(key => this.value(key));
+  }
+
+  async set(key, value, options = {}) {
+    await tick();
+    return this.setNow(key, value, options);
+  }
+
+  setNow(key, value, { NX, EX, KEEPTTL } = {}) {
+    this.log('set', [key, value, { NX, EX, KEEPTTL }]);
+    if (EX !== undefined) checkExpiry('set', EX);
+    if (NX && this.entry(key)) return null;
+    this.store(key, String(value), { keepTtl: Boolean(KEEPTTL) });
+    if (EX !== undefined) this.data.get(key).expiresAt = Date.now() + EX * 1000;
+    return 'OK';
+  }
+
+  async del(keys) {
+    await tick();
+    return this.delNow(keys);
+  }
+
+  delNow(keys) {
+    this.log('del', [keys]);
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (this.entry(key)) {
+        this.data.delete(key);
+        this.versions.set(key, (this.versions.get(key) || 0) + 1);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async exists(key) {
+    await tick();
+    return this.entry(key) ? 1 : 0;
+  }
+
+  async expire(key, seconds) {
+    await tick();
+    return this.expireNow(key, seconds);
+  }
+
+  expireNow(key, seconds) {
+    this.log('expire', [key, seconds]);
+    checkExpiry('expire', seconds);
+    const entry = this.entry(key);
+    if (!entry) return false;
+    entry.expiresAt = Date.now() + Number(seconds) * 1000;
+    return true;
+  }
+
+  async ttl(key) {
+    await tick();
+    const entry = this.entry(key);
+    if (!entry) return -2;
+    return entry.expiresAt ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : -1;
+  }
+
+  async incr(key) {
+    await tick();
+    const next = Number(this.value(key, 0)) + 1;
+    this.store(key, String(next));
+    return next;
+  }
+
+  // Lists
+
+  async rPush(key, values) {
+    await tick();
+    return this.rPushNow(key, values);
+  }
+
+  rPushNow(key, values) {
+    this.log('rPush', [key, values]);
+    const list = [...this.value(key, []), ...[].concat(values)];
+    this.store(key, list);
+    return list.length;
+  }
+
+  async lPop(key) {
+    await tick();
+    const list = [...this.value(key, [])];
+    const first = list.shift() ?? null;
+    this.store(key, list);
+    return first;
+  }
+
+  async lRange(key, start, stop) {
+    await tick();
+    return this.lRangeNow(key, start, stop);
+  }
+
+  lRangeNow(key, start, stop) {
+    const list = this.value(key, []);
+    const from = start < 0 ? Math.max(list.length + start, 0) : start;
+    const to = stop < 0 ? list.length + stop : stop;
+    return list.slice(from, to + 1);
+  }
+
+  async lLen(key) {
+    await tick();
+    return this.value(key, []).length;
+  }
+
+  lTrimNow(key, start, stop) {
+    this.log('lTrim', [key, start, stop]);
+    this.store(key, this.lRangeNow(key, start, stop));
+    return 'OK';
+  }
+
+  async lTrim(key, start, stop) {
+    await tick();
+    return this.lTrimNow(key, start, stop);
+  }
+
+  // Sets
+
+  async sAdd(key, members) {
+    await tick();
+    return this.sAddNow(key, members);
+  }
+
+  sAddNow(key, members) {
+    const set = new Set(this.value(key, []));
+    for (const member of [].concat(members)) set.add(member);
+    this.store(key, set);
+    return set.size;
+  }
+
+  async sRem(key, members) {
+    await tick();
+    const set = new Set(this.value(key, []));
+    for (const member of [].concat(members)) set.delete(member);
+    this.store(key, set);
+    return set.size;
+  }
+
+  async sMembers(key) {
+    await tick();
+    return [...this.value(key, [])];
+  }
+
+  // Sorted sets
+
+  async zAdd(key, members) {
+    await tick();
+    return this.zAddNow(key, members);
+  }
+
+  zAddNow(key, members) {
+    this.log('zAdd', [key, members]);
+    const zset = new Map(this.value(key, new Map()));
+    for (const { score, value } of [].concat(members)) zset.set(value, score);
+    this.store(key, zset);
+    return zset.size;
+  }
+
+  sorted(key) {
+    return [...this.value(key, new Map()).entries()]
+      .map(([value, score]) => ({ value, score }))
+      .sort((a, b) => a.score - b.score || a.value.localeCompare(b.value));
+  }
+
+  async zRange(key, start, stop) {
+    await tick();
+    const items = this.sorted(key).map(item => item.value);
+    return items.slice(start, stop < 0 ? items.length + stop + 1 : stop + 1);
+  }
+
+  async zRangeWithScores(key, start, stop) {
+    await tick();
+    const items = this.sorted(key);
+    return items.slice(start, stop < 0 ? items.length + stop + 1 : stop + 1);
+  }
+
+  async zRangeByScore(key, min, max) {
+    await tick();
+    const low = parseBound(min);
+    const high = parseBound(max);
+    return this.sorted(key).filter(item => inRange(item.score, low, high)).map(item => item.value);
+  }
+
+  async zRemRangeByScore(key, min, max) {
+    await tick();
+    return this.zRemRangeByScoreNow(key, min, max);
+  }
+
+  zRemRangeByScoreNow(key, min, max) {
+    this.log('zRemRangeByScore', [key, min, max]);
+    const low = parseBound(min);
+    const high = parseBound(max);
+    const zset = new Map(this.value(key, new Map()));
+    let removed = 0;
+    for (const [value, score] of zset) {
+      if (inRange(score, low, high)) {
+        zset.delete(value);
+        removed++;
+      }
+    }
+    this.store(key, zset);
+    return removed;
+  }
+
+  async zRem(key, members) {
+    await tick();
+    const zset = new Map(this.value(key, new Map()));
+    for (const member of [].concat(members)) zset.delete(member);
+    this.store(key, zset);
+    return zset.size;
+  }
+
+  async *scanIterator({ MATCH }) {
+    this.log('scan', [MATCH]);
+    const pattern = new RegExp(`^${MATCH.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    for (const key of [...this.data.keys()]) {
+      if (this.entry(key) && pattern.test(key)) yield key;
+    }
+  }
+
+  // The lock scripts: compare, then delete or expire
+  async eval(script, { keys: [key], arguments: [expected, ttl] }) {
+    await tick();
+    if (this.value(key) !== expected) return 0;
+    if (script.includes('DEL')) return this.delNow(key);
+    return this.expireNow(key, ttl) ? 1 : 0;
+  }
+
+  // ==================== Transactions ====================
+
+  multi(watched = null) {
+    const queued = [];
+    const client = this;
+    const proxy = new Proxy({}, {
+      get(target, name) {
+        if (name === 'exec') {
+          return async () => {
+            await tick();
+            if (watched && [...watched].some(([key, version]) => (client.versions.get(key) || 0) !== version)) {
+              throw new WatchError();
+            }
+            return queued.map(run => run());
+          };
+        }
+        return (...args) => {
+          const now = client[`${name}Now`];
+          if (!now) throw new Error(`FakeRedis MULTI doesn't support ${name}`);
+          queued.push(() => now.apply(client, args));
+          return proxy;
+        };
+      }
+    });
+    return proxy;
+  }
+
+  async executeIsolated(fn) {
+    const watched = new Map();
+    const isolated = Object.create(this);
+    isolated.watch = async (keys) => {
+      for (const key of [].concat(keys)) watched.set(key, this.versions.get(key) || 0);
+    };
+    isolated.unwatch = async () => watched.clear();
+    isolated.multi = () => this.multi(watched);
+    return fn(isolated);
+  }
+}
+
+module.exports = FakeRedis;
@@ -0,0 +1,83 @@
+/**
+ * Shared setup for the scenario checks: in-memory storage, the mock LLM
+ * provider and a LoopMessage stub that keeps what would have been sent.
+ * Require this before anything from src/ so the config picks it up.
+ */
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.EXPORT_SIGNING_SECRET = process.env.EXPORT_SIGNING_SECRET || 'scenario-secret';
+
+const storage = require('../../src/services/storage');
+const loopMessage = require('../../src/services/loopMessage');
+const llm = require('../../src/services/llm');
+const { normalizePhoneNumber } = require('../../src/utils/helpers');
+
+const outbox = [];
+loopMessage.sendMessage = async (phoneNumber, text) => {
+  outbox.push({ phoneNumber, text });
+  return { success: true };
+};
+
+let nextPhone = 0;
+
+/**
+ * A fresh user past onboarding, with a few messages behind them so the
+ * welcome flow doesn't kick in. Returns their normalized phone number.
+ */
+async function createUser(overrides = {}) {
+  if (!storage.isConnected) {
+    await storage.connect();
+  }
+
+  const phoneNumber = normalizePhoneNumber(`+1555${String(++nextPhone).padStart(7, '0')}`);
+  const user = await storage.createUser(phoneNumber);
+  await storage.setUser(phoneNumber, {
+    ...user,
+    onboardingStage: 4,
+    stats: { ...user.stats, messageCount: 5 },
+    ...overrides
+  });
+  return phoneNumber;
+}
+
+/**
+ * Send a text through the handler and resolve to its result
+ */
+function send(phoneNumber, content) {
+  const messageHandler = require('../../src/handlers/messageHandler');
+  return messageHandler.handleMessageWithResponse({ phoneNumber, content });
+}
+
+/**
+ * The mock provider's recorded requests, for inspecting prompts
+ */
+function llmCalls() {
+  return llm.provider.calls;
+}
+
+/**
+ * Answer prompts matching `match` (a regex source, as in LLM_MOCK_SCRIPT)
+ * with `response`, ahead of the default mock rules. Returns a function
+ * that removes the rule again.
+ */
+function scriptLlm(match, response) {
+  const rule = { pattern: new RegExp(match, 'is'), response };
+  llm.provider.rules.unshift(rule);
+  return () => {
+    llm.provider.rules = llm.provider.rules.filter(r => r !== rule);
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  storage,
+  outbox,
+  createUser,
+  send,
+  llmCalls,
+  scriptLlm,
+  sleep
+};
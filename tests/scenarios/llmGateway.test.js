@@ -0,0 +1,182 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sleep } = require('./helpers');
+const config = require('../../src/config');
+const llm = require('../../src/services/llm');
+const CircuitBreaker = require('../../src/services/llm/circuitBreaker');
+const { LLMUnavailableError } = require('../../src/utils/errorHandler');
+
+const LLMGateway = llm.constructor;
+
+/**
+ * A provider that fails with `failWith` (an HTTP status, or null for a
+ * network error) while `failing` is set, and records the models it was
+ * asked for (and the whole requests)
+ */
+function fakeProvider(name) {
+  return {
+    name,
+    failing: false,
+    failWith: 503,
+    calls: [],
+    requests: [],
+    isConfigured: () => true,
+    async complete(request) {
+      this.calls.push(request.model);
+      this.requests.push(request);
+      if (this.failing) {
+        const error = new Error(`${name} is down`);
+        if (this.failWith) error.status = this.failWith;
+        throw error;
+      }
+      return { text: `hi from ${name}`, model: request.model || name, usage: { inputTokens: 1, outputTokens: 1 } };
+    }
+  };
+}
+
+function gateway({ fallback = null, fallbackModel = null, tasks = config.llm.tasks } = {}) {
+  const primary = fakeProvider('primary');
+  const settings = {
+    ...config.llm,
+    tasks,
+    fallback: { provider: null, model: fallbackModel },
+    retry: { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 1 },
+    circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 50 }
+  };
+  return { primary, gateway: new LLMGateway(primary, fallback, settings) };
+}
+
+const request = { messages: [{ role: 'user', content: 'hello' }] };
+
+test('transient errors are retried before giving up on the primary', async () => {
+  const { primary, gateway: llmGateway } = gateway();
+  let failures = 1;
+  const complete = primary.complete;
+  primary.complete = async function (req) {
+    if (failures-- > 0) throw Object.assign(new Error('rate limited'), { status: 429 });
+    return complete.call(this, req);
+  };
+
+  const response = await llmGateway.complete('response', request);
+  assert.strictEqual(response.text, 'hi from primary');
+  assert.strictEqual(llmGateway.getCircuitStates()[0].state, 'closed');
+});
+
+test('a failing primary falls back to the fallback model', async () => {
+  const { primary, gateway: llmGateway } = gateway({ fallbackModel: 'backup-model' });
+  const complete = primary.complete;
+  primary.complete = async function (req) {
+    this.failing = req.model !== 'backup-model';
+    return complete.call(this, req);
+  };
+
+  const response = await llmGateway.complete('response', request);
+  assert.strictEqual(response.model, 'backup-model');
+  assert.strictEqual(primary.calls.at(-1), 'backup-model');
+  assert.strictEqual(llmGateway.getUsage().response.fallbacks, 1);
+});
+
+test('the breaker skips a failing primary, then closes after a good trial call', async () => {
+  const backup = fakeProvider('backup');
+  const { primary, gateway: llmGateway } = gateway({ fallback: backup });
+  primary.failing = true;
+
+  await llmGateway.complete('response', request);
+  await llmGateway.complete('response', request);
+  assert.strictEqual(llmGateway.getCircuitStates()[0].state, 'open');
+
+  const attempts = primary.calls.length;
+  await llmGateway.complete('response', request);
+  assert.strictEqual(primary.calls.length, attempts, 'open circuit should skip the primary');
+  assert.strictEqual(backup.calls.length, 3);
+
+  await sleep(60);
+  primary.failing = false;
+  const response = await llmGateway.complete('response', request);
+  assert.strictEqual(response.text, 'hi from primary');
+  assert.strictEqual(llmGateway.getCircuitStates()[0].state, 'closed');
+});
+
+test('a rejected request is not retried, doesn\'t fall back and doesn\'t trip the breaker', async () => {
+  const backup = fakeProvider('backup');
+  const { primary, gateway: llmGateway } = gateway({ fallback: backup });
+  primary.failing = true;
+  primary.failWith = 400;
+
+  await assert.rejects(() => llmGateway.complete('response', request), { status: 400 });
+  await assert.rejects(() => llmGateway.complete('response', request), { status: 400 });
+  assert.strictEqual(primary.calls.length, 2);
+  assert.strictEqual(backup.calls.length, 0);
+  assert.strictEqual(llmGateway.getCircuitStates()[0].state, 'closed');
+});
+
+test('when everything is down the call fails as unavailable', async () => {
+  const backup = fakeProvider('backup');
+  const { primary, gateway: llmGateway } = gateway({ fallback: backup });
+  primary.failing = true;
+  backup.failing = true;
+  backup.failWith = null;
+
+  await assert.rejects(() => llmGateway.complete('response', request), LLMUnavailableError);
+  await assert.rejects(() => llmGateway.complete('response', request), LLMUnavailableError);
+  assert.strictEqual(llmGateway.isAvailable(), false);
+  await assert.rejects(() => llmGateway.complete('response', request), /circuit open/);
+});
+
+test('a half-open breaker lets a single trial call through', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 20 });
+  breaker.recordFailure(new Error('down'));
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  await sleep(30);
+  assert.strictEqual(breaker.allowRequest(), true);
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  breaker.recordFailure(new Error('still down'));
+  assert.strictEqual(breaker.getState().state, 'open');
+});
+
+test('unknown tasks are refused', async () => {
+  const { gateway: llmGateway } = gateway();
+  await assert.rejects(() => llmGateway.complete('poetry', request), /Unknown LLM task "poetry"/);
+});
+
+test('each task is sent with its own model settings, which a call can override', async () => {
+  const tasks = {
+    response: { model: 'big-model', maxTokens: 1024, temperature: null, timeoutMs: 30000 },
+    crisis: { model: 'small-model', maxTokens: 200, temperature: 0, timeoutMs: 15000 }
+  };
+  const { primary, gateway: llmGateway } = gateway({ tasks });
+
+  await llmGateway.complete('response', request);
+  await llmGateway.complete('crisis', request);
+  await llmGateway.complete('crisis', { ...request, maxTokens: 50 });
+
+  const sent = primary.requests.map(({ model, maxTokens, temperature, timeoutMs }) => ({ model, maxTokens, temperature, timeoutMs }));
+  assert.deepStrictEqual(sent, [tasks.response, tasks.crisis, { ...tasks.crisis, maxTokens: 50 }]);
+
+  const usage = llmGateway.getUsage();
+  assert.deepStrictEqual(Object.keys(usage).sort(), ['crisis', 'response']);
+  assert.strictEqual(usage.crisis.calls, 2);
+  assert.deepStrictEqual(usage.crisis.models, { 'small-model': 2 });
+});
+
+test('LLM_<TASK>_* settings configure one task and leave the others alone', () => {
+  const configPath = require.resolve('../../src/config');
+  const cached = require.cache[configPath];
+  process.env.LLM_CRISIS_MODEL = 'tiny-model';
+  process.env.LLM_CRISIS_TEMPERATURE = '0.5';
+  delete require.cache[configPath];
+
+  try {
+    const { tasks } = require('../../src/config').llm;
+    assert.strictEqual(tasks.crisis.model, 'tiny-model');
+    assert.strictEqual(tasks.crisis.temperature, 0.5);
+    assert.strictEqual(tasks.crisis.maxTokens, 200);
+    assert.strictEqual(tasks.response.model, null);
+  } finally {
+    delete process.env.LLM_CRISIS_MODEL;
+    delete process.env.LLM_CRISIS_TEMPERATURE;
+    require.cache[configPath] = cached;
+  }
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, sleep } = require('./helpers');
+const userLock = require('../../src/services/userLock');
+const retention = require('../../src/services/retention');
+
+test('only the owner can extend or release a lock', async () => {
+  await storage.connect();
+  assert.strictEqual(await storage.acquireLock('lock:test:owner', 'a', 60), true);
+  assert.strictEqual(await storage.acquireLock('lock:test:owner', 'b', 60), false);
+
+  assert.strictEqual(await storage.extendLock('lock:test:owner', 'b', 60), false);
+  assert.strictEqual(await storage.releaseLock('lock:test:owner', 'b'), false);
+
+  assert.strictEqual(await storage.extendLock('lock:test:owner', 'a', 60), true);
+  assert.strictEqual(await storage.releaseLock('lock:test:owner', 'a'), true);
+  assert.strictEqual(await storage.acquireLock('lock:test:owner', 'b', 60), true);
+});
+
+test('an expired owner can\'t touch the lock someone else took over', async () => {
+  assert.strictEqual(await storage.acquireLock('lock:test:expired', 'a', 0.1), true);
+  await sleep(150);
+  assert.strictEqual(await storage.acquireLock('lock:test:expired', 'b', 60), true);
+
+  assert.strictEqual(await storage.extendLock('lock:test:expired', 'a', 60), false);
+  assert.strictEqual(await storage.releaseLock('lock:test:expired', 'a'), false);
+  assert.strictEqual(await storage.acquireLock('lock:test:expired', 'c', 60), false);
+});
+
+test('a stalled holder\'s heartbeat doesn\'t keep the new owner\'s lock alive', async () => {
+  const settings = userLock.settings;
+  userLock.settings = { ...settings, ttlSeconds: 0.3 };
+  try {
+    const lock = await userLock.acquire('15559999001');
+
+    // Our lock expires (say the event loop stalled) and another instance takes it
+    await storage.releaseLock(lock.key, lock.token);
+    assert.strictEqual(await storage.acquireLock(lock.key, 'other', 0.3), true);
+
+    // The other instance dies without releasing; its lock must run out
+    await sleep(450);
+    assert.strictEqual(await storage.acquireLock(lock.key, 'next', 60), true);
+
+    await userLock.release(lock);
+    assert.strictEqual(await storage.releaseLock(lock.key, 'next'), true);
+  } finally {
+    userLock.settings = settings;
+  }
+});
+
+test('runExclusive runs one task per user at a time, in order', async () => {
+  const events = [];
+  const task = (name, ms) => async () => {
+    events.push(`${name} start`);
+    await sleep(ms);
+    events.push(`${name} end`);
+  };
+
+  await Promise.all([
+    userLock.runExclusive('15559999002', task('first', 50)),
+    sleep(5).then(() => userLock.runExclusive('15559999002', task('second', 10))),
+    userLock.runExclusive('15559999003', task('other user', 10))
+  ]);
+
+  const forUser = events.filter(event => !event.startsWith('other'));
+  assert.deepStrictEqual(forUser, ['first start', 'first end', 'second start', 'second end']);
+  assert.ok(events.indexOf('other user end') < events.indexOf('first end'));
+});
+
+test('an instance with the same pid in another container can\'t release the sweeper lock', async () => {
+  assert.strictEqual(await storage.acquireLock(retention.lockKey, retention.processId, 60), true);
+
+  assert.strictEqual(await storage.releaseLock(retention.lockKey, String(process.pid)), false);
+  assert.strictEqual(await storage.releaseLock(retention.lockKey, retention.processId), true);
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, send, sleep } = require('./helpers');
+const longTermMemory = require('../../src/services/longTermMemory');
+
+async function userWithFacts(...texts) {
+  const phoneNumber = await createUser();
+  await storage.modifyMemory(phoneNumber, memory => ({
+    ...memory,
+    facts: texts.map(text => longTermMemory.buildFact('people', text, 'user'))
+  }));
+  return phoneNumber;
+}
+
+const factTexts = async (phoneNumber) => (await storage.getMemory(phoneNumber)).facts.map(f => f.text);
+
+test('"forget it, ..." in conversation doesn\'t delete a fact that shares a word', async () => {
+  const phoneNumber = await userWithFacts('Sister\'s name is Ana', 'Training for a 5k');
+
+  const result = await send(phoneNumber, 'forget it, my sister is being so annoying today');
+
+  assert.strictEqual(result.isCommand, undefined);
+  assert.doesNotMatch(result.response, /forgotten/);
+  assert.deepStrictEqual(await factTexts(phoneNumber), ['Sister\'s name is Ana', 'Training for a 5k']);
+});
+
+test('"forget <number>" forgets that fact and it isn\'t learned again', async () => {
+  const phoneNumber = await userWithFacts('Sister\'s name is Ana', 'Training for a 5k');
+
+  const result = await send(phoneNumber, 'forget 2');
+
+  assert.strictEqual(result.isCommand, true);
+  assert.match(result.response, /forgotten that: "Training for a 5k"/);
+  assert.deepStrictEqual(await factTexts(phoneNumber), ['Sister\'s name is Ana']);
+  assert.deepStrictEqual((await storage.getMemory(phoneNumber)).forgotten, ['Training for a 5k']);
+});
+
+test('a fact can be forgotten by its exact text, quoted or not', async () => {
+  const phoneNumber = await userWithFacts('Sister\'s name is Ana', 'Training for a 5k');
+
+  assert.strictEqual((await send(phoneNumber, 'forget "training for a 5k"')).isCommand, true);
+  assert.strictEqual((await send(phoneNumber, 'forget sister\'s name is Ana.')).isCommand, true);
+  assert.deepStrictEqual(await factTexts(phoneNumber), []);
+});
+
+test('only a number or the exact text picks a fact', () => {
+  const facts = ['Sister\'s name is Ana', 'Training for a 5k'].map(text => longTermMemory.buildFact('people', text, 'user'));
+
+  assert.strictEqual(longTermMemory.findFact(facts, '1').text, 'Sister\'s name is Ana');
+  assert.strictEqual(longTermMemory.findFact(facts, '3'), null);
+  assert.strictEqual(longTermMemory.findFact(facts, '“Training for a 5k”').text, 'Training for a 5k');
+  for (const selector of ['the 5k', 'sister', 'it, my sister is annoying', '']) {
+    assert.strictEqual(longTermMemory.findFact(facts, selector), null, selector);
+  }
+});
+
+test('a summary that goes over the fact limit keeps the newly learned facts', () => {
+  const { maxFacts } = longTermMemory.settings;
+  const facts = Array.from({ length: maxFacts }, (_, i) => longTermMemory.buildFact('other', `Fact ${i + 1}`, 'user'));
+  const current = { ...storage.buildEmptyMemory(), facts };
+
+  const merged = longTermMemory.mergeUpdate(
+    current,
+    { summary: 'Started a new job.', facts: [{ category: 'work', text: 'Started a new job' }] },
+    Date.now(),
+    new Set(facts.map(f => f.id))
+  );
+
+  assert.strictEqual(merged.facts.length, maxFacts);
+  assert.strictEqual(merged.facts.at(-1).text, 'Started a new job');
+  assert.strictEqual(merged.facts[0].text, 'Fact 2');
+});
+
+test('the summarize lock is kept while a slow update runs', async () => {
+  const phoneNumber = await createUser();
+  for (let i = 0; i < longTermMemory.settings.summarizeEvery; i++) {
+    await storage.addMessage(phoneNumber, { role: 'user', content: `message ${i}` });
+  }
+
+  const { settings } = longTermMemory;
+  longTermMemory.settings = { ...settings, lockTTL: 0.3 };
+  let heldThroughout = null;
+  longTermMemory.update = async () => {
+    await sleep(700);
+    heldThroughout = !await storage.acquireLock(`summarize:lock:${phoneNumber}`, 'someone else', 60);
+    return true;
+  };
+
+  try {
+    assert.strictEqual(await longTermMemory.maybeUpdate(phoneNumber), true);
+  } finally {
+    longTermMemory.settings = settings;
+    delete longTermMemory.update;
+  }
+  assert.strictEqual(heldThroughout, true);
+});
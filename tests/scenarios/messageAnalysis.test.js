@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, send, llmCalls, scriptLlm, sleep } = require('./helpers');
+const messageAnalysis = require('../../src/services/messageAnalysis');
+
+const PROMPTS = {
+  analysis: /Analyze a text message a user sent/,
+  crisis: /evaluating a message for crisis risk/,
+  emotion: /Classify the emotional state/,
+  extraction: /Find upcoming events/
+};
+
+/**
+ * Which kinds of prompt were sent while `fn` ran, with counts
+ */
+async function promptsDuring(fn) {
+  llmCalls().length = 0;
+  await fn();
+  await sleep(20);
+
+  const counts = {};
+  for (const call of llmCalls()) {
+    const content = call.messages.at(-1).content;
+    const kind = Object.keys(PROMPTS).find(name => PROMPTS[name].test(content));
+    if (kind) counts[kind] = (counts[kind] || 0) + 1;
+  }
+  return counts;
+}
+
+test('one analysis call covers emotion, crisis risk and events', async () => {
+  const phoneNumber = await createUser();
+  const unscript = scriptLlm('Analyze a text message a user sent.*dinner with my mum', {
+    emotion: 'happy',
+    valence: 0.7,
+    arousal: 0.4,
+    crisis: { level: 'low', reasoning: 'looking forward to it', recommend_resources: false, follow_up_hours: null },
+    events: []
+  });
+
+  try {
+    const prompts = await promptsDuring(() => send(phoneNumber, 'having dinner with my mum tomorrow at 7pm!'));
+    assert.deepStrictEqual(prompts, { analysis: 1 });
+  } finally {
+    unscript();
+  }
+
+  const user = await storage.getUser(phoneNumber);
+  assert.strictEqual(user.emotionalState.current, 'happy');
+  assert.strictEqual(user.emotionalState.history.at(-1).valence, 0.7);
+});
+
+test('if the analysis fails, crisis risk and emotion are still checked on their own', async () => {
+  const phoneNumber = await createUser();
+  const unscript = scriptLlm('Analyze a text message a user sent', 'sorry, I can\'t help with that');
+
+  try {
+    const prompts = await promptsDuring(() => send(phoneNumber, 'long day at work'));
+    assert.deepStrictEqual(prompts, { analysis: 1, crisis: 1, emotion: 1 });
+  } finally {
+    unscript();
+  }
+});
+
+test('analysis output is checked and kept within range', () => {
+  const analysis = messageAnalysis.normalize({
+    emotion: 'Flabbergasted',
+    valence: -4,
+    arousal: 2,
+    crisis: { level: 'medium', follow_up_hours: 0 },
+    events: [{ description: 'Exam', date: '2026-05-01', time: '9am' }, { description: 'Someday' }]
+  }, true);
+
+  assert.strictEqual(analysis.emotion, 'neutral');
+  assert.strictEqual(analysis.valence, -1);
+  assert.strictEqual(analysis.arousal, 1);
+  assert.deepStrictEqual(analysis.crisis, { level: 'medium', reasoning: null, recommend_resources: false, follow_up_hours: null });
+  assert.deepStrictEqual(analysis.events, [{ description: 'Exam', date: '2026-05-01', time: null }]);
+
+  assert.strictEqual(messageAnalysis.normalize({ emotion: 'sad', crisis: { level: 'unsure' } }, false), null);
+  assert.strictEqual(messageAnalysis.normalize({ emotion: 'sad', crisis: { level: 'low' } }, false).events, null);
+});
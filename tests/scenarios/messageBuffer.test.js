@@ -0,0 +1,71 @@
+process.env.MESSAGE_DEBOUNCE_MS = '100';
+process.env.MESSAGE_MAX_WAIT_MS = '1000';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, outbox, createUser, sleep } = require('./helpers');
+const messageHandler = require('../../src/handlers/messageHandler');
+const journaling = require('../../src/services/journaling');
+
+const text = (phoneNumber, content) => messageHandler.handleMessage({ phoneNumber, content });
+const sentTo = (phoneNumber) => outbox.filter(message => message.phoneNumber === phoneNumber);
+
+test('a burst of texts gets one reply to all of them', async () => {
+  const phoneNumber = await createUser();
+
+  await text(phoneNumber, 'hey');
+  await text(phoneNumber, 'so today was weird');
+  await text(phoneNumber, 'my manager moved my deadline up');
+  assert.strictEqual(sentTo(phoneNumber).length, 0);
+
+  await sleep(250);
+  assert.strictEqual(sentTo(phoneNumber).length, 1);
+
+  const history = await storage.getConversationHistory(phoneNumber);
+  const userTurns = history.filter(message => message.role === 'user');
+  assert.strictEqual(userTurns.length, 1);
+  assert.strictEqual(userTurns[0].content, 'hey\nso today was weird\nmy manager moved my deadline up');
+});
+
+test('commands in a burst are answered on their own, in order', async () => {
+  const phoneNumber = await createUser();
+
+  await text(phoneNumber, 'long day');
+  await text(phoneNumber, 'mood 4');
+  await text(phoneNumber, 'still thinking about that meeting');
+  await sleep(250);
+
+  const replies = sentTo(phoneNumber);
+  assert.strictEqual(replies.length, 2);
+  assert.match(replies[0].text, /4\/10|noted/i);
+
+  const userTurns = (await storage.getConversationHistory(phoneNumber)).filter(message => message.role === 'user');
+  assert.strictEqual(userTurns.at(-1).content, 'long day\nstill thinking about that meeting');
+});
+
+test('a crisis message is answered without waiting for the burst to end', async () => {
+  const phoneNumber = await createUser();
+
+  await text(phoneNumber, 'i want to die');
+  assert.strictEqual(sentTo(phoneNumber).length, 1);
+  assert.match(sentTo(phoneNumber)[0].text, /988/);
+});
+
+test('one message failing doesn\'t lose the rest of the burst', async () => {
+  const phoneNumber = await createUser();
+  const saveJournalEntry = journaling.saveJournalEntry;
+  journaling.saveJournalEntry = async () => { throw new Error('storage hiccup'); };
+
+  try {
+    await text(phoneNumber, 'j: rough morning');
+    await text(phoneNumber, 'anyway');
+    await text(phoneNumber, 'how are you');
+    await sleep(250);
+  } finally {
+    journaling.saveJournalEntry = saveJournalEntry;
+  }
+
+  assert.strictEqual(sentTo(phoneNumber).length, 1);
+  const userTurns = (await storage.getConversationHistory(phoneNumber)).filter(message => message.role === 'user');
+  assert.strictEqual(userTurns.at(-1).content, 'anyway\nhow are you');
+});
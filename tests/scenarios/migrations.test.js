@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const MemoryStorage = require('../../src/services/storage/memoryStorage');
+const RedisStorage = require('../../src/services/storage/redisStorage');
+const FakeRedis = require('./fakeRedis');
+const { getCurrentVersion, migrateRecord } = require('../../src/services/storage/migrations');
+
+const PHONE = '15550006001';
+
+// A user record from before schema versions, with since-dropped fields
+const legacyUser = () => ({
+  phoneNumber: PHONE,
+  name: 'Sam',
+  preferences: { frequency: 'daily', topics: ['sleep'] },
+  profile: { age: 30 },
+  stats: { messageCount: 12 }
+});
+
+test('an old record gets each pending migration in order, and a current one is left alone', () => {
+  const { record, migrated } = migrateRecord('user', legacyUser());
+
+  assert.strictEqual(migrated, true);
+  assert.strictEqual(record.schemaVersion, getCurrentVersion('user'));
+  assert.strictEqual(record.profile, undefined);
+  assert.deepStrictEqual(record.preferences, { checkInTime: null, topics: ['sleep'] });
+  assert.strictEqual(record.stats.messageCount, 12);
+  assert.deepStrictEqual(record.moodCheckIn, { sentAt: null, answeredAt: null });
+
+  assert.deepStrictEqual(migrateRecord('user', record), { record, migrated: false });
+});
+
+test('old records are upgraded when read and saved upgraded', async () => {
+  const storage = new MemoryStorage();
+  await storage.connect();
+  storage.write(`user:${PHONE}`, legacyUser());
+  storage.write(`scheduled:${PHONE}`, { nextCheckIn: 5 });
+
+  assert.strictEqual((await storage.getUser(PHONE)).exercises.active, null);
+  assert.deepStrictEqual((await storage.getSchedule(PHONE)).followUps, []);
+  assert.strictEqual(storage.read(`user:${PHONE}`).schemaVersion, getCurrentVersion('user'));
+  assert.strictEqual(storage.read(`scheduled:${PHONE}`).schemaVersion, getCurrentVersion('schedule'));
+});
+
+test('the bulk migration upgrades everything once', async () => {
+  const storage = new MemoryStorage();
+  await storage.connect();
+  storage.write(`user:${PHONE}`, legacyUser());
+  storage.write(`scheduled:${PHONE}`, { nextCheckIn: 5 });
+
+  assert.deepStrictEqual(await storage.migrateAllRecords(), {
+    users: 1,
+    migrated: { user: 1, schedule: 1, journal: 0, memory: 0 }
+  });
+  assert.deepStrictEqual((await storage.migrateAllRecords()).migrated, { user: 0, schedule: 0, journal: 0, memory: 0 });
+});
+
+test('in Redis, an upgraded record is written back unless it changed in the meantime', async () => {
+  const storage = new RedisStorage();
+  storage.client = new FakeRedis();
+  await storage.client.set(`user:${PHONE}`, JSON.stringify(legacyUser()));
+
+  await storage.getUser(PHONE);
+  const stored = JSON.parse(await storage.client.get(`user:${PHONE}`));
+  assert.strictEqual(stored.schemaVersion, getCurrentVersion('user'));
+
+  const raw = JSON.stringify(legacyUser());
+  await storage.client.set(`user:${PHONE}`, JSON.stringify({ ...legacyUser(), name: 'Newer' }));
+  assert.strictEqual(await storage.writeBackIfUnchanged(`user:${PHONE}`, raw, JSON.stringify(stored)), false);
+  assert.strictEqual(JSON.parse(await storage.client.get(`user:${PHONE}`)).name, 'Newer');
+});
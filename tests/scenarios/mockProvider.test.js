@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+const MockProvider = require('../../src/services/llm/mockProvider');
+
+/**
+ * Write a mock script to a temp file for the duration of `fn`
+ */
+async function withScript(rules, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-script-'));
+  const scriptPath = path.join(dir, 'script.json');
+  fs.writeFileSync(scriptPath, JSON.stringify(rules));
+  try {
+    return await fn(scriptPath);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const ask = (provider, content) => provider.complete({ messages: [{ role: 'user', content }] });
+
+test('the same prompt always gets the same canned answer, and every request is kept', async () => {
+  const provider = new MockProvider(null);
+
+  const first = await ask(provider, 'Classify the emotional state of this message');
+  const second = await ask(provider, 'Classify the emotional state of this message');
+
+  assert.strictEqual(first.text, 'neutral');
+  assert.deepStrictEqual(second, first);
+  assert.strictEqual(provider.calls.length, 2);
+  assert.ok(first.usage.inputTokens > 0);
+});
+
+test('script rules come before the defaults and fill in capture groups, in JSON too', async () => {
+  const rules = [
+    { match: 'Classify the emotional state', response: 'anxious' },
+    { match: 'my name is (\\w+)', response: { greeting: 'Hi $1!' } }
+  ];
+
+  await withScript(rules, async (scriptPath) => {
+    const provider = new MockProvider(scriptPath);
+    assert.strictEqual((await ask(provider, 'Classify the emotional state of this')).text, 'anxious');
+    assert.deepStrictEqual(JSON.parse((await ask(provider, 'hey, MY NAME IS Robin')).text), { greeting: 'Hi Robin!' });
+    assert.match((await ask(provider, 'anything else')).text, /I hear you/);
+  });
+});
+
+test('a script that isn\'t a list of rules is refused', async () => {
+  await withScript({ match: '.*', response: 'x' }, async (scriptPath) => {
+    assert.throws(() => new MockProvider(scriptPath), /must be a JSON array/);
+  });
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser } = require('./helpers');
+const moodTracking = require('../../src/services/moodTracking');
+
+test('ratings are read from the ways people actually reply', () => {
+  const cases = {
+    '7': { score: 7, word: null },
+    '7/10': { score: 7, word: null },
+    'about a 6': { score: 6, word: null },
+    'i\'m a 4 today': { score: 4, word: 'today' },
+    'I’m a 4': { score: 4, word: null },
+    'mood: 8 - pretty good!': { score: 8, word: 'pretty good' },
+    '3 out of 10, exhausted': { score: 3, word: 'exhausted' },
+    'tired, 4': { score: 4, word: 'tired' },
+    'meh 5/10': { score: 5, word: 'meh' },
+    '10 😊': { score: 10, word: null }
+  };
+  for (const [message, rating] of Object.entries(cases)) {
+    assert.deepStrictEqual(moodTracking.parseRating(message), rating, message);
+  }
+});
+
+test('numbers that aren\'t ratings are left alone', () => {
+  for (const message of ['5 minutes ago', '0', '11', '2 more things to do', 'i have 3 exams this week', 'call me at 7pm', 'hey']) {
+    assert.strictEqual(moodTracking.parseRating(message), null, message);
+  }
+});
+
+test('a check-in reply only counts within the reply window', () => {
+  const now = Date.now();
+  const hours = moodTracking.settings.replyWindowHours;
+
+  assert.strictEqual(moodTracking.isAwaitingReply({ moodCheckIn: { sentAt: now - 60 * 1000 } }, now), true);
+  assert.strictEqual(moodTracking.isAwaitingReply({ moodCheckIn: { sentAt: now - (hours + 1) * 60 * 60 * 1000 } }, now), false);
+  assert.strictEqual(moodTracking.isAwaitingReply({ moodCheckIn: { sentAt: now - 1000, answeredAt: now } }, now), false);
+  assert.strictEqual(moodTracking.isAwaitingReply({}, now), false);
+});
+
+test('ratings are averaged per day and per week', async () => {
+  const phoneNumber = await createUser();
+  for (const [score, word] of [[4, 'tired'], [8, null], [6, 'tired']]) {
+    await moodTracking.record(phoneNumber, { score, word, source: 'command' });
+  }
+
+  const { daily, weekly } = await moodTracking.getSummary(phoneNumber);
+  assert.strictEqual(daily.length, 1);
+  assert.deepStrictEqual(
+    { average: daily[0].average, min: daily[0].min, max: daily[0].max, count: daily[0].count, words: daily[0].words },
+    { average: 6, min: 4, max: 8, count: 3, words: ['tired'] }
+  );
+  assert.strictEqual(weekly.at(-1).average, 6);
+
+  const trend = await moodTracking.getWeekTrend(phoneNumber);
+  assert.strictEqual(trend.thisWeek, 6);
+  assert.strictEqual(trend.lastWeek, null);
+
+  assert.strictEqual((await storage.getMoodEntries(phoneNumber)).length, 3);
+});
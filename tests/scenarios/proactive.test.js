@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, outbox, createUser, send } = require('./helpers');
+const proactiveMessaging = require('../../src/services/proactiveMessaging');
+
+test('a scheduled morning check-in asks for a rating and links the reply to it', async () => {
+  const phoneNumber = await createUser();
+  const now = Date.now();
+  await storage.setSchedule(phoneNumber, { nextCheckIn: now - 1000, nextJournalPrompt: null, followUps: [] });
+
+  await proactiveMessaging.processUserSchedule(phoneNumber, now);
+
+  const sent = outbox.filter(m => m.phoneNumber === phoneNumber);
+  assert.strictEqual(sent.length, 1);
+  assert.match(sent[0].text, /1-10|1 \(rough\) to 10/);
+  assert.ok((await storage.getUser(phoneNumber)).moodCheckIn.sentAt);
+  assert.ok((await storage.getSchedule(phoneNumber)).nextCheckIn > now);
+
+  const reply = await send(phoneNumber, '6 tired');
+  assert.strictEqual(reply.isMoodRating, true);
+  const entries = await storage.getMoodEntries(phoneNumber);
+  assert.deepStrictEqual(entries.map(e => [e.score, e.word, e.source]), [[6, 'tired', 'check-in']]);
+});
+
+/**
+ * Run `during` while processUserSchedule is sending, like a message
+ * handled by another instance in the meantime
+ */
+async function processWhile(phoneNumber, now, during) {
+  const original = proactiveMessaging.sendProactiveMessage;
+  proactiveMessaging.sendProactiveMessage = async (...args) => {
+    await during();
+    return original.apply(proactiveMessaging, args);
+  };
+  try {
+    await proactiveMessaging.processUserSchedule(phoneNumber, now);
+  } finally {
+    proactiveMessaging.sendProactiveMessage = original;
+  }
+}
+
+test('a follow-up scheduled while check-ins are sending is kept', async () => {
+  const phoneNumber = await createUser();
+  const now = Date.now();
+  await storage.setSchedule(phoneNumber, {
+    nextCheckIn: null,
+    nextJournalPrompt: null,
+    followUps: [{ type: 'crisis_followup', time: now - 1000, context: {} }]
+  });
+
+  await processWhile(phoneNumber, now, () =>
+    storage.addFollowUp(phoneNumber, { type: 'crisis_followup', time: now + 60 * 60 * 1000, context: {} }));
+
+  const { followUps } = await storage.getSchedule(phoneNumber);
+  assert.deepStrictEqual(followUps.map(f => f.time), [now + 60 * 60 * 1000]);
+});
+
+test('"stop" while a check-in is sending isn\'t undone', async () => {
+  const phoneNumber = await createUser();
+  const now = Date.now();
+  await storage.setSchedule(phoneNumber, { nextCheckIn: now - 1000, nextJournalPrompt: null, followUps: [] });
+
+  await processWhile(phoneNumber, now, () => send(phoneNumber, 'stop'));
+
+  assert.strictEqual((await storage.getSchedule(phoneNumber)).nextCheckIn, null);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, send, llmCalls } = require('./helpers');
+const promptBuilder = require('../../src/services/promptBuilder');
+
+const PHONE = '15550005001';
+const words = (count, word = 'word') => Array(count).fill(word).join(' ');
+const history = (count, content) => Array.from({ length: count }, (_, i) => ({
+  role: i % 2 ? 'assistant' : 'user',
+  content: `${i}: ${content}`
+}));
+
+/**
+ * Build with a smaller budget than the configured one
+ */
+function buildWith(budget, request) {
+  const configured = promptBuilder.budget;
+  promptBuilder.budget = { ...configured, ...budget };
+  try {
+    return promptBuilder.build(PHONE, { context: {}, ...request });
+  } finally {
+    promptBuilder.budget = configured;
+  }
+}
+
+test('the newest history that fits is kept, and the whole prompt stays within budget', () => {
+  const { history: kept, breakdown } = buildWith(
+    { maxInputTokens: 3000 },
+    { history: history(40, words(100)), userMessage: 'hello' }
+  );
+
+  assert.ok(breakdown.totalTokens <= 3000);
+  assert.ok(breakdown.droppedMessages > 0);
+  assert.strictEqual(kept.length + breakdown.droppedMessages, 40);
+  assert.match(kept.at(-1).content, /^39: /);
+  assert.match(kept[0].content, new RegExp(`^${40 - kept.length}: `));
+});
+
+test('overlong messages are shortened rather than crowding out the rest', () => {
+  const { history: kept, userMessage, breakdown } = buildWith(
+    { maxHistoryMessageTokens: 50, maxCurrentMessageTokens: 100 },
+    { history: history(3, words(500)), userMessage: words(1000, 'long') }
+  );
+
+  assert.strictEqual(kept.length, 3);
+  assert.strictEqual(breakdown.truncatedMessages, 3);
+  assert.ok(kept.every(m => m.content.length <= 200 && m.content.endsWith('...')));
+  assert.strictEqual(breakdown.currentMessageTruncated, true);
+  assert.ok(userMessage.length <= 400);
+});
+
+test('memory over its share loses events, then facts, then summary length', () => {
+  const context = {
+    memorySummary: words(100, 'summary'),
+    memoryFacts: ['Has a dog called Biscuit', 'Works nights'],
+    upcomingEvents: ['Dentist (Mon Mar 02 2026)']
+  };
+
+  const roomy = promptBuilder.fitMemory(context, 1000);
+  assert.deepStrictEqual(roomy, context);
+
+  const tight = promptBuilder.fitMemory(context, 200);
+  assert.deepStrictEqual(tight.upcomingEvents, []);
+  assert.deepStrictEqual(tight.memoryFacts, []);
+  assert.ok(promptBuilder.estimateTokens(tight.memorySummary) <= 200);
+  assert.deepStrictEqual(context.memoryFacts, ['Has a dog called Biscuit', 'Works nights']);
+});
+
+test('a reply to a user with long history is sent within the input budget', async () => {
+  const phoneNumber = await createUser();
+  for (const message of history(storage.maxStoredMessages, words(1500))) {
+    await storage.addMessage(phoneNumber, message);
+  }
+
+  await send(phoneNumber, 'anyway, how was your day');
+
+  const request = llmCalls().findLast(call => call.system && call.messages.at(-1).content === 'anyway, how was your day');
+  assert.ok(request, 'no response request was made');
+  const tokens = promptBuilder.estimateTokens(request.system) +
+    request.messages.reduce((sum, m) => sum + promptBuilder.estimateTokens(m.content) + 4, 0);
+  assert.ok(tokens <= promptBuilder.budget.maxInputTokens, `${tokens} tokens`);
+  assert.ok(request.messages.length > 1);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const RedisStorage = require('../../src/services/storage/redisStorage');
+const FakeRedis = require('./fakeRedis');
+
+function redisStorage() {
+  const storage = new RedisStorage();
+  storage.client = new FakeRedis();
+  return storage;
+}
+
+test('concurrent user updates don\'t lose each other\'s changes', async () => {
+  const storage = redisStorage();
+  const phone = '15550009003';
+  await storage.createUser(phone);
+
+  await Promise.all(Array.from({ length: 4 }, () =>
+    storage.incrementUserStats(phone, { messageCount: 1 })));
+  await Promise.all([
+    storage.updateUser(phone, { name: 'Sam' }),
+    storage.modifyUser(phone, user => ({ ...user, preferences: { ...user.preferences, weeklyRecap: true } }))
+  ]);
+
+  const user = await storage.getUser(phone);
+  assert.strictEqual(user.stats.messageCount, 4);
+  assert.strictEqual(user.name, 'Sam');
+  assert.strictEqual(user.preferences.weeklyRecap, true);
+});
+
+test('concurrent follow-ups are all kept in the schedule', async () => {
+  const storage = redisStorage();
+  const phone = '15550009001';
+  await storage.setSchedule(phone, { nextCheckIn: 1, nextJournalPrompt: 2, followUps: [] });
+
+  await Promise.all([1, 2, 3, 4].map(hour =>
+    storage.addFollowUp(phone, { type: 'check_in', time: hour * 60 * 60 * 1000, context: {} })));
+
+  const schedule = await storage.getSchedule(phone);
+  assert.deepStrictEqual(schedule.followUps.map(f => f.time).sort((a, b) => a - b), [1, 2, 3, 4].map(hour => hour * 60 * 60 * 1000));
+  assert.strictEqual(schedule.nextCheckIn, 1);
+  assert.deepStrictEqual(await storage.getAllScheduledUsers(), [phone]);
+});
+
+test('journal entries saved at the same time are all kept', async () => {
+  const storage = redisStorage();
+  const phone = '15550009002';
+
+  await Promise.all(['first', 'second', 'third'].map(content =>
+    storage.addJournalEntry(phone, { content })));
+
+  const [day] = await storage.getJournalEntries(phone, 1);
+  assert.deepStrictEqual(day.entries.map(e => e.content).sort(), ['first', 'second', 'third']);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const RedisStorage = require('../../src/services/storage/redisStorage');
+const FakeRedis = require('./fakeRedis');
+
+const PHONE = '15550007001';
+
+async function storageWithData() {
+  const storage = new RedisStorage();
+  storage.client = new FakeRedis();
+
+  await storage.setSchedule(PHONE, { nextCheckIn: 1, nextJournalPrompt: 2, followUps: [] });
+  await storage.addJournalEntry(PHONE, { content: 'wrote something' });
+  await storage.logCrisis(PHONE, { message: 'a hard night', level: 'high' });
+  return storage;
+}
+
+async function readAll(storage) {
+  return {
+    scheduled: await storage.getAllScheduledUsers(),
+    journal: (await storage.getJournalEntries(PHONE, 1)).map(day => day.entries.length),
+    crisis: (await storage.getCrisisLogs(PHONE)).map(log => log.message)
+  };
+}
+
+const scans = (storage) => storage.client.commands.filter(([name]) => name === 'scan');
+
+test('schedules, journals and crisis logs are read through their indexes, without scanning keys', async () => {
+  const storage = await storageWithData();
+  storage.client.commands = [];
+
+  assert.deepStrictEqual(await readAll(storage), { scheduled: [PHONE], journal: [1], crisis: ['a hard night'] });
+  assert.deepStrictEqual(scans(storage), []);
+});
+
+test('data written before the indexes is still read, and the backfill indexes it', async () => {
+  const storage = await storageWithData();
+  for (const key of [storage.scheduledIndexKey(), storage.journalIndexKey(PHONE), storage.crisisIndexKey(PHONE), storage.crisisIndexKey()]) {
+    await storage.client.del(key);
+  }
+
+  assert.deepStrictEqual(await readAll(storage), { scheduled: [PHONE], journal: [1], crisis: ['a hard night'] });
+
+  assert.deepStrictEqual(await storage.backfillIndexes(), { scheduled: 1, journal: 1, crisis: 1 });
+  storage.client.commands = [];
+  assert.deepStrictEqual(await readAll(storage), { scheduled: [PHONE], journal: [1], crisis: ['a hard night'] });
+  assert.deepStrictEqual(scans(storage), []);
+});
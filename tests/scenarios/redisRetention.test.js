@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// No age limit on journals, crisis logs, moods or the archive
+process.env.RETENTION_JOURNAL_DAYS = '0';
+process.env.RETENTION_CRISIS_DAYS = '0';
+process.env.RETENTION_MOOD_DAYS = '0';
+process.env.RETENTION_ARCHIVE_DAYS = '0';
+
+require('./helpers');
+const RedisStorage = require('../../src/services/storage/redisStorage');
+const FakeRedis = require('./fakeRedis');
+
+function redisStorage() {
+  const storage = new RedisStorage();
+  storage.client = new FakeRedis();
+  return storage;
+}
+
+test('with no age limit, records are saved without an expiry and indexes keep them', async () => {
+  const storage = redisStorage();
+  const phone = '15550008001';
+
+  await storage.addJournalEntry(phone, { content: 'a quiet day' });
+  await storage.logCrisis(phone, { message: 'a hard night', level: 'high' });
+  await storage.addMoodEntry(phone, { rating: 3 });
+  for (let i = 0; i < storage.maxStoredMessages + 2; i++) {
+    await storage.addMessage(phone, { role: 'user', content: `message ${i}` });
+  }
+
+  const { commands } = storage.client;
+  assert.deepStrictEqual(commands.filter(([name]) => name === 'expire'), []);
+  assert.deepStrictEqual(commands.filter(([name]) => name === 'zRemRangeByScore'), []);
+  assert.ok(commands.filter(([name]) => name === 'set').every(([, , , options]) => options.EX === undefined));
+
+  assert.strictEqual((await storage.getJournalEntries(phone, 1)).length, 1);
+  assert.strictEqual((await storage.getCrisisLogs(phone)).length, 1);
+  assert.strictEqual((await storage.getMoodEntries(phone)).length, 1);
+  assert.strictEqual((await storage.getArchivedMessages(phone)).messages.length, 2);
+});
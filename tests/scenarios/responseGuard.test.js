@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, send, llmCalls, scriptLlm } = require('./helpers');
+const responseGuard = require('../../src/services/responseGuard');
+const { getSafeReply } = require('../../src/prompts/guardPrompt');
+
+const PHONE = '15550004001';
+const rulesBroken = async (text) => (await responseGuard.check(text, 'hi')).map(v => v.rule);
+
+test('replies that dose medication or diagnose are caught, however the apostrophes are typed', async () => {
+  assert.deepStrictEqual(await rulesBroken('Maybe try 50mg of something before bed.'), ['medicationDosing']);
+  assert.deepStrictEqual(await rulesBroken('Honestly it sounds like you’ve got bipolar.'), ['diagnosticLabels']);
+  assert.deepStrictEqual(await rulesBroken('That sounds exhausting. What helped last time?'), []);
+});
+
+test('a broken reply is rewritten once, and the rewrite sent if it passes', async () => {
+  const feedback = [];
+  const text = await responseGuard.review(PHONE, 'i cant sleep', 'You should take some melatonin tonight.', {
+    regenerate: async (guardFeedback) => {
+      feedback.push(guardFeedback);
+      return 'That sounds rough. What usually goes through your head at night?';
+    }
+  });
+
+  assert.strictEqual(text, 'That sounds rough. What usually goes through your head at night?');
+  assert.match(feedback[0], /medication/);
+  const [entry] = await storage.getGuardLogs(PHONE, 1);
+  assert.deepStrictEqual([entry.action, entry.regenerations, entry.rules], ['regenerated', 1, ['medicationDosing']]);
+});
+
+test('a reply still broken after rewriting loses the offending sentence, or is replaced', async () => {
+  const stillBad = async () => 'I hear you. You should take some melatonin tonight. What else is going on?';
+  const softened = await responseGuard.review(PHONE, 'i cant sleep', 'Just take some xanax.', { regenerate: stillBad });
+  assert.strictEqual(softened, 'I hear you. What else is going on?');
+
+  const replaced = await responseGuard.review(PHONE, 'i cant sleep', 'Just take some xanax.', { regenerate: async () => null });
+  assert.strictEqual(replaced, getSafeReply());
+});
+
+test('the reply that is sent and saved is the checked one, with the rewrite asked for in the prompt', async () => {
+  const phoneNumber = await createUser();
+  const unscript = scriptLlm('^i cant sleep at all$', "I'm sorry sleep is so hard right now. You should take some melatonin tonight. Want to talk about what's keeping you up?");
+
+  llmCalls().length = 0;
+  let result;
+  try {
+    result = await send(phoneNumber, 'i cant sleep at all');
+  } finally {
+    unscript();
+  }
+
+  assert.doesNotMatch(result.response, /melatonin/);
+  assert.match(result.response, /keeping you up/);
+  const history = await storage.getConversationHistory(phoneNumber, 2);
+  assert.strictEqual(history.at(-1).content, result.response);
+  assert.ok(llmCalls().some(call => /Your last draft was not sent/.test(call.system || '')));
+
+  const [entry] = await storage.getGuardLogs(phoneNumber, 1);
+  assert.strictEqual(entry.action, 'softened');
+  assert.match(entry.original, /melatonin/);
+});
@@ -0,0 +1,66 @@
+process.env.RETENTION_JOURNAL_DAYS = '0';
+process.env.RETENTION_CRISIS_DAYS = '30';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, createUser, sleep } = require('./helpers');
+const config = require('../../src/config');
+const retention = require('../../src/services/retention');
+
+/**
+ * Sweep with a short lock and a slow sweepUser; `onUser(count)` runs
+ * before each user is swept
+ */
+async function slowSweep(onUser) {
+  const { lockTTL, sweepUser } = retention;
+  let count = 0;
+  retention.lockTTL = 0.3;
+  retention.sweepUser = async (...args) => {
+    await onUser(++count);
+    await sleep(120);
+    return sweepUser.apply(retention, args);
+  };
+
+  try {
+    return { totals: await retention.sweep(), count };
+  } finally {
+    retention.lockTTL = lockTTL;
+    retention.sweepUser = sweepUser;
+  }
+}
+
+test('a retention period of 0 is kept as "no limit", not replaced by the default', () => {
+  assert.strictEqual(config.retention.journalDays, 0);
+  assert.strictEqual(config.retention.crisisDays, 30);
+
+  assert.strictEqual(retention.getEffectivePolicy({}).journalDays, 0);
+  assert.strictEqual(retention.getEffectivePolicy({ preferences: { retentionDays: 7 } }).journalDays, 7);
+});
+
+test('a long sweep keeps its lock', async () => {
+  for (let i = 0; i < 4; i++) await createUser();
+  const users = (await storage.getAllUserPhoneNumbers()).length;
+
+  let stolen = false;
+  const { totals, count } = await slowSweep(async (n) => {
+    if (n === users) stolen = await storage.acquireLock(retention.lockKey, 'other', 60);
+  });
+
+  assert.strictEqual(stolen, false);
+  assert.strictEqual(count, users);
+  assert.strictEqual(totals.users, users);
+});
+
+test('a sweep stops once another instance has taken its lock', async () => {
+  const { totals, count } = await slowSweep(async (n) => {
+    if (n === 1) {
+      // Our lock expired (say the event loop stalled) and someone else took it
+      await storage.releaseLock(retention.lockKey, retention.processId);
+      await storage.acquireLock(retention.lockKey, 'other', 60);
+    }
+  });
+
+  assert.strictEqual(totals, null);
+  assert.ok(count >= 1 && count < (await storage.getAllUserPhoneNumbers()).length);
+  assert.strictEqual(await storage.releaseLock(retention.lockKey, 'other'), true);
+});
@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sleep } = require('./helpers');
+const MemoryStorage = require('../../src/services/storage/memoryStorage');
+const RedisStorage = require('../../src/services/storage/redisStorage');
+const FakeRedis = require('./fakeRedis');
+
+const PHONE = '15550001234';
+
+async function freshStorage() {
+  const storage = new MemoryStorage();
+  await storage.connect();
+  return storage;
+}
+
+test('reads hand out copies, so callers can\'t change stored data by accident', async () => {
+  const storage = await freshStorage();
+  const user = await storage.getOrCreateUser(PHONE);
+  user.name = 'Changed';
+  user.stats.messageCount = 99;
+
+  const stored = await storage.getUser(PHONE);
+  assert.strictEqual(stored.name, null);
+  assert.strictEqual(stored.stats.messageCount, 0);
+});
+
+test('concurrent user updates don\'t lose each other\'s changes', async () => {
+  const storage = await freshStorage();
+  await storage.createUser(PHONE);
+
+  await Promise.all(Array.from({ length: 20 }, () =>
+    storage.incrementUserStats(PHONE, { messageCount: 1 })));
+  await Promise.all([
+    storage.updateUser(PHONE, { name: 'Sam' }),
+    storage.modifyUser(PHONE, user => ({ ...user, preferences: { ...user.preferences, weeklyRecap: true } }))
+  ]);
+
+  const user = await storage.getUser(PHONE);
+  assert.strictEqual(user.stats.messageCount, 20);
+  assert.strictEqual(user.name, 'Sam');
+  assert.strictEqual(user.preferences.weeklyRecap, true);
+});
+
+test('messages beyond the recent window move to the archive', async () => {
+  const storage = await freshStorage();
+  const total = storage.maxStoredMessages + 3;
+  for (let i = 0; i < total; i++) {
+    await storage.addMessage(PHONE, { role: 'user', content: `message ${i}` });
+  }
+
+  const recent = await storage.getConversationHistory(PHONE, total);
+  assert.strictEqual(recent.length, storage.maxStoredMessages);
+  assert.strictEqual(recent[0].content, 'message 3');
+
+  const archived = await storage.getArchivedMessages(PHONE);
+  assert.deepStrictEqual(archived.messages.map(m => m.content), ['message 0', 'message 1', 'message 2']);
+});
+
+for (const backend of ['memory', 'redis']) {
+  test(`archive pages don't repeat or skip messages that share a timestamp (${backend})`, async () => {
+    let storage;
+    if (backend === 'redis') {
+      storage = new RedisStorage();
+      storage.client = new FakeRedis();
+    } else {
+      storage = await freshStorage();
+    }
+
+    const realNow = Date.now;
+    const timestamp = realNow();
+    Date.now = () => timestamp;
+    try {
+      for (let i = 0; i < storage.maxStoredMessages + 5; i++) {
+        await storage.addMessage(PHONE, { role: 'user', content: `message ${i}` });
+      }
+    } finally {
+      Date.now = realNow;
+    }
+
+    const paged = [];
+    let cursor = { from: 0, skip: 0 };
+    while (cursor) {
+      const page = await storage.getArchivedMessages(PHONE, { ...cursor, limit: 2 });
+      paged.push(...page.messages.map(m => m.content));
+      cursor = page.next;
+    }
+    assert.deepStrictEqual(paged, ['message 0', 'message 1', 'message 2', 'message 3', 'message 4']);
+
+    const range = await storage.getConversationRange(PHONE);
+    assert.strictEqual(range.length, 5 + storage.maxStoredMessages);
+  });
+}
+
+test('the message queue drains oldest first and empties', async () => {
+  const storage = await freshStorage();
+  await storage.enqueueMessage(PHONE, { id: 'a', content: 'one' });
+  await storage.enqueueMessage(PHONE, { id: 'b', content: 'two' });
+
+  assert.deepStrictEqual((await storage.drainQueue(PHONE)).map(m => m.id), ['a', 'b']);
+  assert.deepStrictEqual(await storage.getQueuedMessages(PHONE), []);
+});
+
+test('short-lived keys expire', async () => {
+  const storage = await freshStorage();
+  await storage.setIdempotency('msg-1', 0.05);
+  assert.strictEqual(await storage.checkIdempotency('msg-1'), true);
+
+  await sleep(70);
+  assert.strictEqual(await storage.checkIdempotency('msg-1'), false);
+});
+
+test('deleting a user removes all of their data and nobody else\'s', async () => {
+  const storage = await freshStorage();
+  const other = '15550005678';
+  for (const phoneNumber of [PHONE, other]) {
+    await storage.createUser(phoneNumber);
+    await storage.addMessage(phoneNumber, { role: 'user', content: 'hi' });
+    await storage.addJournalEntry(phoneNumber, { content: 'dear diary' });
+    await storage.logCrisis(phoneNumber, { message: 'hard day' });
+    await storage.addMoodEntry(phoneNumber, { rating: 5 });
+  }
+
+  await storage.deleteUserData(PHONE);
+
+  assert.strictEqual(await storage.getUser(PHONE), null);
+  assert.deepStrictEqual(await storage.getConversationHistory(PHONE), []);
+  assert.deepStrictEqual(await storage.getJournalEntries(PHONE), []);
+  assert.deepStrictEqual(await storage.getCrisisLogs(PHONE), []);
+  assert.deepStrictEqual(await storage.getMoodEntries(PHONE), []);
+
+  assert.ok(await storage.getUser(other));
+  assert.strictEqual((await storage.getConversationHistory(other)).length, 1);
+  assert.strictEqual((await storage.getJournalEntries(other)).length, 1);
+  assert.strictEqual((await storage.getCrisisLogs(other)).length, 1);
+  assert.strictEqual((await storage.getMoodEntries(other)).length, 1);
+});
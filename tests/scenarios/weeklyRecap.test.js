@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { storage, outbox, createUser, send, llmCalls } = require('./helpers');
+const weeklyRecap = require('../../src/services/weeklyRecap');
+const { getEmptyWeekText } = require('../../src/prompts/recapPrompt');
+
+const recapPrompts = () => llmCalls()
+  .map(call => call.messages[0].content)
+  .filter(content => content.startsWith('Write a short weekly recap'));
+
+test('recap commands turn it on and off, and nothing else does', () => {
+  for (const message of ['weekly recap on', 'recaps on', 'send me a weekly recap', 'turn on weekly recaps please']) {
+    assert.strictEqual(weeklyRecap.parseCommand(message), true, message);
+  }
+  for (const message of ['weekly recap off', 'stop weekly recaps', 'no more weekly recap.']) {
+    assert.strictEqual(weeklyRecap.parseCommand(message), false, message);
+  }
+  for (const message of ['my week', 'i had a weekly recap meeting', 'recap']) {
+    assert.strictEqual(weeklyRecap.parseCommand(message), null, message);
+  }
+});
+
+test('recaps are scheduled for the next recap day at the recap hour', () => {
+  const { dayOfWeek, hour } = weeklyRecap.settings;
+
+  const wednesdayNoon = new Date(2026, 9, 14, 12).getTime();
+  const next = new Date(weeklyRecap.getNextRecapTime(wednesdayNoon));
+  assert.strictEqual(next.getDay(), dayOfWeek);
+  assert.strictEqual(next.getHours(), hour);
+  assert.ok(next.getTime() > wednesdayNoon && next.getTime() - wednesdayNoon <= 7 * 24 * 60 * 60 * 1000);
+
+  // Right at the recap time, the next one is a week later
+  assert.strictEqual(weeklyRecap.getNextRecapTime(next.getTime()), next.getTime() + 7 * 24 * 60 * 60 * 1000);
+});
+
+test('opting in stores the preference and schedules the first recap', async () => {
+  const phoneNumber = await createUser();
+
+  const on = await send(phoneNumber, 'weekly recap on');
+  assert.strictEqual(on.isCommand, true);
+  assert.strictEqual((await storage.getUser(phoneNumber)).preferences.weeklyRecap, true);
+  assert.ok((await storage.getSchedule(phoneNumber)).nextWeeklyRecap > Date.now());
+
+  await send(phoneNumber, 'weekly recap off');
+  assert.strictEqual((await storage.getUser(phoneNumber)).preferences.weeklyRecap, false);
+  assert.strictEqual((await storage.getSchedule(phoneNumber)).nextWeeklyRecap, null);
+});
+
+test('"my week" with nothing to look back on says so without calling the model', async () => {
+  const phoneNumber = await createUser();
+  const before = recapPrompts().length;
+
+  const result = await send(phoneNumber, 'my week');
+  assert.strictEqual(result.response, getEmptyWeekText());
+  assert.strictEqual(recapPrompts().length, before);
+});
+
+test('"my week" recaps journal entries and mood ratings, quoting what they wrote', async () => {
+  const phoneNumber = await createUser();
+  await send(phoneNumber, 'j: went hiking with Priya, first time in months');
+  await send(phoneNumber, 'mood 8 proud');
+
+  const result = await send(phoneNumber, 'my week');
+  assert.match(result.response, /week ahead/);
+
+  const prompt = recapPrompts().at(-1);
+  assert.ok(prompt.includes('<user_text>\nwent hiking with Priya, first time in months\n</user_text>'));
+  assert.match(prompt, /8\/10 \(proud\)/);
+  assert.match(prompt, /Journaling streak: 1 day in/);
+});
+
+test('a scheduled recap is sent and kept in the conversation', async () => {
+  const phoneNumber = await createUser();
+  await send(phoneNumber, 'mood 6');
+
+  assert.strictEqual(await weeklyRecap.send(phoneNumber), true);
+  assert.match(outbox.at(-1).text, /week ahead/);
+  assert.strictEqual(outbox.at(-1).phoneNumber, phoneNumber);
+
+  const history = await storage.getConversationHistory(phoneNumber);
+  assert.strictEqual(history.at(-1).triggerType, 'weekly_recap');
+});
+
+test('no scheduled recap in a week with a crisis', async () => {
+  const phoneNumber = await createUser();
+  await send(phoneNumber, 'mood 3');
+  await storage.logCrisis(phoneNumber, { message: 'rough night' });
+  const sent = outbox.length;
+
+  assert.strictEqual(await weeklyRecap.send(phoneNumber), false);
+  assert.strictEqual(outbox.length, sent);
+});